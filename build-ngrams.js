@@ -0,0 +1,54 @@
+/**
+ * ملف: build-ngrams.js
+ * الوصف: توليد english-ngrams.json (النموذج اللغوي الافتراضي في fitness.js) من نصوص مرجعية كبيرة
+ *
+ * يُشغَّل مرة واحدة (offline) ولا تحتاجه أدوات التحليل أثناء العمل:
+ *   النصوص → buildModel → toJSON → english-ngrams.json → loadModel
+ * - تُقرأ الملفات النصية بالترتيب وتُدمج في نص واحد
+ * - يبني buildModel عدّادات المجموعات الأحادية حتى الرباعية (الأحرف A-Z فقط)
+ * - تُكتب العدّادات مرتبة أبجدياً، جدولاً في كل سطر، مع وصف المصدر وعدد الأحرف
+ *
+ * الجداول المرفقة مبنية من نسخ نصية عادية لخطابات حالة الاتحاد الأمريكية (1790-2018،
+ * ملف لكل خطاب) ورواية Moby-Dick لهيرمان ملفيل، وكلاهما من الملك العام:
+ *
+ *   node build-ngrams.js --source="State of the Union addresses 1790-2018 and Herman Melville's Moby-Dick (1851), both public domain" \
+ *     sotu/*.txt moby-dick.txt > english-ngrams.json
+ */
+
+const fs = require('fs');
+const { buildModel } = require('./fitness');
+
+/**
+ * ترتيب مفاتيح جدول أبجدياً ليبقى الملف الناتج ثابتاً بين التشغيلات
+ * @param {Object} table - عدّاد كل مجموعة
+ * @returns {Object} - نسخة مرتبة
+ */
+function sortTable(table) {
+  const sorted = {};
+  for (const gram of Object.keys(table).sort()) sorted[gram] = table[gram];
+  return sorted;
+}
+
+/**
+ * كتابة النموذج بصيغة JSON مع جدول واحد في كل سطر
+ * @param {string} source - وصف النصوص المرجعية
+ * @param {Object} model - ناتج buildModel
+ * @returns {string} - نص الملف
+ */
+function format(source, model) {
+  const tables = model.toJSON().counts.map(table => JSON.stringify(table && sortTable(table))).join(',\n    ');
+  return `{\n  "source": ${JSON.stringify(source)},\n  "letters": ${model.totals[1]},\n  "counts": [\n    ${tables}\n  ]\n}\n`;
+}
+
+const args = process.argv.slice(2);
+const sourceArg = args.find(arg => arg.startsWith('--source='));
+const files = args.filter(arg => !arg.startsWith('--'));
+
+if (files.length === 0) {
+  console.error('Usage: node build-ngrams.js [--source="description"] <text files...> > english-ngrams.json');
+  process.exit(1);
+}
+
+const text = files.map(file => fs.readFileSync(file, 'utf8')).join('\n');
+const source = sourceArg ? sourceArg.slice('--source='.length) : files.join(', ');
+process.stdout.write(format(source, buildModel(text)));
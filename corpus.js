@@ -0,0 +1,249 @@
+/**
+ * ملف: corpus.js
+ * الوصف: نصوص إنجليزية من الملك العام (Public Domain)
+ *
+ * تُستخدم هذه النصوص كمفاتيح جاهزة لشيفرة المفتاح الجاري (runningkey.js)
+ * وكعينات نصية في الاختبارات. النموذج اللغوي الافتراضي في fitness.js لا يُبنى منها،
+ * بل من الجداول المحسوبة مسبقاً في english-ngrams.json
+ *
+ * جميع النصوص منشورة قبل عام 1900 ولا تخضع لحقوق النشر
+ */
+
+/**
+ * المقاطع مفهرسة بالاسم
+ * كل مقطع: { title, author, text }
+ */
+const PASSAGES = {
+  taleOfTwoCities: {
+    title: 'A Tale of Two Cities',
+    author: 'Charles Dickens',
+    text: 'It was the best of times, it was the worst of times, it was the age of wisdom, it was the age of ' +
+      'foolishness, it was the epoch of belief, it was the epoch of incredulity, it was the season of Light, ' +
+      'it was the season of Darkness, it was the spring of hope, it was the winter of despair, we had everything ' +
+      'before us, we had nothing before us, we were all going direct to Heaven, we were all going direct the ' +
+      'other way, in short, the period was so far like the present period, that some of its noisiest ' +
+      'authorities insisted on its being received, for good or for evil, in the superlative degree of ' +
+      'comparison only. There were a king with a large jaw and a queen with a plain face, on the throne of ' +
+      'England; there were a king with a large jaw and a queen with a fair face, on the throne of France. In ' +
+      'both countries it was clearer than crystal to the lords of the State preserves of loaves and fishes, ' +
+      'that things in general were settled for ever.'
+  },
+
+  prideAndPrejudice: {
+    title: 'Pride and Prejudice',
+    author: 'Jane Austen',
+    text: 'It is a truth universally acknowledged, that a single man in possession of a good fortune, must be in ' +
+      'want of a wife. However little known the feelings or views of such a man may be on his first entering a ' +
+      'neighbourhood, this truth is so well fixed in the minds of the surrounding families, that he is ' +
+      'considered the rightful property of some one or other of their daughters. "My dear Mr. Bennet," said ' +
+      'his lady to him one day, "have you heard that Netherfield Park is let at last?" Mr. Bennet replied that ' +
+      'he had not. "But it is," returned she; "for Mrs. Long has just been here, and she told me all about ' +
+      'it." Mr. Bennet made no answer. "Do you not want to know who has taken it?" cried his wife impatiently. ' +
+      '"You want to tell me, and I have no objection to hearing it." This was invitation enough. "Why, my ' +
+      'dear, you must know, Mrs. Long says that Netherfield is taken by a young man of large fortune from the ' +
+      'north of England; that he came down on Monday in a chaise and four to see the place, and was so much ' +
+      'delighted with it, that he agreed with Mr. Morris immediately; that he is to take possession before ' +
+      'Michaelmas, and some of his servants are to be in the house by the end of next week." "What is his ' +
+      'name?" "Bingley." "Is he married or single?" "Oh! Single, my dear, to be sure! A single man of large ' +
+      'fortune; four or five thousand a year. What a fine thing for our girls!" "How so? How can it affect ' +
+      'them?" "My dear Mr. Bennet," replied his wife, "how can you be so tiresome! You must know that I am ' +
+      'thinking of his marrying one of them."'
+  },
+
+  mobyDick: {
+    title: 'Moby-Dick',
+    author: 'Herman Melville',
+    text: 'Call me Ishmael. Some years ago, never mind how long precisely, having little or no money in my purse, ' +
+      'and nothing particular to interest me on shore, I thought I would sail about a little and see the ' +
+      'watery part of the world. It is a way I have of driving off the spleen and regulating the circulation. ' +
+      'Whenever I find myself growing grim about the mouth; whenever it is a damp, drizzly November in my ' +
+      'soul; whenever I find myself involuntarily pausing before coffin warehouses, and bringing up the rear ' +
+      'of every funeral I meet; and especially whenever my hypos get such an upper hand of me, that it ' +
+      'requires a strong moral principle to prevent me from deliberately stepping into the street, and ' +
+      'methodically knocking people\'s hats off, then, I account it high time to get to sea as soon as I can. ' +
+      'This is my substitute for pistol and ball. With a philosophical flourish Cato throws himself upon his ' +
+      'sword; I quietly take to the ship. There is nothing surprising in this. If they but knew it, almost all ' +
+      'men in their degree, some time or other, cherish very nearly the same feelings towards the ocean with ' +
+      'me. There now is your insular city of the Manhattoes, belted round by wharves as Indian isles by coral ' +
+      'reefs; commerce surrounds it with her surf. Right and left, the streets take you waterward.'
+  },
+
+  gettysburgAddress: {
+    title: 'The Gettysburg Address',
+    author: 'Abraham Lincoln',
+    text: 'Four score and seven years ago our fathers brought forth on this continent, a new nation, conceived in ' +
+      'Liberty, and dedicated to the proposition that all men are created equal. Now we are engaged in a great ' +
+      'civil war, testing whether that nation, or any nation so conceived and so dedicated, can long endure. ' +
+      'We are met on a great battle-field of that war. We have come to dedicate a portion of that field, as a ' +
+      'final resting place for those who here gave their lives that that nation might live. It is altogether ' +
+      'fitting and proper that we should do this. But, in a larger sense, we can not dedicate, we can not ' +
+      'consecrate, we can not hallow this ground. The brave men, living and dead, who struggled here, have ' +
+      'consecrated it, far above our poor power to add or detract. The world will little note, nor long ' +
+      'remember what we say here, but it can never forget what they did here. It is for us the living, ' +
+      'rather, to be dedicated here to the unfinished work which they who fought here have thus far so nobly ' +
+      'advanced. It is rather for us to be here dedicated to the great task remaining before us, that from ' +
+      'these honored dead we take increased devotion to that cause for which they gave the last full measure ' +
+      'of devotion, that we here highly resolve that these dead shall not have died in vain, that this nation, ' +
+      'under God, shall have a new birth of freedom, and that government of the people, by the people, for the ' +
+      'people, shall not perish from the earth.'
+  },
+
+  declarationOfIndependence: {
+    title: 'The Declaration of Independence',
+    author: 'Thomas Jefferson',
+    text: 'When in the Course of human events, it becomes necessary for one people to dissolve the political ' +
+      'bands which have connected them with another, and to assume among the powers of the earth, the ' +
+      'separate and equal station to which the Laws of Nature and of Nature\'s God entitle them, a decent ' +
+      'respect to the opinions of mankind requires that they should declare the causes which impel them to ' +
+      'the separation. We hold these truths to be self-evident, that all men are created equal, that they are ' +
+      'endowed by their Creator with certain unalienable Rights, that among these are Life, Liberty and the ' +
+      'pursuit of Happiness. That to secure these rights, Governments are instituted among Men, deriving their ' +
+      'just powers from the consent of the governed, That whenever any Form of Government becomes destructive ' +
+      'of these ends, it is the Right of the People to alter or to abolish it, and to institute new ' +
+      'Government, laying its foundation on such principles and organizing its powers in such form, as to ' +
+      'them shall seem most likely to effect their Safety and Happiness. Prudence, indeed, will dictate that ' +
+      'Governments long established should not be changed for light and transient causes; and accordingly ' +
+      'all experience hath shewn, that mankind are more disposed to suffer, while evils are sufferable, than ' +
+      'to right themselves by abolishing the forms to which they are accustomed.'
+  },
+
+  aliceInWonderland: {
+    title: 'Alice\'s Adventures in Wonderland',
+    author: 'Lewis Carroll',
+    text: 'Alice was beginning to get very tired of sitting by her sister on the bank, and of having nothing to ' +
+      'do: once or twice she had peeped into the book her sister was reading, but it had no pictures or ' +
+      'conversations in it, "and what is the use of a book," thought Alice "without pictures or ' +
+      'conversations?" So she was considering in her own mind (as well as she could, for the hot day made her ' +
+      'feel very sleepy and stupid), whether the pleasure of making a daisy-chain would be worth the trouble ' +
+      'of getting up and picking the daisies, when suddenly a White Rabbit with pink eyes ran close by her. ' +
+      'There was nothing so very remarkable in that; nor did Alice think it so very much out of the way to ' +
+      'hear the Rabbit say to itself, "Oh dear! Oh dear! I shall be late!" (when she thought it over ' +
+      'afterwards, it occurred to her that she ought to have wondered at this, but at the time it all seemed ' +
+      'quite natural); but when the Rabbit actually took a watch out of its waistcoat-pocket, and looked at ' +
+      'it, and then hurried on, Alice started to her feet, for it flashed across her mind that she had never ' +
+      'before seen a rabbit with either a waistcoat-pocket, or a watch to take out of it, and burning with ' +
+      'curiosity, she ran across the field after it, and fortunately was just in time to see it pop down a ' +
+      'large rabbit-hole under the hedge. In another moment down went Alice after it, never once considering ' +
+      'how in the world she was to get out again.'
+  },
+
+  scandalInBohemia: {
+    title: 'A Scandal in Bohemia',
+    author: 'Arthur Conan Doyle',
+    text: 'To Sherlock Holmes she is always the woman. I have seldom heard him mention her under any other name. ' +
+      'In his eyes she eclipses and predominates the whole of her sex. It was not that he felt any emotion ' +
+      'akin to love for Irene Adler. All emotions, and that one particularly, were abhorrent to his cold, ' +
+      'precise but admirably balanced mind. He was, I take it, the most perfect reasoning and observing ' +
+      'machine that the world has seen, but as a lover he would have placed himself in a false position. He ' +
+      'never spoke of the softer passions, save with a gibe and a sneer. They were admirable things for the ' +
+      'observer, excellent for drawing the veil from men\'s motives and actions. But for the trained reasoner ' +
+      'to admit such intrusions into his own delicate and finely adjusted temperament was to introduce a ' +
+      'distracting factor which might throw a doubt upon all his mental results. Grit in a sensitive ' +
+      'instrument, or a crack in one of his own high-power lenses, would not be more disturbing than a strong ' +
+      'emotion in a nature such as his. And yet there was but one woman to him, and that woman was the late ' +
+      'Irene Adler, of dubious and questionable memory.'
+  },
+
+  frankenstein: {
+    title: 'Frankenstein',
+    author: 'Mary Shelley',
+    text: 'You will rejoice to hear that no disaster has accompanied the commencement of an enterprise which you ' +
+      'have regarded with such evil forebodings. I arrived here yesterday, and my first task is to assure my ' +
+      'dear sister of my welfare and increasing confidence in the success of my undertaking. I am already far ' +
+      'north of London, and as I walk in the streets of Petersburgh, I feel a cold northern breeze play upon ' +
+      'my cheeks, which braces my nerves and fills me with delight. Do you understand this feeling? This ' +
+      'breeze, which has travelled from the regions towards which I am advancing, gives me a foretaste of ' +
+      'those icy climes. Inspirited by this wind of promise, my daydreams become more fervent and vivid. I try ' +
+      'in vain to be persuaded that the pole is the seat of frost and desolation; it ever presents itself to ' +
+      'my imagination as the region of beauty and delight.'
+  },
+
+  greatExpectations: {
+    title: 'Great Expectations',
+    author: 'Charles Dickens',
+    text: 'My father\'s family name being Pirrip, and my Christian name Philip, my infant tongue could make of ' +
+      'both names nothing longer or more explicit than Pip. So, I called myself Pip, and came to be called ' +
+      'Pip. I give Pirrip as my father\'s family name, on the authority of his tombstone and my sister, Mrs. ' +
+      'Joe Gargery, who married the blacksmith. As I never saw my father or my mother, and never saw any ' +
+      'likeness of either of them (for their days were long before the days of photographs), my first fancies ' +
+      'regarding what they were like were unreasonably derived from their tombstones. The shape of the ' +
+      'letters on my father\'s, gave me an odd idea that he was a square, stout, dark man, with curly black ' +
+      'hair. From the character and turn of the inscription, "Also Georgiana Wife of the Above," I drew a ' +
+      'childish conclusion that my mother was freckled and sickly.'
+  },
+
+  janeEyre: {
+    title: 'Jane Eyre',
+    author: 'Charlotte Bronte',
+    text: 'There was no possibility of taking a walk that day. We had been wandering, indeed, in the leafless ' +
+      'shrubbery an hour in the morning; but since dinner (Mrs. Reed, when there was no company, dined early) ' +
+      'the cold winter wind had brought with it clouds so sombre, and a rain so penetrating, that further ' +
+      'out-door exercise was now out of the question. I was glad of it: I never liked long walks, especially ' +
+      'on chilly afternoons: dreadful to me was the coming home in the raw twilight, with nipped fingers and ' +
+      'toes, and a heart saddened by the chidings of Bessie, the nurse, and humbled by the consciousness of ' +
+      'my physical inferiority to Eliza, John, and Georgiana Reed.'
+  },
+
+  treasureIsland: {
+    title: 'Treasure Island',
+    author: 'Robert Louis Stevenson',
+    text: 'Squire Trelawney, Dr. Livesey, and the rest of these gentlemen having asked me to write down the whole ' +
+      'particulars about Treasure Island, from the beginning to the end, keeping nothing back but the bearings ' +
+      'of the island, and that only because there is still treasure not yet lifted, I take up my pen in the ' +
+      'year of grace 17__ and go back to the time when my father kept the Admiral Benbow inn and the brown old ' +
+      'seaman with the sabre cut first took up his lodging under our roof. I remember him as if it were ' +
+      'yesterday, as he came plodding to the inn door, his sea-chest following behind him in a hand-barrow, a ' +
+      'tall, strong, heavy, nut-brown man, his tarry pigtail falling over the shoulder of his soiled blue ' +
+      'coat, his hands ragged and scarred, with black, broken nails, and the sabre cut across one cheek, a ' +
+      'dirty, livid white.'
+  },
+
+  genesis: {
+    title: 'The Book of Genesis (King James Version)',
+    author: 'Anonymous',
+    text: 'In the beginning God created the heaven and the earth. And the earth was without form, and void; and ' +
+      'darkness was upon the face of the deep. And the Spirit of God moved upon the face of the waters. And ' +
+      'God said, Let there be light: and there was light. And God saw the light, that it was good: and God ' +
+      'divided the light from the darkness. And God called the light Day, and the darkness he called Night. ' +
+      'And the evening and the morning were the first day. And God said, Let there be a firmament in the ' +
+      'midst of the waters, and let it divide the waters from the waters. And God made the firmament, and ' +
+      'divided the waters which were under the firmament from the waters which were above the firmament: and ' +
+      'it was so. And God called the firmament Heaven. And the evening and the morning were the second day.'
+  },
+
+  hamlet: {
+    title: 'Hamlet',
+    author: 'William Shakespeare',
+    text: 'To be, or not to be, that is the question: Whether \'tis nobler in the mind to suffer the slings and ' +
+      'arrows of outrageous fortune, or to take arms against a sea of troubles and by opposing end them. To ' +
+      'die, to sleep; no more; and by a sleep to say we end the heart-ache and the thousand natural shocks ' +
+      'that flesh is heir to: \'tis a consummation devoutly to be wish\'d. To die, to sleep; to sleep, ' +
+      'perchance to dream, ay, there\'s the rub: for in that sleep of death what dreams may come, when we have ' +
+      'shuffled off this mortal coil, must give us pause. There\'s the respect that makes calamity of so long ' +
+      'life.'
+  },
+
+  originOfSpecies: {
+    title: 'On the Origin of Species',
+    author: 'Charles Darwin',
+    text: 'When on board H.M.S. Beagle, as naturalist, I was much struck with certain facts in the distribution ' +
+      'of the inhabitants of South America, and in the geological relations of the present to the past ' +
+      'inhabitants of that continent. These facts seemed to me to throw some light on the origin of species, ' +
+      'that mystery of mysteries, as it has been called by one of our greatest philosophers. On my return ' +
+      'home, it occurred to me, in 1837, that something might perhaps be made out on this question by ' +
+      'patiently accumulating and reflecting on all sorts of facts which could possibly have any bearing on ' +
+      'it. After five years\' work I allowed myself to speculate on the subject, and drew up some short notes; ' +
+      'these I enlarged in 1844 into a sketch of the conclusions, which then seemed to me probable: from that ' +
+      'period to the present day I have steadily pursued the same object. I hope that I may be excused for ' +
+      'entering on these personal details, as I give them to show that I have not been hasty in coming to a ' +
+      'decision.'
+  }
+};
+
+/**
+ * جميع المقاطع مدمجة في نص واحد (عينة إنجليزية للاختبارات أو لـ buildModel)
+ */
+const TRAINING_TEXT = Object.values(PASSAGES).map(p => p.text).join(' ');
+
+// تصدير البيانات
+module.exports = { PASSAGES, TRAINING_TEXT };
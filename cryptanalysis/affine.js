@@ -0,0 +1,234 @@
+/**
+ * ملف: affine.js
+ * الوصف: كسر شيفرة أفين وشيفرة الضرب (بحث شامل + حل جبري بنص معروف)
+ *
+ * آلية العمل:
+ * - فضاء المفاتيح صغير:
+ *   - شيفرة الضرب: 12 قيمة لـ k (الأعداد الأولية مع 26)
+ *   - شيفرة أفين: 12 × 26 = 312 زوجاً (a, b)
+ * - البحث الشامل: فك التشفير بكل مفتاح وترتيب النتائج حسب ملاءمتها للإنجليزية
+ * - الحل الجبري (Crib): إذا عرفنا حرفين من النص الأصلي ومقابليهما المشفرين:
+ *     C₁ = a·P₁ + b ، C₂ = a·P₂ + b
+ *     ⇒ a = (C₁ - C₂) × (P₁ - P₂)⁻¹ mod 26
+ *     ⇒ b = C₁ - a·P₁ mod 26
+ *   إذا لم يكن لأي فرق (P₁ - P₂) في الكلمة معكوس (مثل ACE)، تُفحص المفاتيح الـ 312 كلها بالكلمة
+ * - شيفرة الضرب: C = k·P ⇒ k = C × P⁻¹ mod 26 من أي حرف P له معكوس
+ */
+
+// استيراد الشيفرات الأصلية ودوال التحليل
+const affine = require('../substitution/affine');
+const multiplicative = require('../substitution/multiplicative');
+const { letterToNum, isLetter, mod, modInverse, isCoprime } = require('../helpers');
+const { quadgramScore } = require('../fitness');
+
+// القيم الصالحة لـ a (أو k): الأعداد الأولية مع 26
+const VALID_A = [...Array(26).keys()].filter(a => isCoprime(a, 26));
+
+// جميع مفاتيح أفين الـ 312
+const ALL_KEYS = VALID_A.flatMap(a => [...Array(26).keys()].map(b => ({ a, b })));
+
+/**
+ * حل مفتاح أفين من زوجين (حرف أصلي، حرف مشفر)
+ * @param {number} p1 - الحرف الأصلي الأول (0-25)
+ * @param {number} c1 - الحرف المشفر الأول
+ * @param {number} p2 - الحرف الأصلي الثاني
+ * @param {number} c2 - الحرف المشفر الثاني
+ * @returns {{a: number, b: number}|null} - المفتاح، أو null إذا لم يكن الحل وحيداً وصالحاً
+ *
+ * مثال: solveFromPairs(4, 2, 19, 25) → { a: 5, b: 8 }  (E→C ، T→Z)
+ */
+function solveFromPairs(p1, c1, p2, c2) {
+  // (P₁ - P₂) يجب أن يكون له معكوس في mod 26 ليكون الحل وحيداً
+  const diffInverse = modInverse(mod(p1 - p2, 26), 26);
+  if (diffInverse === null) return null;
+
+  const a = mod((c1 - c2) * diffInverse, 26);
+  if (!isCoprime(a, 26)) return null;
+
+  return { a, b: mod(c1 - a * p1, 26) };
+}
+
+/**
+ * تحويل النص إلى أرقام (الأحرف فقط)
+ * @param {string} text - النص
+ * @returns {number[]} - الأحرف كأرقام
+ */
+function toNums(text) {
+  return text.split('').filter(isLetter).map(letterToNum);
+}
+
+/**
+ * إيجاد جميع مفاتيح أفين المتوافقة مع كلمة معروفة (crib)
+ *
+ * إذا لم يُحدد الموقع، تُجرب الكلمة في كل موقع من النص المشفر
+ * يُحل المفتاح من أول زوج أحرف فرقه له معكوس؛ وإن لم يوجد زوج كهذا
+ * فالكلمة لا تحدد المفتاح جبرياً، فتُفحص المفاتيح الـ 312 كلها
+ *
+ * @param {number[]} cipherNums - أحرف النص المشفر
+ * @param {string} crib - كلمة معروفة من النص الأصلي
+ * @param {number} [position] - موقع الكلمة (بعدد الأحرف) إن كان معروفاً
+ * @returns {{a: number, b: number}[]} - المفاتيح المتوافقة (بدون تكرار)
+ */
+function keysFromCrib(cipherNums, crib, position) {
+  const cribNums = toNums(crib);
+  if (cribNums.length < 2) {
+    throw new Error('Crib must contain at least two letters');
+  }
+
+  const positions = position === undefined
+    ? [...Array(Math.max(0, cipherNums.length - cribNums.length + 1)).keys()]
+    : [position];
+
+  // البحث عن زوجين فرقهما له معكوس (يعتمد على الكلمة فقط، لا على الموقع)
+  let pair = null;
+  for (let i = 0; i < cribNums.length && !pair; i++) {
+    for (let j = i + 1; j < cribNums.length && !pair; j++) {
+      if (modInverse(cribNums[i] - cribNums[j], 26) !== null) pair = [i, j];
+    }
+  }
+
+  const keys = new Map();
+  for (const pos of positions) {
+    const segment = cipherNums.slice(pos, pos + cribNums.length);
+    if (segment.length < cribNums.length) continue;
+
+    let candidates = ALL_KEYS;
+    if (pair) {
+      const [i, j] = pair;
+      const key = solveFromPairs(cribNums[i], segment[i], cribNums[j], segment[j]);
+      candidates = key ? [key] : [];
+    }
+
+    // التحقق من أن المفتاح يطابق جميع أحرف الكلمة، لا الزوجين فقط
+    for (const key of candidates) {
+      const consistent = cribNums.every((p, i) => mod(key.a * p + key.b, 26) === segment[i]);
+      if (consistent) keys.set(`${key.a},${key.b}`, key);
+    }
+  }
+
+  return [...keys.values()];
+}
+
+/**
+ * إيجاد جميع مفاتيح الضرب المتوافقة مع كلمة معروفة (crib)
+ *
+ * يُحل المفتاح من أول حرف في الكلمة له معكوس: k = C × P⁻¹ mod 26
+ * وإن لم يوجد حرف كهذا (كل الأحرف زوجية أو N) تُفحص القيم الـ 12 كلها
+ *
+ * @param {number[]} cipherNums - أحرف النص المشفر
+ * @param {string} crib - كلمة معروفة من النص الأصلي
+ * @param {number} [position] - موقع الكلمة (بعدد الأحرف) إن كان معروفاً
+ * @returns {number[]} - المفاتيح المتوافقة (بدون تكرار)
+ */
+function multiplicativeKeysFromCrib(cipherNums, crib, position) {
+  const cribNums = toNums(crib);
+  if (cribNums.length === 0) {
+    throw new Error('Crib must contain at least one letter');
+  }
+
+  const positions = position === undefined
+    ? [...Array(Math.max(0, cipherNums.length - cribNums.length + 1)).keys()]
+    : [position];
+
+  // أول حرف له معكوس (يعتمد على الكلمة فقط، لا على الموقع)
+  const index = cribNums.findIndex(p => modInverse(p, 26) !== null);
+
+  const keys = new Set();
+  for (const pos of positions) {
+    const segment = cipherNums.slice(pos, pos + cribNums.length);
+    if (segment.length < cribNums.length) continue;
+
+    const candidates = index >= 0
+      ? [mod(segment[index] * modInverse(cribNums[index], 26), 26)].filter(k => isCoprime(k, 26))
+      : VALID_A;
+
+    // التحقق من أن المفتاح يطابق جميع أحرف الكلمة
+    for (const k of candidates) {
+      if (cribNums.every((p, i) => mod(k * p, 26) === segment[i])) keys.add(k);
+    }
+  }
+
+  return [...keys];
+}
+
+/**
+ * ترتيب المرشحين حسب ملاءمة النص للإنجليزية (الأعلى أولاً)
+ * @param {Object[]} candidates - [{key, plaintext}]
+ * @returns {Object} - { key, plaintext, score, candidates }
+ */
+function rank(candidates) {
+  candidates.forEach(c => { c.score = quadgramScore(c.plaintext); });
+  candidates.sort((x, y) => y.score - x.score);
+
+  const best = candidates[0];
+  return { key: best.key, plaintext: best.plaintext, score: best.score, candidates };
+}
+
+/**
+ * كسر شيفرة أفين
+ * @param {string} ciphertext - النص المشفر
+ * @param {Object} [options] - خيارات
+ * @param {string} [options.crib] - كلمة معروفة من النص الأصلي
+ * @param {number} [options.position] - موقع الكلمة المعروفة (بعدد الأحرف)
+ * @returns {{key: {a: number, b: number}, plaintext: string, score: number, candidates: Object[]}}
+ * @throws {Error} - إذا لم يوجد مفتاح متوافق مع الكلمة المعروفة
+ */
+function crackAffine(ciphertext, options = {}) {
+  const { crib, position } = options;
+  const cipherNums = toNums(ciphertext);
+
+  if (cipherNums.length === 0) {
+    throw new Error('Ciphertext must contain at least one letter');
+  }
+
+  // مع كلمة معروفة: المفاتيح المحسوبة جبرياً فقط
+  // بدونها: جميع المفاتيح الـ 312
+  let keys;
+  if (crib) {
+    keys = keysFromCrib(cipherNums, crib, position);
+    if (keys.length === 0) {
+      throw new Error(`No affine key maps the crib "${crib}" onto the ciphertext`);
+    }
+  } else {
+    keys = ALL_KEYS;
+  }
+
+  return rank(keys.map(key => ({ key, plaintext: affine.decrypt(ciphertext, key) })));
+}
+
+/**
+ * كسر شيفرة الضرب (حالة خاصة من أفين حيث b = 0)
+ * @param {string} ciphertext - النص المشفر
+ * @param {Object} [options] - خيارات
+ * @param {string} [options.crib] - كلمة معروفة من النص الأصلي
+ * @param {number} [options.position] - موقع الكلمة المعروفة (بعدد الأحرف)
+ * @returns {{key: number, plaintext: string, score: number, candidates: Object[]}}
+ * @throws {Error} - إذا لم يوجد مفتاح متوافق مع الكلمة المعروفة
+ */
+function crackMultiplicative(ciphertext, options = {}) {
+  const { crib, position } = options;
+  const cipherNums = toNums(ciphertext);
+
+  if (cipherNums.length === 0) {
+    throw new Error('Ciphertext must contain at least one letter');
+  }
+
+  let keys = VALID_A;
+  if (crib) {
+    keys = multiplicativeKeysFromCrib(cipherNums, crib, position);
+    if (keys.length === 0) {
+      throw new Error(`No multiplicative key maps the crib "${crib}" onto the ciphertext`);
+    }
+  }
+
+  return rank(keys.map(key => ({ key, plaintext: multiplicative.decrypt(ciphertext, key) })));
+}
+
+// تصدير الدوال
+module.exports = { VALID_A, solveFromPairs, crackAffine, crackMultiplicative };
+
+// مثال على الاستخدام:
+// const { crackAffine } = require('./affine');
+// const ciphertext = affine.encrypt("MEET ME AT THE USUAL PLACE", { a: 5, b: 8 });
+// console.log(crackAffine(ciphertext).key);                      // { a: 5, b: 8 }
+// console.log(crackAffine(ciphertext, { crib: 'MEET' }).key);    // { a: 5, b: 8 }
@@ -0,0 +1,147 @@
+/**
+ * ملف: autokey.js
+ * الوصف: كسر شيفرة المفتاح التلقائي (Autokey) بتجربة كل طول للمفتاح الأولي
+ *
+ * آلية العمل:
+ * - بعد المفتاح الأولي (primer) بطول L، يصبح المفتاح هو النص الأصلي نفسه:
+ *     C[i] = P[i] + P[i - L] ⇒ P[i] = C[i] - P[i - L]  (mod 26)
+ * - لذلك المواقع j, j + L, j + 2L, ... تُكوّن سلسلة تعتمد على حرف واحد فقط
+ *   من المفتاح الأولي: إذا عرفنا P[j] عرفنا السلسلة كلها
+ * - لكل طول L ولكل سلسلة j نجرب الأحرف الـ 26 ونختار الأقرب للإنجليزية
+ *   (مربع كاي)، ثم نحسّن المفتاح الأولي حرفاً حرفاً بالمجموعات الرباعية
+ * - المرشحون لكل طول يُرتبون حسب ملاءمة النص الكامل للإنجليزية
+ *
+ * المفتاح "غير دوري" فلا يظهر فيه فحص كاسيسكي، لكن كل حرف أولي
+ * يتحكم بسلسلة كاملة، فيُكسر كل حرف بـ 26 تجربة فقط
+ */
+
+// استيراد الشيفرة الأصلية ودوال التحليل
+const autokey = require('../substitution/autokey');
+const { letterToNum, numToLetter, isLetter, mod } = require('../helpers');
+const { chiSquared, quadgramScoreNums } = require('../fitness');
+
+/**
+ * فك تشفير سريع بالأرقام
+ * @param {number[]} cipher - أحرف النص المشفر كأرقام
+ * @param {number[]} primer - المفتاح الأولي كأرقام
+ * @returns {number[]} - النص الأصلي كأرقام
+ */
+function decryptNums(cipher, primer) {
+  const plain = Array(cipher.length);
+  for (let i = 0; i < cipher.length; i++) {
+    const k = i < primer.length ? primer[i] : plain[i - primer.length];
+    plain[i] = mod(cipher[i] - k, 26);
+  }
+  return plain;
+}
+
+/**
+ * استعادة حرف أولي واحد من سلسلته
+ * @param {number[]} cipher - النص المشفر كأرقام
+ * @param {number} start - موقع بداية السلسلة (0 .. L-1)
+ * @param {number} length - طول المفتاح الأولي L
+ * @returns {number} - الحرف الأولي الأرجح (0-25)
+ */
+function recoverPrimerLetter(cipher, start, length) {
+  let bestKey = 0;
+  let bestChi = Infinity;
+
+  for (let k = 0; k < 26; k++) {
+    // P[j] = C[j] - k ، ثم كل حرف يفك التالي في السلسلة
+    let previous = k;
+    let chain = '';
+    for (let i = start; i < cipher.length; i += length) {
+      previous = mod(cipher[i] - previous, 26);
+      chain += numToLetter(previous);
+    }
+
+    const chi = chiSquared(chain);
+    if (chi < bestChi) {
+      bestChi = chi;
+      bestKey = k;
+    }
+  }
+
+  return bestKey;
+}
+
+/**
+ * تحسين المفتاح الأولي بتجربة كل حرف في كل موقع (تسلق التل)
+ * @param {number[]} cipher - النص المشفر كأرقام
+ * @param {number[]} primer - التخمين الأولي
+ * @returns {{primer: number[], score: number}} - المفتاح بعد التحسين وتقييمه
+ */
+function refine(cipher, primer) {
+  let best = primer.slice();
+  let bestScore = quadgramScoreNums(decryptNums(cipher, best));
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    for (let j = 0; j < best.length; j++) {
+      for (let k = 0; k < 26; k++) {
+        if (k === best[j]) continue;
+        const candidate = best.slice();
+        candidate[j] = k;
+
+        const score = quadgramScoreNums(decryptNums(cipher, candidate));
+        if (score > bestScore) {
+          best = candidate;
+          bestScore = score;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return { primer: best, score: bestScore };
+}
+
+/**
+ * كسر شيفرة المفتاح التلقائي
+ * @param {string} ciphertext - النص المشفر
+ * @param {Object} [options] - خيارات
+ * @param {number} [options.maxPrimerLength=15] - أقصى طول للمفتاح الأولي يُجرب
+ * @returns {{key: string, plaintext: string, score: number, candidates: Object[]}}
+ *   - key: المفتاح الأولي المستعاد
+ *   - candidates: [{key, length, score, plaintext}] أفضل مفتاح لكل طول، مرتبة من الأفضل للأسوأ
+ * @throws {Error} - إذا كان النص أقصر من 4 أحرف
+ */
+function crack(ciphertext, options = {}) {
+  const { maxPrimerLength = 15 } = options;
+  const cipher = ciphertext.split('').filter(isLetter).map(letterToNum);
+
+  if (cipher.length < 4) {
+    throw new Error('Ciphertext must contain at least four letters');
+  }
+
+  // كل سلسلة تحتاج حرفين على الأقل ليكون للتقييم معنى
+  const limit = Math.min(maxPrimerLength, Math.floor(cipher.length / 2));
+
+  const candidates = [];
+  for (let length = 1; length <= limit; length++) {
+    const guess = [];
+    for (let j = 0; j < length; j++) {
+      guess.push(recoverPrimerLetter(cipher, j, length));
+    }
+
+    const { primer, score } = refine(cipher, guess);
+    const key = primer.map(numToLetter).join('');
+    candidates.push({ key, length, score, plaintext: autokey.decrypt(ciphertext, key) });
+  }
+
+  // الأعلى تقييماً أولاً
+  candidates.sort((a, b) => b.score - a.score);
+
+  const best = candidates[0];
+  return { key: best.key, plaintext: best.plaintext, score: best.score, candidates };
+}
+
+// تصدير الدوال
+module.exports = { crack };
+
+// مثال على الاستخدام:
+// const { crack } = require('./autokey');
+// const result = crack(autokey.encrypt(longPlaintext, "QUEEN"));
+// console.log(result.key);        // QUEEN
+// console.log(result.plaintext);
@@ -0,0 +1,54 @@
+/**
+ * ملف: caesar.js
+ * الوصف: كسر شيفرة قيصر تلقائياً (هجوم القوة الغاشمة + تحليل التكرار)
+ *
+ * آلية العمل:
+ * - فضاء المفاتيح صغير جداً (26 إزاحة فقط)، لذلك نجرب كل الإزاحات
+ * - نقيس كل نص ناتج باختبار مربع كاي مقارنةً بتكرارات الإنجليزية
+ * - الإزاحة ذات أصغر قيمة χ² هي المفتاح الأرجح
+ *
+ * هذا يوضح لماذا تُصنف شيفرة قيصر "ضعيفة جداً"
+ */
+
+// استيراد الشيفرة الأصلية ودوال التحليل الإحصائي
+const caesar = require('../substitution/caesar');
+const { isLetter } = require('../helpers');
+const { chiSquared } = require('../fitness');
+
+/**
+ * كسر شيفرة قيصر بتجربة جميع الإزاحات
+ * @param {string} ciphertext - النص المشفر
+ * @returns {{key: number, score: number, plaintext: string, candidates: Object[]}}
+ *   - key: أفضل مفتاح
+ *   - score: قيمة χ² لأفضل مفتاح
+ *   - plaintext: النص بعد فك التشفير بأفضل مفتاح
+ *   - candidates: جميع الإزاحات الـ 26 مرتبة من الأفضل للأسوأ
+ * @throws {Error} - إذا لم يحتوِ النص على أحرف
+ */
+function crack(ciphertext) {
+  if (!ciphertext.split('').some(isLetter)) {
+    throw new Error('Ciphertext must contain at least one letter');
+  }
+
+  // تجربة جميع المفاتيح الممكنة (0-25)
+  const candidates = [];
+  for (let key = 0; key < 26; key++) {
+    const plaintext = caesar.decrypt(ciphertext, key);
+    candidates.push({ key, score: chiSquared(plaintext), plaintext });
+  }
+
+  // الترتيب تصاعدياً: أصغر χ² = أقرب للإنجليزية
+  candidates.sort((a, b) => a.score - b.score);
+
+  const best = candidates[0];
+  return { key: best.key, score: best.score, plaintext: best.plaintext, candidates };
+}
+
+// تصدير الدوال
+module.exports = { crack };
+
+// مثال على الاستخدام:
+// const { crack } = require('./caesar');
+// const result = crack("WKH TXLFN EURZQ IRA MXPSV RYHU WKH ODCB GRJ");
+// console.log(result.key);        // 3
+// console.log(result.plaintext);  // THE QUICK BROWN FOX JUMPS OVER THE LAZY DOG
@@ -0,0 +1,184 @@
+/**
+ * ملف: columnar.js
+ * الوصف: كسر شيفرة التبديل العمودي (Columnar Transposition)
+ *
+ * آلية العمل:
+ * - المفتاح عملياً هو ترتيب قراءة الأعمدة (تبديل permutation لأرقام الأعمدة)
+ * - للأعمدة القليلة: بحث شامل في جميع الترتيبات (w! ترتيب)
+ * - للأعمدة الكثيرة: تسلق التل (Hill Climbing) بتبديل عمودين في كل خطوة،
+ *   مع إعادة بدء عشوائية
+ * - التقييم: المجموعات الرباعية (quadgrams) لأن تكرار الأحرف لا يتغير بالتبديل
+ *
+ * المفتاح المستعاد يُعاد ككلمة (مثل "ECBDA") تعطي نفس ترتيب الأعمدة
+ * عند استخدامها مع columnar.js
+ */
+
+// استيراد الشيفرة الأصلية ودوال التحليل
+const columnar = require('../transposition/columnar');
+const { numToLetter } = require('../helpers');
+const { quadgramScore } = require('../fitness');
+
+/**
+ * تحويل ترتيب الأعمدة إلى كلمة مفتاحية
+ * العمود الذي يُقرأ أولاً يأخذ A، والثاني B، وهكذا
+ * @param {number[]} order - ترتيب قراءة الأعمدة
+ * @returns {string} - كلمة مفتاحية تعطي نفس الترتيب
+ *
+ * مثال: orderToKey([4, 2, 1, 3, 0]) → "ECBDA" (نفس ترتيب "ZEBRA")
+ */
+function orderToKey(order) {
+  const key = Array(order.length);
+  order.forEach((col, rank) => {
+    key[col] = numToLetter(rank);
+  });
+  return key.join('');
+}
+
+/**
+ * تقييم ترتيب أعمدة معين
+ * @param {string} ciphertext - النص المشفر
+ * @param {number[]} order - ترتيب الأعمدة
+ * @returns {{order: number[], key: string, plaintext: string, score: number}}
+ */
+function evaluate(ciphertext, order) {
+  const key = orderToKey(order);
+  const plaintext = columnar.decrypt(ciphertext, key);
+  return { order: order.slice(), key, plaintext, score: quadgramScore(plaintext) };
+}
+
+/**
+ * توليد جميع ترتيبات الأعداد 0 .. n-1
+ * @param {number} n - عدد العناصر
+ * @returns {number[][]} - جميع الترتيبات
+ */
+function permutations(n) {
+  if (n === 1) return [[0]];
+  const result = [];
+  for (const perm of permutations(n - 1)) {
+    // إدخال العنصر الجديد في كل موقع ممكن
+    for (let i = 0; i <= perm.length; i++) {
+      result.push([...perm.slice(0, i), n - 1, ...perm.slice(i)]);
+    }
+  }
+  return result;
+}
+
+/**
+ * بحث شامل في جميع ترتيبات الأعمدة
+ * @param {string} ciphertext - النص المشفر
+ * @param {number} width - عدد الأعمدة
+ * @returns {Object} - أفضل نتيجة
+ */
+function exhaustiveSearch(ciphertext, width) {
+  let best = null;
+  for (const order of permutations(width)) {
+    const result = evaluate(ciphertext, order);
+    if (!best || result.score > best.score) best = result;
+  }
+  return best;
+}
+
+/**
+ * خلط عشوائي لترتيب الأعمدة (Fisher-Yates)
+ * @param {number} width - عدد الأعمدة
+ * @returns {number[]} - ترتيب عشوائي
+ */
+function randomOrder(width) {
+  const order = [...Array(width).keys()];
+  for (let i = width - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+/**
+ * تسلق التل في فضاء ترتيبات الأعمدة
+ * @param {string} ciphertext - النص المشفر
+ * @param {number} width - عدد الأعمدة
+ * @param {number} restarts - عدد مرات إعادة البدء العشوائي
+ * @returns {Object} - أفضل نتيجة
+ */
+function hillClimb(ciphertext, width, restarts) {
+  let best = null;
+
+  for (let r = 0; r < restarts; r++) {
+    let current = evaluate(ciphertext, randomOrder(width));
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+
+      // تجربة تبديل كل عمودين
+      for (let i = 0; i < width - 1; i++) {
+        for (let j = i + 1; j < width; j++) {
+          const order = current.order.slice();
+          [order[i], order[j]] = [order[j], order[i]];
+
+          const candidate = evaluate(ciphertext, order);
+          if (candidate.score > current.score) {
+            current = candidate;
+            improved = true;
+          }
+        }
+      }
+    }
+
+    if (!best || current.score > best.score) best = current;
+  }
+
+  return best;
+}
+
+/**
+ * كسر شيفرة التبديل العمودي
+ * @param {string} ciphertext - النص المشفر
+ * @param {Object} [options] - خيارات
+ * @param {number} [options.maxWidth=10] - أقصى عدد أعمدة يُجرب
+ * @param {number} [options.exhaustiveWidth=7] - حتى هذا العدد يُستخدم البحث الشامل، وبعده تسلق التل
+ * @param {number} [options.restarts=10] - عدد مرات إعادة البدء في تسلق التل
+ * @returns {{key: string, order: number[], width: number, plaintext: string, score: number, candidates: Object[]}}
+ *   - key: كلمة مفتاحية تعطي ترتيب الأعمدة المستعاد
+ *   - order: ترتيب قراءة الأعمدة
+ *   - candidates: أفضل نتيجة لكل عدد أعمدة، مرتبة من الأفضل للأسوأ
+ * @throws {Error} - إذا كان النص أقصر من 4 أحرف
+ */
+function crack(ciphertext, options = {}) {
+  const { maxWidth = 10, exhaustiveWidth = 7, restarts = 10 } = options;
+
+  if (ciphertext.length < 4) {
+    throw new Error('Ciphertext must be at least 4 characters long');
+  }
+
+  // عدد الأعمدة لا يتجاوز نصف طول النص (صفان على الأقل)
+  const limit = Math.min(maxWidth, Math.floor(ciphertext.length / 2));
+
+  const candidates = [];
+  for (let width = 2; width <= limit; width++) {
+    const result = width <= exhaustiveWidth
+      ? exhaustiveSearch(ciphertext, width)
+      : hillClimb(ciphertext, width, restarts);
+    candidates.push({ ...result, width });
+  }
+
+  candidates.sort((a, b) => b.score - a.score);
+
+  const best = candidates[0];
+  return {
+    key: best.key,
+    order: best.order,
+    width: best.width,
+    plaintext: best.plaintext,
+    score: best.score,
+    candidates
+  };
+}
+
+// تصدير الدوال
+module.exports = { orderToKey, crack };
+
+// مثال على الاستخدام:
+// const { crack } = require('./columnar');
+// const result = crack(columnar.encrypt(longPlaintext, "ZEBRA"));
+// console.log(result.key);        // ECBDA (نفس ترتيب أعمدة ZEBRA)
+// console.log(result.plaintext);
@@ -0,0 +1,144 @@
+/**
+ * ملف: hill.js
+ * الوصف: هجوم النص المعروف (Known-Plaintext Attack) على شيفرة هيل
+ *
+ * آلية العمل:
+ * - التشفير خطي: C = K × P mod 26
+ * - إذا جمعنا n كتلة من النص الأصلي كأعمدة في مصفوفة P،
+ *   والكتل المشفرة المقابلة كأعمدة في مصفوفة C، فإن: C = K × P
+ * - إذا كانت P قابلة للعكس في mod 26 (الكتل مستقلة خطياً):
+ *   K = C × P⁻¹ mod 26
+ *
+ * هذا يوضح أن شيفرة هيل، رغم قوتها أمام تحليل التكرار، تنهار تماماً
+ * إذا عرف المهاجم جزءاً صغيراً من النص الأصلي (n² حرفاً فقط)
+ */
+
+// استيراد الشيفرة الأصلية والدوال المساعدة
+const hill = require('../substitution/hill');
+const { letterToNum, isLetter, mod, modInverse } = require('../helpers');
+
+/**
+ * تقسيم النص إلى كتل رقمية كاملة بطول n
+ * @param {string} text - النص
+ * @param {number} n - حجم الكتلة
+ * @returns {number[][]} - الكتل (الكتلة الناقصة في النهاية تُهمل)
+ */
+function toBlocks(text, n) {
+  const nums = text.split('').filter(isLetter).map(letterToNum);
+  const blocks = [];
+  for (let i = 0; i + n <= nums.length; i += n) {
+    blocks.push(nums.slice(i, i + n));
+  }
+  return blocks;
+}
+
+/**
+ * بناء مصفوفة n×n من كتل مختارة (كل كتلة تصبح عموداً)
+ * @param {number[][]} blocks - جميع الكتل
+ * @param {number[]} indices - أرقام الكتل المختارة
+ * @returns {number[][]} - المصفوفة
+ */
+function columnsMatrix(blocks, indices) {
+  const n = indices.length;
+  const matrix = [];
+  for (let row = 0; row < n; row++) {
+    matrix.push(indices.map(i => blocks[i][row]));
+  }
+  return matrix;
+}
+
+/**
+ * ضرب مصفوفتين في mod 26
+ * @param {number[][]} a - المصفوفة الأولى
+ * @param {number[][]} b - المصفوفة الثانية
+ * @returns {number[][]} - الناتج a × b
+ */
+function multiplyMatrices(a, b) {
+  return a.map(row =>
+    b[0].map((_, j) => mod(row.reduce((sum, val, k) => sum + val * b[k][j], 0), 26))
+  );
+}
+
+/**
+ * البحث عن n كتلة تُكوّن مصفوفة قابلة للعكس في mod 26
+ * @param {number[][]} blocks - كتل النص الأصلي
+ * @param {number} n - حجم المصفوفة
+ * @returns {number[]|null} - أرقام الكتل المختارة، أو null إذا لم توجد
+ */
+function findIndependentBlocks(blocks, n) {
+  // تجربة جميع التوافيق (combinations) بالترتيب حتى نجد مجموعة صالحة
+  function search(start, chosen) {
+    if (chosen.length === n) {
+      const det = mod(hill.determinant(columnsMatrix(blocks, chosen)), 26);
+      return modInverse(det, 26) !== null ? chosen : null;
+    }
+    for (let i = start; i < blocks.length; i++) {
+      const found = search(i + 1, [...chosen, i]);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  return search(0, []);
+}
+
+/**
+ * استعادة مصفوفة المفتاح من نص أصلي ونص مشفر متطابقين
+ *
+ * يجب أن يبدأ الجزءان عند بداية كتلة (أي عند موقع من مضاعفات n في الرسالة)
+ *
+ * @param {string} plaintext - جزء من النص الأصلي
+ * @param {string} ciphertext - الجزء المشفر المقابل له
+ * @param {number} n - حجم مصفوفة المفتاح (2 للمصفوفة 2×2، 3 للمصفوفة 3×3)
+ * @returns {{key: number[][], blocks: number[]}}
+ *   - key: مصفوفة المفتاح المستعادة
+ *   - blocks: أرقام الكتل التي استُخدمت في الحل
+ * @throws {Error} - إذا كانت المدخلات غير متطابقة أو لا تحتوي على n كتلة مستقلة خطياً
+ */
+function knownPlaintextAttack(plaintext, ciphertext, n) {
+  if (!Number.isInteger(n) || n < 1) {
+    throw new Error('Matrix size n must be a positive integer');
+  }
+
+  const plainBlocks = toBlocks(plaintext, n);
+  const cipherBlocks = toBlocks(ciphertext, n);
+
+  // الكتل الزائدة في النص المشفر (مثل حشو X) لا تُستخدم
+  const count = Math.min(plainBlocks.length, cipherBlocks.length);
+  if (count < n) {
+    throw new Error(`Need at least ${n} complete blocks (${n * n} letters) of matching plaintext and ciphertext, got ${count}`);
+  }
+
+  const indices = findIndependentBlocks(plainBlocks.slice(0, count), n);
+  if (!indices) {
+    throw new Error(
+      `The supplied plaintext has no ${n} blocks that are linearly independent mod 26 ` +
+      '(every candidate matrix has a determinant sharing a factor with 26). Supply more matching plaintext/ciphertext.'
+    );
+  }
+
+  // K = C × P⁻¹ mod 26
+  const P = columnsMatrix(plainBlocks, indices);
+  const C = columnsMatrix(cipherBlocks, indices);
+  const key = multiplyMatrices(C, hill.matrixInverseMod26(P));
+
+  // التحقق: المفتاح يجب أن يُنتج جميع الكتل المعروفة، لا المختارة فقط
+  for (let i = 0; i < count; i++) {
+    const expected = cipherBlocks[i];
+    const actual = multiplyMatrices(key, plainBlocks[i].map(v => [v])).map(r => r[0]);
+    if (actual.some((v, j) => v !== expected[j])) {
+      throw new Error(`Block ${i} does not match the recovered key; check that plaintext and ciphertext are aligned`);
+    }
+  }
+
+  return { key, blocks: indices };
+}
+
+// تصدير الدوال
+module.exports = { knownPlaintextAttack };
+
+// مثال على الاستخدام:
+// const { knownPlaintextAttack } = require('./hill');
+// const key = [[3, 3], [2, 5]];
+// const ciphertext = hillCipher.encrypt("HELPMEPLEASE", key);
+// console.log(knownPlaintextAttack("HELPMEPLEASE", ciphertext, 2).key);  // [[3, 3], [2, 5]]
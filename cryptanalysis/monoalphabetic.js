@@ -0,0 +1,198 @@
+/**
+ * ملف: monoalphabetic.js
+ * الوصف: كسر شيفرة الاستبدال الأحادي بخوارزمية تسلق التل (Hill Climbing)
+ *
+ * آلية العمل:
+ * 1. تخمين أولي: ربط أكثر الأحرف تكراراً في النص المشفر بأكثر الأحرف تكراراً في الإنجليزية
+ * 2. تسلق التل: تبديل حرفين في المفتاح، والإبقاء على التبديل إذا تحسّن تقييم النص
+ * 3. الهزّ: عند التوقف في قمة محلية، يُهزّ أفضل مفتاح ببضعة تبديلات عشوائية ويُعاد التسلق،
+ *    حتى لا يتحسن التقييم لعدد من الجولات المتتالية (لا يضيع ما تم حله من المفتاح)
+ * 4. إعادة البدء العشوائي: يتكرر البحث كله من مفاتيح عشوائية، ويُحتفظ بالأفضل
+ *
+ * التقييم: لوغاريتم احتمالات المجموعات الرباعية (quadgrams) في الإنجليزية
+ *
+ * فضاء المفاتيح 26! ≈ 4 × 10²⁶، لكن البحث الموجّه يكسرها في ثوانٍ
+ */
+
+// استيراد الشيفرة الأصلية ودوال التحليل
+const monoalphabetic = require('../substitution/monoalphabetic');
+const { letterToNum, numToLetter, isLetter } = require('../helpers');
+const { letterCounts, quadgramScoreNums } = require('../fitness');
+
+// الأحرف الإنجليزية مرتبة من الأكثر تكراراً إلى الأقل
+const ENGLISH_ORDER = 'ETAOINSHRDLCUMWFGYPBVKJXQZ';
+
+/**
+ * بناء التخمين الأولي من تكرار الأحرف
+ * @param {number[]} nums - أحرف النص المشفر كأرقام
+ * @returns {number[]} - جدول فك التشفير: plainOf[c] = الحرف الأصلي للحرف المشفر c
+ */
+function frequencyGuess(nums) {
+  const counts = letterCounts(nums.map(numToLetter).join(''));
+
+  // الأحرف المشفرة مرتبة تنازلياً حسب التكرار
+  const cipherOrder = [...Array(26).keys()].sort((a, b) => counts[b] - counts[a]);
+
+  const plainOf = Array(26);
+  cipherOrder.forEach((c, rank) => {
+    plainOf[c] = letterToNum(ENGLISH_ORDER[rank]);
+  });
+  return plainOf;
+}
+
+/**
+ * خلط عشوائي لجدول فك التشفير (Fisher-Yates)
+ * @param {number[]} plainOf - الجدول
+ * @returns {number[]} - نسخة مخلوطة
+ */
+function shuffle(plainOf) {
+  const result = plainOf.slice();
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * هزّ جدول فك التشفير بعدد قليل من التبديلات العشوائية بين حرفين
+ * @param {number[]} plainOf - الجدول
+ * @param {number} swaps - عدد التبديلات
+ * @returns {number[]} - نسخة معدّلة
+ */
+function perturb(plainOf, swaps) {
+  const result = plainOf.slice();
+  for (let k = 0; k < swaps; k++) {
+    const i = Math.floor(Math.random() * 26);
+    const j = Math.floor(Math.random() * 26);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * تقييم جدول فك تشفير معين
+ * @param {number[]} nums - أحرف النص المشفر
+ * @param {number[]} plainOf - جدول فك التشفير
+ * @returns {number} - تقييم النص الناتج
+ */
+function evaluate(nums, plainOf) {
+  return quadgramScoreNums(nums.map(c => plainOf[c]));
+}
+
+/**
+ * تسلق التل من نقطة بداية معينة حتى لا يتحسن التقييم
+ * @param {number[]} nums - أحرف النص المشفر
+ * @param {number[]} start - جدول البداية
+ * @returns {{plainOf: number[], score: number}} - أفضل جدول وصلنا إليه
+ */
+function climb(nums, start) {
+  let plainOf = start.slice();
+  let score = evaluate(nums, plainOf);
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+
+    // تجربة جميع التبديلات الممكنة بين حرفين
+    for (let i = 0; i < 25; i++) {
+      for (let j = i + 1; j < 26; j++) {
+        [plainOf[i], plainOf[j]] = [plainOf[j], plainOf[i]];
+        const candidate = evaluate(nums, plainOf);
+
+        if (candidate > score) {
+          score = candidate;
+          improved = true;
+        } else {
+          // التراجع عن التبديل
+          [plainOf[i], plainOf[j]] = [plainOf[j], plainOf[i]];
+        }
+      }
+    }
+  }
+
+  return { plainOf, score };
+}
+
+/**
+ * بحث كامل من نقطة بداية: تسلق التل، ثم هزّ أفضل مفتاح وإعادة التسلق
+ * حتى يمر عدد patience من الجولات المتتالية دون تحسّن
+ * @param {number[]} nums - أحرف النص المشفر
+ * @param {number[]} start - جدول البداية
+ * @param {number} patience - عدد الجولات دون تحسّن قبل التوقف
+ * @param {number} swaps - عدد التبديلات العشوائية في كل هزّة
+ * @returns {{plainOf: number[], score: number}} - أفضل جدول وصلنا إليه
+ */
+function search(nums, start, patience, swaps) {
+  let best = climb(nums, start);
+
+  let stale = 0;
+  while (stale < patience) {
+    const result = climb(nums, perturb(best.plainOf, swaps));
+    if (result.score > best.score) {
+      best = result;
+      stale = 0;
+    } else {
+      stale++;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * تحويل جدول فك التشفير إلى مفتاح بصيغة monoalphabetic.js
+ * المفتاح: key[p] = الحرف المشفر المقابل للحرف الأصلي p
+ * @param {number[]} plainOf - جدول فك التشفير
+ * @returns {string} - مفتاح من 26 حرفاً (مثل QWERTY...)
+ */
+function toKey(plainOf) {
+  const key = Array(26);
+  plainOf.forEach((p, c) => {
+    key[p] = numToLetter(c);
+  });
+  return key.join('');
+}
+
+/**
+ * كسر شيفرة الاستبدال الأحادي دون معرفة المفتاح
+ * @param {string} ciphertext - النص المشفر (يُفضّل 200 حرف أو أكثر)
+ * @param {Object} [options] - خيارات البحث
+ * @param {number} [options.restarts=3] - عدد مرات إعادة البدء العشوائي
+ * @param {number} [options.patience=30] - عدد الجولات المتتالية دون تحسّن قبل التوقف
+ * @param {number} [options.swaps=3] - عدد التبديلات العشوائية في كل هزّة
+ * @returns {{key: string, plaintext: string, score: number}}
+ *   - key: المفتاح المستعاد (يقبله validateKey في monoalphabetic.js)
+ *   - plaintext: النص بعد فك التشفير
+ *   - score: تقييم المجموعات الرباعية للنص الناتج
+ * @throws {Error} - إذا كان النص أقصر من 4 أحرف
+ */
+function crack(ciphertext, options = {}) {
+  const { restarts = 3, patience = 30, swaps = 3 } = options;
+  const nums = ciphertext.split('').filter(isLetter).map(letterToNum);
+
+  if (nums.length < 4) {
+    throw new Error('Ciphertext must contain at least four letters');
+  }
+
+  // البداية الأولى من التخمين المبني على التكرار، والبقية من مفاتيح عشوائية
+  const guess = frequencyGuess(nums);
+  let best = search(nums, guess, patience, swaps);
+
+  for (let i = 1; i < restarts; i++) {
+    const result = search(nums, shuffle(guess), patience, swaps);
+    if (result.score > best.score) best = result;
+  }
+
+  const key = toKey(best.plainOf);
+  return { key, plaintext: monoalphabetic.decrypt(ciphertext, key), score: best.score };
+}
+
+// تصدير الدوال
+module.exports = { crack };
+
+// مثال على الاستخدام:
+// const { crack } = require('./monoalphabetic');
+// const result = crack(longCiphertext);
+// console.log(result.key);        // QWERTYUIOPASDFGHJKLZXCVBNM (تقريباً)
+// console.log(result.plaintext);
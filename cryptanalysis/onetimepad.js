@@ -0,0 +1,227 @@
+/**
+ * ملف: onetimepad.js
+ * الوصف: تحليل اللوحة لمرة واحدة عند إعادة استخدام المفتاح (Two-Time Pad) بسحب الكلمات (Crib Dragging)
+ *
+ * آلية العمل:
+ * - إذا شُفّرت رسالتان بنفس المفتاح:
+ *     C₁ = P₁ + K ، C₂ = P₂ + K
+ *     ⇒ C₁ - C₂ = P₁ - P₂ (mod 26)
+ *   المفتاح يختفي تماماً، ويبقى فرق نصين إنجليزيين لا يوفر أي سرية
+ * - سحب الكلمة (Crib Dragging): نخمّن كلمة في إحدى الرسائل (مثل THE)،
+ *   ونضعها في كل موقع ممكن:
+ *     K = C₁ - crib ، ثم P₂ = C₂ - K
+ *   إذا ظهر في الرسائل الأخرى نص مقروء، فالتخمين والموقع صحيحان غالباً
+ * - كل تخمين صحيح يكشف جزءاً من المفتاح، وبالتالي من جميع الرسائل
+ *
+ * هذا يوضح لماذا تشترط السرية التامة ألا يُستخدم المفتاح أكثر من مرة
+ */
+
+// استيراد الدوال المساعدة ودوال التحليل
+const { letterToNum, numToLetter, isLetter, mod } = require('../helpers');
+const { trigramScoreNums } = require('../fitness');
+
+/**
+ * تحويل النص إلى أرقام (الأحرف فقط)
+ * @param {string} text - النص
+ * @returns {number[]} - الأحرف كأرقام
+ */
+function toNums(text) {
+  return text.split('').filter(isLetter).map(letterToNum);
+}
+
+/**
+ * التحقق من قائمة النصوص المشفرة وتحويلها إلى أرقام
+ * @param {string[]} ciphertexts - النصوص المشفرة بنفس المفتاح
+ * @returns {number[][]} - أحرف كل نص كأرقام
+ * @throws {Error} - إذا كانت أقل من نصين أو أحدها بلا أحرف
+ */
+function prepare(ciphertexts) {
+  if (!Array.isArray(ciphertexts) || ciphertexts.length < 2) {
+    throw new Error('Need at least two ciphertexts encrypted with the same key');
+  }
+
+  const messages = ciphertexts.map(toNums);
+  if (messages.some(m => m.length === 0)) {
+    throw new Error('Every ciphertext must contain at least one letter');
+  }
+  return messages;
+}
+
+/**
+ * حساب الفرق mod 26 بين كل زوج من النصوص المشفرة
+ *
+ * الفرق يساوي فرق النصين الأصليين (P₁ - P₂) ولا يعتمد على المفتاح
+ *
+ * @param {string[]} ciphertexts - النصوص المشفرة بنفس المفتاح
+ * @returns {{first: number, second: number, difference: string}[]}
+ *   - first, second: رقما الرسالتين
+ *   - difference: الفرق كأحرف (A=0) بطول أقصر الرسالتين
+ *
+ * مثال: differences(["EQNVZ", "LIZVZ"]) → [{ first: 0, second: 1, difference: "TIOAA" }]
+ */
+function differences(ciphertexts) {
+  const messages = prepare(ciphertexts);
+  const result = [];
+
+  for (let i = 0; i < messages.length; i++) {
+    for (let j = i + 1; j < messages.length; j++) {
+      const length = Math.min(messages[i].length, messages[j].length);
+      let difference = '';
+      for (let k = 0; k < length; k++) {
+        difference += numToLetter(mod(messages[i][k] - messages[j][k], 26));
+      }
+      result.push({ first: i, second: j, difference });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * سحب كلمة معروفة عبر إحدى الرسائل وتقييم ما تكشفه في الرسائل الأخرى
+ *
+ * لكل موقع: جزء المفتاح = النص المشفر - الكلمة، ثم يُطبق على باقي الرسائل
+ * النص المكشوف يُقيّم بمتوسط لوغاريتم احتمالات المجموعات الثلاثية
+ *
+ * @param {string[]} ciphertexts - النصوص المشفرة بنفس المفتاح
+ * @param {string} crib - الكلمة المخمّنة (3 أحرف على الأقل)
+ * @param {Object} [options] - خيارات
+ * @param {number} [options.message] - رقم الرسالة التي تُسحب فيها الكلمة (افتراضياً جميع الرسائل)
+ * @param {number} [options.threshold=-4] - أدنى متوسط تقييم ليُعتبر النص مقروءاً
+ * @returns {{message: number, position: number, key: string, fragments: Object[], score: number, plausible: boolean}[]}
+ *   جميع المواضع مرتبة من الأرجح للأقل:
+ *   - message, position: الرسالة وموقع الكلمة فيها (بعدد الأحرف)
+ *   - key: جزء المفتاح الناتج
+ *   - fragments: [{message, text}] النص المكشوف في كل رسالة أخرى
+ *   - score: متوسط تقييم المجموعات الثلاثية في النصوص المكشوفة
+ *   - plausible: هل التقييم فوق الحد
+ * @throws {Error} - إذا كانت الكلمة أقصر من 3 أحرف
+ */
+function dragCrib(ciphertexts, crib, options = {}) {
+  const messages = prepare(ciphertexts);
+  const { message, threshold = -4 } = options;
+  const cribNums = toNums(crib);
+
+  if (cribNums.length < 3) {
+    throw new Error('Crib must contain at least three letters');
+  }
+
+  const targets = message === undefined ? messages.map((_, i) => i) : [message];
+  const results = [];
+
+  for (const target of targets) {
+    const cipher = messages[target];
+    if (!cipher) throw new Error(`Message ${target} does not exist`);
+
+    for (let position = 0; position + cribNums.length <= cipher.length; position++) {
+      // K = C - crib
+      const keyNums = cribNums.map((p, i) => mod(cipher[position + i] - p, 26));
+
+      // P = C - K في كل رسالة أخرى (قد تكون أقصر فيُكشف جزء فقط)
+      const fragments = [];
+      let total = 0;
+      let trigrams = 0;
+
+      messages.forEach((other, index) => {
+        if (index === target) return;
+        const revealed = [];
+        for (let i = 0; i < keyNums.length && position + i < other.length; i++) {
+          revealed.push(mod(other[position + i] - keyNums[i], 26));
+        }
+        if (revealed.length === 0) return;
+
+        fragments.push({ message: index, text: revealed.map(numToLetter).join('') });
+        if (revealed.length >= 3) {
+          total += trigramScoreNums(revealed);
+          trigrams += revealed.length - 2;
+        }
+      });
+
+      if (trigrams === 0) continue;
+
+      const score = total / trigrams;
+      results.push({
+        message: target,
+        position,
+        key: keyNums.map(numToLetter).join(''),
+        fragments,
+        score,
+        plausible: score >= threshold
+      });
+    }
+  }
+
+  // الأعلى تقييماً أولاً
+  results.sort((a, b) => b.score - a.score);
+  return results;
+}
+
+/**
+ * تثبيت كلمة في موقع معين وإضافة جزء المفتاح الناتج إلى المفتاح الجزئي
+ *
+ * تُستخدم بعد dragCrib لبناء المفتاح تدريجياً (خطوة بخطوة)
+ *
+ * @param {string[]} ciphertexts - النصوص المشفرة بنفس المفتاح
+ * @param {string} crib - الكلمة
+ * @param {number} message - رقم الرسالة التي تحتوي الكلمة
+ * @param {number} position - موقع الكلمة (بعدد الأحرف)
+ * @param {(string|null)[]} [partialKey=[]] - المفتاح الجزئي الحالي (null للمواقع المجهولة)
+ * @returns {(string|null)[]} - مفتاح جزئي جديد (المدخل لا يتغير)
+ * @throws {Error} - إذا خرجت الكلمة عن حدود الرسالة أو تعارضت مع المفتاح الجزئي
+ */
+function placeCrib(ciphertexts, crib, message, position, partialKey = []) {
+  const messages = prepare(ciphertexts);
+  const cipher = messages[message];
+  const cribNums = toNums(crib);
+
+  if (!cipher) {
+    throw new Error(`Message ${message} does not exist`);
+  }
+  if (!Number.isInteger(position) || position < 0 || position + cribNums.length > cipher.length) {
+    throw new Error(`Crib "${crib}" does not fit in message ${message} at position ${position}`);
+  }
+
+  const length = Math.max(...messages.map(m => m.length));
+  const key = Array.from({ length }, (_, i) => partialKey[i] || null);
+
+  cribNums.forEach((p, i) => {
+    const k = numToLetter(mod(cipher[position + i] - p, 26));
+    const existing = key[position + i];
+    if (existing && existing !== k) {
+      throw new Error(`Crib "${crib}" conflicts with the key already recovered at position ${position + i}`);
+    }
+    key[position + i] = k;
+  });
+
+  return key;
+}
+
+/**
+ * كشف الرسائل باستخدام مفتاح جزئي
+ * @param {string[]} ciphertexts - النصوص المشفرة بنفس المفتاح
+ * @param {(string|null)[]} partialKey - المفتاح الجزئي
+ * @param {string} [unknown='_'] - الرمز الذي يظهر مكان الأحرف المجهولة
+ * @returns {string[]} - الرسائل بعد فك تشفير المواقع المعروفة فقط
+ *
+ * مثال: reveal(["EQNVZ", "LIZVZ"], ['X', 'M', null, null, null]) → ["HE___", "OW___"]
+ */
+function reveal(ciphertexts, partialKey, unknown = '_') {
+  return prepare(ciphertexts).map(cipher =>
+    cipher.map((c, i) => {
+      const k = partialKey[i];
+      return k ? numToLetter(mod(c - letterToNum(k), 26)) : unknown;
+    }).join('')
+  );
+}
+
+// تصدير الدوال
+module.exports = { differences, dragCrib, placeCrib, reveal };
+
+// مثال على الاستخدام:
+// const twoTimePad = require('./onetimepad');
+// const c1 = otp.encrypt("MEETATTHEDOCKS", key);
+// const c2 = otp.encrypt("THEPLANISREADY", key);   // نفس المفتاح!
+// twoTimePad.dragCrib([c1, c2], "THE", { message: 1 }).filter(r => r.plausible);
+// // → من بينها { message: 1, position: 0, fragments: [{ message: 0, text: 'MEE' }], ... }
+// let key = twoTimePad.placeCrib([c1, c2], "THE", 1, 0);
+// twoTimePad.reveal([c1, c2], key);                // ["MEE___________", "THE___________"]
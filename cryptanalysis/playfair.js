@@ -0,0 +1,219 @@
+/**
+ * ملف: playfair.js
+ * الوصف: كسر شيفرة بلايفير بالتلدين المحاكى (Simulated Annealing)
+ *
+ * آلية العمل:
+ * - المفتاح مصفوفة 5×5 (25! ترتيب ممكن)، لذلك البحث الشامل مستحيل
+ * - نبدأ بمصفوفة عشوائية ونعدّلها خطوة بخطوة:
+ *   - تبديل حرفين (أغلب الخطوات)
+ *   - تبديل صفين أو عمودين
+ *   - قلب المصفوفة (Transpose)
+ * - التلدين المحاكى: نقبل دائماً التعديل الأفضل، ونقبل أحياناً التعديل الأسوأ
+ *   باحتمال e^(Δ/T) حيث T "درجة حرارة" تنخفض تدريجياً
+ *   هذا يسمح بالخروج من القمم المحلية التي يعلق فيها تسلق التل
+ * - درجة الحرارة تتناسب مع طول النص لأن فرق التقييم بين مفتاحين يكبر مع طوله
+ * - نكرر التلدين عدة مرات من مصفوفات عشوائية ونحتفظ بالأفضل
+ * - التقييم: المجموعات الرباعية (quadgrams) للنص بعد فك التشفير
+ *
+ * ملاحظة: الإزاحة الدورية لصفوف أو أعمدة المصفوفة تعطي مفتاحاً مكافئاً،
+ * لذلك قد تختلف المصفوفة المستعادة شكلياً عن الأصلية مع نفس النتيجة
+ */
+
+// استيراد الشيفرة الأصلية ودوال التحليل
+const playfair = require('../substitution/playfair');
+const { letterToNum, numToLetter, isLetter } = require('../helpers');
+const { quadgramScoreNums } = require('../fitness');
+
+// أبجدية بلايفير: 25 حرفاً بدون J
+const PLAYFAIR_ALPHABET = 'ABCDEFGHIKLMNOPQRSTUVWXYZ'.split('').map(letterToNum);
+
+/**
+ * فك تشفير سريع بالأرقام (يُستدعى ملايين المرات أثناء البحث)
+ * @param {number[]} cipher - أحرف النص المشفر كأرقام (طول زوجي)
+ * @param {number[]} square - المصفوفة كمصفوفة خطية من 25 حرفاً
+ * @param {number[]} pos - موقع كل حرف في المصفوفة (pos[letter] = 0..24)
+ * @param {number[]} out - مصفوفة الناتج (تُعاد كتابتها)
+ * @returns {number[]} - النص بعد فك التشفير
+ */
+function decryptNums(cipher, square, pos, out) {
+  for (let i = 0; i < cipher.length; i += 2) {
+    const a = pos[cipher[i]];
+    const b = pos[cipher[i + 1]];
+    const ra = (a / 5) | 0, ca = a % 5;
+    const rb = (b / 5) | 0, cb = b % 5;
+
+    if (ra === rb) {
+      // نفس الصف: إزاحة لليسار
+      out[i] = square[ra * 5 + (ca + 4) % 5];
+      out[i + 1] = square[rb * 5 + (cb + 4) % 5];
+    } else if (ca === cb) {
+      // نفس العمود: إزاحة للأعلى
+      out[i] = square[((ra + 4) % 5) * 5 + ca];
+      out[i + 1] = square[((rb + 4) % 5) * 5 + cb];
+    } else {
+      // مستطيل: تبديل الأعمدة
+      out[i] = square[ra * 5 + cb];
+      out[i + 1] = square[rb * 5 + ca];
+    }
+  }
+  return out;
+}
+
+/**
+ * تقييم مصفوفة معينة
+ * @param {number[]} cipher - النص المشفر كأرقام
+ * @param {number[]} square - المصفوفة
+ * @param {number[]} out - مصفوفة مؤقتة للناتج
+ * @returns {number} - تقييم المجموعات الرباعية
+ */
+function fitness(cipher, square, out) {
+  const pos = new Int8Array(26);
+  for (let i = 0; i < 25; i++) pos[square[i]] = i;
+  return quadgramScoreNums(decryptNums(cipher, square, pos, out));
+}
+
+/**
+ * إنشاء مصفوفة عشوائية (Fisher-Yates)
+ * @returns {number[]} - 25 حرفاً بترتيب عشوائي
+ */
+function randomSquare() {
+  const square = PLAYFAIR_ALPHABET.slice();
+  for (let i = square.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [square[i], square[j]] = [square[j], square[i]];
+  }
+  return square;
+}
+
+/**
+ * تعديل عشوائي للمصفوفة (خطوة واحدة في البحث)
+ * @param {number[]} square - المصفوفة الحالية
+ * @returns {number[]} - مصفوفة جديدة معدلة
+ */
+function modify(square) {
+  const child = square.slice();
+  const move = Math.random();
+  const x = Math.floor(Math.random() * 5);
+  const y = Math.floor(Math.random() * 5);
+
+  if (move < 0.90) {
+    // تبديل حرفين
+    const i = Math.floor(Math.random() * 25);
+    const j = Math.floor(Math.random() * 25);
+    [child[i], child[j]] = [child[j], child[i]];
+  } else if (move < 0.94) {
+    // تبديل صفين
+    for (let c = 0; c < 5; c++) {
+      [child[x * 5 + c], child[y * 5 + c]] = [child[y * 5 + c], child[x * 5 + c]];
+    }
+  } else if (move < 0.98) {
+    // تبديل عمودين
+    for (let r = 0; r < 5; r++) {
+      [child[r * 5 + x], child[r * 5 + y]] = [child[r * 5 + y], child[r * 5 + x]];
+    }
+  } else {
+    // قلب المصفوفة (الصفوف تصبح أعمدة)
+    for (let r = 0; r < 5; r++) {
+      for (let c = 0; c < 5; c++) {
+        child[c * 5 + r] = square[r * 5 + c];
+      }
+    }
+  }
+
+  return child;
+}
+
+/**
+ * جولة تلدين واحدة تبدأ من مصفوفة عشوائية
+ *
+ * الحرارة تنخفض خطياً من 1.25T إلى 0.75T فقط: البحث حساس لدرجة الحرارة،
+ * فإذا كانت أعلى من اللازم تاه البحث، وإذا كانت أقل علق في قمة محلية
+ *
+ * @param {number[]} cipher - النص المشفر كأرقام
+ * @param {number} temperature - درجة الحرارة المتوسطة T
+ * @param {number} iterations - عدد التعديلات في الجولة
+ * @returns {{square: number[], score: number}} - أفضل مصفوفة وُجدت
+ */
+function anneal(cipher, temperature, iterations) {
+  const out = Array(cipher.length);
+  let parent = randomSquare();
+  let parentScore = fitness(cipher, parent, out);
+  let best = parent;
+  let bestScore = parentScore;
+
+  for (let i = 0; i < iterations; i++) {
+    const t = temperature * (1.25 - 0.5 * i / iterations);
+    const child = modify(parent);
+    const score = fitness(cipher, child, out);
+    const delta = score - parentScore;
+
+    // قبول التحسين دائماً، وقبول التراجع باحتمال يقل مع انخفاض الحرارة
+    if (delta >= 0 || Math.random() < Math.exp(delta / t)) {
+      parent = child;
+      parentScore = score;
+
+      if (parentScore > bestScore) {
+        best = parent;
+        bestScore = parentScore;
+      }
+    }
+  }
+
+  return { square: best, score: bestScore };
+}
+
+/**
+ * كسر شيفرة بلايفير دون معرفة المفتاح
+ *
+ * البحث عشوائي: كل جولة تنجح باحتمال معين، لذلك نكرر الجولات
+ * يحتاج نصاً طويلاً نسبياً (~300 حرف أو أكثر)؛ النصوص القصيرة لا تكفي
+ * لتمييز المفتاح الصحيح بالإحصاءات المرفقة
+ *
+ * @param {string} ciphertext - النص المشفر
+ * @param {Object} [options] - خيارات التلدين
+ * @param {number} [options.restarts=3] - عدد جولات التلدين
+ * @param {number} [options.iterations=1000000] - عدد التعديلات في كل جولة
+ * @param {number} [options.temperature] - درجة الحرارة المتوسطة (افتراضياً 0.03 × عدد الأحرف)
+ * @returns {{key: string, matrix: string[][], plaintext: string, score: number}}
+ *   - key: المصفوفة كسلسلة من 25 حرفاً (تصلح كمفتاح لـ playfair.js)
+ *   - matrix: المصفوفة بصيغة generateMatrix
+ *   - plaintext: النص بعد فك التشفير
+ *   - score: تقييم المجموعات الرباعية
+ * @throws {Error} - إذا كان النص أقصر من 4 أحرف
+ */
+function crack(ciphertext, options = {}) {
+  const cipher = ciphertext.toUpperCase().split('').filter(isLetter)
+    .map(c => letterToNum(c === 'J' ? 'I' : c));
+
+  if (cipher.length < 4) {
+    throw new Error('Ciphertext must contain at least four letters');
+  }
+
+  // النص المشفر بلايفير دائماً بطول زوجي؛ نكمل بـ X كما في playfair.decrypt
+  if (cipher.length % 2 !== 0) cipher.push(letterToNum('X'));
+
+  const { restarts = 3, iterations = 1000000, temperature = 0.03 * cipher.length } = options;
+
+  let best = null;
+  for (let r = 0; r < restarts; r++) {
+    const result = anneal(cipher, temperature, iterations);
+    if (!best || result.score > best.score) best = result;
+  }
+
+  const key = best.square.map(numToLetter).join('');
+  return {
+    key,
+    matrix: playfair.generateMatrix(key),
+    plaintext: playfair.decrypt(ciphertext, key),
+    score: best.score
+  };
+}
+
+// تصدير الدوال
+module.exports = { crack };
+
+// مثال على الاستخدام:
+// const { crack } = require('./playfair');
+// const result = crack(longCiphertext);
+// console.log(result.matrix);     // المصفوفة 5×5 المستعادة
+// console.log(result.plaintext);
@@ -0,0 +1,57 @@
+/**
+ * ملف: railfence.js
+ * الوصف: كسر شيفرة السياج (Rail Fence) بتجربة جميع أعداد السكك
+ *
+ * آلية العمل:
+ * - شيفرات التبديل لا تغير الأحرف، بل مواقعها فقط
+ *   لذلك تكرار الأحرف في النص المشفر مطابق للإنجليزية ولا يفيد في الكسر
+ * - بدلاً من ذلك نقيس ترتيب الأحرف: نجرب كل عدد سكك ممكن
+ *   ونقيّم النص الناتج بالمجموعات الرباعية (quadgrams)
+ * - المفتاح الصحيح يُعيد الأحرف إلى ترتيبها فتظهر مجموعات مثل THE و TION
+ */
+
+// استيراد الشيفرة الأصلية ودوال التحليل
+const railfence = require('../transposition/railfence');
+const { quadgramScore } = require('../fitness');
+
+/**
+ * كسر شيفرة السياج
+ * @param {string} ciphertext - النص المشفر
+ * @param {Object} [options] - خيارات
+ * @param {number} [options.maxRails=20] - أقصى عدد سكك يُجرب
+ * @returns {{key: number, plaintext: string, score: number, candidates: Object[]}}
+ *   - key: عدد السكك الأرجح
+ *   - candidates: [{key, score, plaintext}] لكل عدد سكك، مرتبة من الأفضل للأسوأ
+ * @throws {Error} - إذا كان النص أقصر من 3 أحرف
+ */
+function crack(ciphertext, options = {}) {
+  const { maxRails = 20 } = options;
+
+  if (ciphertext.length < 3) {
+    throw new Error('Ciphertext must be at least 3 characters long');
+  }
+
+  // عدد السكك لا يفيد إذا تجاوز طول النص (كل حرف في سكة منفصلة)
+  const limit = Math.min(maxRails, ciphertext.length - 1);
+
+  const candidates = [];
+  for (let rails = 2; rails <= limit; rails++) {
+    const plaintext = railfence.decrypt(ciphertext, rails);
+    candidates.push({ key: rails, score: quadgramScore(plaintext), plaintext });
+  }
+
+  // الأعلى تقييماً أولاً
+  candidates.sort((a, b) => b.score - a.score);
+
+  const best = candidates[0];
+  return { key: best.key, plaintext: best.plaintext, score: best.score, candidates };
+}
+
+// تصدير الدوال
+module.exports = { crack };
+
+// مثال على الاستخدام:
+// const { crack } = require('./railfence');
+// const result = crack(railfence.encrypt("DEFEND THE EAST WALL OF THE CASTLE", 4));
+// console.log(result.key);        // 4
+// console.log(result.plaintext);  // DEFEND THE EAST WALL OF THE CASTLE
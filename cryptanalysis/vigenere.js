@@ -0,0 +1,221 @@
+/**
+ * ملف: vigenere.js
+ * الوصف: كسر شيفرة فيجنير (فحص كاسيسكي + مؤشر التطابق + تحليل التكرار)
+ *
+ * آلية العمل:
+ * 1. تقدير طول المفتاح:
+ *    - فحص كاسيسكي (Kasiski): الثلاثيات المتكررة في النص المشفر تظهر غالباً
+ *      على مسافات تساوي مضاعفات طول المفتاح
+ *    - اختبار فريدمان / مؤشر التطابق (IoC): عند تقسيم النص إلى أعمدة بطول
+ *      المفتاح الصحيح، يصبح كل عمود شيفرة قيصر عادية ومؤشره قريب من الإنجليزية
+ * 2. استعادة أحرف المفتاح: كل عمود يُكسر كشيفرة قيصر مستقلة
+ *
+ * هذا يوضح لماذا تُصنف شيفرة فيجنير "متوسطة": المفتاح الدوري يترك أثراً إحصائياً
+ */
+
+// استيراد الشيفرة الأصلية ودوال التحليل
+const vigenere = require('../substitution/vigenere');
+const caesarCrack = require('./caesar');
+const { isLetter, numToLetter } = require('../helpers');
+const { ENGLISH_IOC, RANDOM_IOC, indexOfCoincidence } = require('../fitness');
+
+/**
+ * استخراج الأحرف فقط من النص (بأحرف كبيرة)
+ * @param {string} text - النص
+ * @returns {string} - الأحرف الأبجدية فقط
+ */
+function lettersOnly(text) {
+  return text.toUpperCase().split('').filter(isLetter).join('');
+}
+
+/**
+ * تقسيم النص إلى أعمدة حسب طول المفتاح
+ * العمود i يحتوي على الأحرف في المواقع i, i + L, i + 2L, ...
+ * @param {string} letters - الأحرف فقط
+ * @param {number} length - طول المفتاح المفترض
+ * @returns {string[]} - مصفوفة الأعمدة
+ */
+function splitColumns(letters, length) {
+  const columns = Array(length).fill('');
+  for (let i = 0; i < letters.length; i++) {
+    columns[i % length] += letters[i];
+  }
+  return columns;
+}
+
+/**
+ * فحص كاسيسكي: إيجاد الثلاثيات المتكررة والمسافات بينها
+ * @param {string} ciphertext - النص المشفر
+ * @param {number} maxKeyLength - أقصى طول مفتاح يُفحص
+ * @returns {{repeats: Object[], factors: Object[]}}
+ *   - repeats: كل ثلاثية متكررة مع مواقعها والمسافات بين ظهوراتها
+ *   - factors: لكل طول مفتاح، عدد المسافات التي تقبل القسمة عليه
+ */
+function kasiski(ciphertext, maxKeyLength = 20) {
+  const letters = lettersOnly(ciphertext);
+
+  // تسجيل مواقع كل ثلاثية (trigram)
+  const positions = new Map();
+  for (let i = 0; i + 3 <= letters.length; i++) {
+    const trigram = letters.slice(i, i + 3);
+    if (!positions.has(trigram)) positions.set(trigram, []);
+    positions.get(trigram).push(i);
+  }
+
+  // الاحتفاظ بالثلاثيات المتكررة فقط وحساب المسافات بين الظهورات المتتالية
+  const repeats = [];
+  const distances = [];
+  for (const [sequence, where] of positions) {
+    if (where.length < 2) continue;
+    const gaps = where.slice(1).map((pos, i) => pos - where[i]);
+    repeats.push({ sequence, positions: where, distances: gaps });
+    distances.push(...gaps);
+  }
+
+  // عدّ المسافات التي تقبل القسمة على كل طول مرشح
+  const factors = [];
+  for (let length = 2; length <= maxKeyLength; length++) {
+    const count = distances.filter(d => d % length === 0).length;
+    factors.push({ length, count, share: distances.length ? count / distances.length : 0 });
+  }
+
+  return { repeats, factors };
+}
+
+/**
+ * اختبار فريدمان: تقدير طول المفتاح من مؤشر التطابق للنص كاملاً
+ *
+ * المعادلة: L ≈ (κp - κr) × N / ((N - 1) × IoC - κr × N + κp)
+ * حيث κp مؤشر الإنجليزية و κr مؤشر النص العشوائي
+ *
+ * @param {string} ciphertext - النص المشفر
+ * @returns {number} - الطول التقديري (قيمة عشرية تقريبية)
+ */
+function friedman(ciphertext) {
+  const letters = lettersOnly(ciphertext);
+  const n = letters.length;
+  const ioc = indexOfCoincidence(letters);
+
+  const denominator = (n - 1) * ioc - RANDOM_IOC * n + ENGLISH_IOC;
+  if (denominator <= 0) return n;
+
+  return (ENGLISH_IOC - RANDOM_IOC) * n / denominator;
+}
+
+/**
+ * ترتيب أطوال المفتاح المحتملة بدمج فحص كاسيسكي ومؤشر التطابق
+ *
+ * - مؤشر التطابق يستبعد قواسم الطول الصحيح (أعمدتها ما زالت مختلطة)
+ * - فحص كاسيسكي يستبعد مضاعفات الطول الصحيح (عدد أقل من المسافات يقبل القسمة عليها)
+ *
+ * @param {string} ciphertext - النص المشفر
+ * @param {number} maxKeyLength - أقصى طول مفتاح يُفحص
+ * @returns {Object[]} - [{length, ioc, kasiski, confidence}] مرتبة من الأرجح للأقل
+ */
+function estimateKeyLength(ciphertext, maxKeyLength = 20) {
+  const letters = lettersOnly(ciphertext);
+
+  // كل عمود يحتاج حرفين على الأقل لحساب مؤشر التطابق
+  const limit = Math.max(1, Math.min(maxKeyLength, Math.floor(letters.length / 2)));
+  const { factors } = kasiski(letters, limit);
+
+  const results = [];
+  for (let length = 1; length <= limit; length++) {
+    // متوسط مؤشر التطابق لأعمدة هذا الطول
+    const columns = splitColumns(letters, length);
+    const ioc = columns.reduce((sum, col) => sum + indexOfCoincidence(col), 0) / length;
+
+    // مدى قرب المؤشر من الإنجليزية (0 = عشوائي، 1 = إنجليزي)
+    const iocScore = Math.min(1, Math.max(0, (ioc - RANDOM_IOC) / (ENGLISH_IOC - RANDOM_IOC)));
+
+    // حصة المسافات التي تقبل القسمة على هذا الطول (الطول 1 لا يُقاس بكاسيسكي)
+    const factor = factors.find(f => f.length === length);
+    const kasiskiShare = factor ? factor.share : 0;
+
+    results.push({ length, ioc, kasiski: kasiskiShare, confidence: (iocScore + kasiskiShare) / 2 });
+  }
+
+  // الترتيب تنازلياً حسب الثقة، وعند التساوي نفضل الطول الأقصر
+  return results.sort((a, b) => b.confidence - a.confidence || a.length - b.length);
+}
+
+/**
+ * استعادة المفتاح لطول معين بكسر كل عمود كشيفرة قيصر
+ * @param {string} letters - أحرف النص المشفر فقط
+ * @param {number} length - طول المفتاح
+ * @returns {string} - المفتاح المستعاد
+ */
+function recoverKey(letters, length) {
+  return splitColumns(letters, length)
+    .map(column => numToLetter(caesarCrack.crack(column).key))
+    .join('');
+}
+
+/**
+ * اختصار المفتاح إلى أصغر دورة متكررة فيه
+ * @param {string} key - المفتاح
+ * @returns {string} - أقصر جزء يتكرر ليكوّن المفتاح
+ *
+ * مثال: shortestPeriod("LEMONLEMON") → "LEMON"
+ */
+function shortestPeriod(key) {
+  for (let length = 1; length < key.length; length++) {
+    if (key.length % length === 0 && key.slice(0, length).repeat(key.length / length) === key) {
+      return key.slice(0, length);
+    }
+  }
+  return key;
+}
+
+/**
+ * كسر شيفرة فيجنير دون معرفة المفتاح
+ * @param {string} ciphertext - النص المشفر
+ * @param {Object} [options] - خيارات التحليل
+ * @param {number} [options.maxKeyLength=20] - أقصى طول مفتاح يُفحص
+ * @param {number} [options.candidates=3] - عدد الأطوال المرشحة التي يُستعاد مفتاحها
+ * @returns {{key: string, plaintext: string, confidence: number, friedman: number, candidates: Object[]}}
+ *   - key / plaintext / confidence: أفضل مرشح
+ *   - friedman: تقدير فريدمان لطول المفتاح
+ *   - candidates: [{key, length, confidence, plaintext}] مرتبة من الأفضل للأسوأ
+ * @throws {Error} - إذا احتوى النص على أقل من حرفين
+ */
+function crack(ciphertext, options = {}) {
+  const { maxKeyLength = 20, candidates: count = 3 } = options;
+  const letters = lettersOnly(ciphertext);
+
+  if (letters.length < 2) {
+    throw new Error('Ciphertext must contain at least two letters');
+  }
+
+  // مضاعفات الطول الصحيح تُنتج المفتاح نفسه مكرراً (LEMONLEMON)
+  // لذلك نختصر كل مفتاح إلى أصغر دورة له ونتجاهل المكرر
+  const candidates = [];
+  const seen = new Set();
+  for (const { length, confidence } of estimateKeyLength(letters, maxKeyLength)) {
+    if (candidates.length >= count) break;
+
+    const key = shortestPeriod(recoverKey(letters, length));
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    candidates.push({ key, length: key.length, confidence, plaintext: vigenere.decrypt(ciphertext, key) });
+  }
+
+  const best = candidates[0];
+  return {
+    key: best.key,
+    plaintext: best.plaintext,
+    confidence: best.confidence,
+    friedman: friedman(letters),
+    candidates
+  };
+}
+
+// تصدير الدوال
+module.exports = { kasiski, friedman, estimateKeyLength, crack };
+
+// مثال على الاستخدام:
+// const { crack } = require('./vigenere');
+// const result = crack(longCiphertext);   // يحتاج نصاً طويلاً نسبياً (مئات الأحرف)
+// console.log(result.key);        // المفتاح المستعاد
+// console.log(result.candidates); // الأطوال المرشحة مع درجة الثقة
@@ -0,0 +1,395 @@
+/**
+ * ملف: fitness.js
+ * الوصف: نموذج لغوي للإنجليزية ودوال تقييم النصوص المشتركة بين أدوات تحليل الشيفرات
+ *
+ * يحتوي على:
+ * - جدول تكرار الأحرف الإنجليزية (بالنسبة المئوية)
+ * - عدّ الأحرف في نص
+ * - اختبار مربع كاي (Chi-squared) لقياس قرب النص من الإنجليزية
+ * - مؤشر التطابق (Index of Coincidence) والإنتروبيا (Entropy)
+ * - نموذج n-gram: جداول لوغاريتم احتمالات المجموعات الأحادية والثنائية
+ *   والثلاثية والرباعية (Monograms / Bigrams / Trigrams / Quadgrams)
+ *
+ * النموذج الافتراضي محسوب مسبقاً في english-ngrams.json من نحو 9.6 مليون حرف
+ * (خطابات حالة الاتحاد 1790-2018 ورواية Moby-Dick، من الملك العام) بالسكربت build-ngrams.js،
+ * ويمكن بناء نموذج من نص مرجعي آخر بـ buildModel وحفظه بصيغة JSON ثم تحميله بـ loadModel
+ */
+
+// استيراد الدوال المساعدة والجداول المحسوبة مسبقاً
+const { letterToNum, numToLetter, isLetter } = require('./helpers');
+const ENGLISH_NGRAMS = require('./english-ngrams.json');
+
+/**
+ * نسب تكرار الأحرف في النصوص الإنجليزية (A إلى Z)
+ * المجموع ≈ 100
+ */
+const ENGLISH_FREQ = [
+  8.167, 1.492, 2.782, 4.253, 12.702, 2.228, 2.015, 6.094, 6.966, 0.153,
+  0.772, 4.025, 2.406, 6.749, 7.507, 1.929, 0.095, 5.987, 6.327, 9.056,
+  2.758, 0.978, 2.360, 0.150, 1.974, 0.074
+];
+
+/**
+ * مؤشر التطابق المتوقع لنص إنجليزي (≈ 0.0667)
+ * ولنص عشوائي تماماً (1/26 ≈ 0.0385)
+ */
+const ENGLISH_IOC = 0.0667;
+const RANDOM_IOC = 1 / 26;
+
+/**
+ * عدّ مرات ظهور كل حرف في النص
+ * @param {string} text - النص
+ * @returns {number[]} - مصفوفة من 26 عدداً (A=0 ... Z=25)
+ *
+ * مثال: letterCounts("ABA") → [2, 1, 0, ...]
+ */
+function letterCounts(text) {
+  const counts = Array(26).fill(0);
+
+  for (const char of text) {
+    // الأحرف غير الأبجدية لا تدخل في الإحصاء
+    if (isLetter(char)) counts[letterToNum(char)]++;
+  }
+
+  return counts;
+}
+
+/**
+ * اختبار مربع كاي (Chi-squared) مقارنةً بتكرارات الإنجليزية
+ *
+ * المعادلة: χ² = Σ (O - E)² / E
+ * حيث O عدد مرات ظهور الحرف فعلياً، و E العدد المتوقع في نص إنجليزي بنفس الطول
+ *
+ * كلما كانت القيمة أصغر، كان النص أقرب إلى الإنجليزية
+ *
+ * @param {string} text - النص المراد تقييمه
+ * @returns {number} - قيمة χ² (أو Infinity إذا لم يحتوِ النص على أحرف)
+ */
+function chiSquared(text) {
+  const counts = letterCounts(text);
+  const total = counts.reduce((sum, n) => sum + n, 0);
+
+  if (total === 0) return Infinity;
+
+  let score = 0;
+  for (let i = 0; i < 26; i++) {
+    const expected = total * ENGLISH_FREQ[i] / 100;
+    score += (counts[i] - expected) ** 2 / expected;
+  }
+
+  return score;
+}
+
+/**
+ * حساب مؤشر التطابق (Index of Coincidence)
+ *
+ * احتمال أن يكون حرفان مختاران عشوائياً من النص متطابقين:
+ * IoC = Σ n(n - 1) / (N(N - 1))
+ *
+ * النص الإنجليزي (أو المشفر بشيفرة أحادية) ≈ 0.0667
+ * النص المشفر بشيفرة متعددة الأبجديات يقترب من 0.0385
+ *
+ * @param {string} text - النص
+ * @returns {number} - قيمة المؤشر (0 إذا كان النص أقصر من حرفين)
+ */
+function indexOfCoincidence(text) {
+  const counts = letterCounts(text);
+  const total = counts.reduce((sum, n) => sum + n, 0);
+
+  if (total < 2) return 0;
+
+  const matches = counts.reduce((sum, n) => sum + n * (n - 1), 0);
+  return matches / (total * (total - 1));
+}
+
+/**
+ * حساب الإنتروبيا (Shannon Entropy) لتوزيع الأحرف في النص
+ *
+ * المعادلة: H = -Σ p log₂ p
+ *
+ * النص الإنجليزي ≈ 4.18 بت لكل حرف، والنص العشوائي تماماً ≈ log₂ 26 ≈ 4.70
+ * الشيفرات الأحادية لا تغير الإنتروبيا، والمتعددة الأبجديات ترفعها نحو 4.70
+ *
+ * @param {string} text - النص
+ * @returns {number} - الإنتروبيا بالبت لكل حرف (0 إذا لم يحتوِ النص على أحرف)
+ */
+function entropy(text) {
+  const counts = letterCounts(text);
+  const total = counts.reduce((sum, n) => sum + n, 0);
+
+  if (total === 0) return 0;
+
+  return counts.reduce((h, n) => {
+    if (n === 0) return h;
+    const p = n / total;
+    return h - p * Math.log2(p);
+  }, 0);
+}
+
+/**
+ * إنتروبيا توزيع الأحرف الإنجليزي (≈ 4.18) والعشوائي (≈ 4.70)
+ */
+const ENGLISH_ENTROPY = ENGLISH_FREQ.reduce((h, f) => h - (f / 100) * Math.log2(f / 100), 0);
+const RANDOM_ENTROPY = Math.log2(26);
+
+// أطوال المجموعات التي يحتويها النموذج (1 = أحادية ... 4 = رباعية)
+const MAX_N = 4;
+
+/**
+ * بناء جدول لوغاريتم احتمالات من عدّادات المجموعات
+ *
+ * كل مجموعة (مثل TION) ممثلة بفهرس رقمي: a×26³ + b×26² + c×26 + d
+ * المجموعات غير الموجودة تأخذ قيمة دنيا (floor) بدلاً من -∞
+ *
+ * @param {Map<number, number>} counts - عدد مرات ظهور كل فهرس
+ * @param {number} total - مجموع المجموعات
+ * @param {number} n - طول المجموعة
+ * @returns {Float64Array} - جدول من 26ⁿ قيمة log10(احتمال)
+ */
+function buildTable(counts, total, n) {
+  // القيمة الدنيا: احتمال أقل من أي مجموعة شوهدت فعلاً
+  const table = new Float64Array(26 ** n).fill(Math.log10(0.01 / Math.max(total, 1)));
+  for (const [index, count] of counts) {
+    table[index] = Math.log10(count / total);
+  }
+  return table;
+}
+
+/**
+ * إنشاء نموذج لغوي من عدّادات المجموعات
+ * @param {Map<number, number>[]} counts - counts[n] عدّادات المجموعات بطول n
+ * @returns {Object} - النموذج (انظر buildModel)
+ */
+function createModel(counts) {
+  const tables = [null];
+  const totals = [0];
+
+  for (let n = 1; n <= MAX_N; n++) {
+    let total = 0;
+    for (const count of counts[n].values()) total += count;
+    totals.push(total);
+    tables.push(buildTable(counts[n], total, n));
+  }
+
+  /**
+   * تقييم متتالية أرقام بالمجموعات ذات الطول n
+   * @param {number[]} nums - الأحرف كأرقام (A=0 ... Z=25)
+   * @param {number} n - طول المجموعة (1 - 4)
+   * @returns {number} - مجموع log10 للاحتمالات (كلما كبر كان أقرب للغة النموذج)
+   */
+  function scoreNums(nums, n) {
+    if (!Number.isInteger(n) || n < 1 || n > MAX_N) {
+      throw new Error(`n-gram size must be between 1 and ${MAX_N}`);
+    }
+
+    const table = tables[n];
+    const size = 26 ** (n - 1);
+    let index = 0;
+    let score = 0;
+
+    for (let i = 0; i < nums.length; i++) {
+      // فهرس متدحرج: نحذف الحرف الأقدم ونضيف الجديد
+      index = (index % size) * 26 + nums[i];
+      if (i >= n - 1) score += table[index];
+    }
+
+    return score;
+  }
+
+  return {
+    totals,
+    tables,
+    scoreNums,
+
+    /**
+     * تقييم نص بالمجموعات ذات الطول n
+     * @param {string} text - النص (الأحرف غير الإنجليزية تُهمل)
+     * @param {number} [n=4] - طول المجموعة
+     * @returns {number} - درجة الملاءمة
+     */
+    score(text, n = 4) {
+      return scoreNums(text.split('').filter(isLetter).map(letterToNum), n);
+    },
+
+    /**
+     * تحويل النموذج إلى كائن قابل للحفظ بصيغة JSON
+     * يُحفظ عدد مرات ظهور كل مجموعة (مثل { "TION": 12 }) لا الجداول الكاملة
+     * @returns {{counts: Object<string, number>[]}}
+     */
+    toJSON() {
+      const json = { counts: [null] };
+      for (let n = 1; n <= MAX_N; n++) {
+        const entries = {};
+        for (const [index, count] of counts[n]) {
+          let gram = '';
+          for (let k = 0, rest = index; k < n; k++, rest = Math.floor(rest / 26)) {
+            gram = numToLetter(rest % 26) + gram;
+          }
+          entries[gram] = count;
+        }
+        json.counts.push(entries);
+      }
+      return json;
+    }
+  };
+}
+
+/**
+ * بناء نموذج لغوي من نص مرجعي
+ *
+ * النص المرجعي كلما كان أطول، كانت الجداول أدق (خصوصاً الرباعية: 26⁴ مجموعة ممكنة)
+ *
+ * @param {string} text - النص المرجعي
+ * @returns {{totals: number[], tables: Float64Array[], scoreNums: Function, score: Function, toJSON: Function}}
+ *   - tables[n]: جدول log10(احتمال) للمجموعات بطول n
+ *   - totals[n]: عدد المجموعات بطول n في النص المرجعي
+ *   - scoreNums(nums, n) / score(text, n): تقييم النص بالنموذج
+ *   - toJSON(): عدّادات المجموعات لحفظها في ملف
+ * @throws {Error} - إذا كان النص أقصر من أطول مجموعة
+ *
+ * مثال: buildModel(fs.readFileSync('my-corpus.txt', 'utf8')).score("ATTACK AT DAWN", 3)
+ */
+function buildModel(text) {
+  const nums = text.split('').filter(isLetter).map(letterToNum);
+
+  if (nums.length < MAX_N) {
+    throw new Error(`Corpus must contain at least ${MAX_N} letters`);
+  }
+
+  const counts = [null];
+  for (let n = 1; n <= MAX_N; n++) {
+    const map = new Map();
+    for (let i = 0; i + n <= nums.length; i++) {
+      let index = 0;
+      for (let k = 0; k < n; k++) index = index * 26 + nums[i + k];
+      map.set(index, (map.get(index) || 0) + 1);
+    }
+    counts.push(map);
+  }
+
+  return createModel(counts);
+}
+
+/**
+ * تحميل نموذج محفوظ مسبقاً بـ toJSON
+ * @param {Object|string} json - الكائن أو نصه بصيغة JSON
+ * @returns {Object} - النموذج (انظر buildModel)
+ * @throws {Error} - إذا كانت البيانات غير صالحة
+ */
+function loadModel(json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+  if (!data || !Array.isArray(data.counts) || data.counts.length !== MAX_N + 1) {
+    throw new Error(`Model data must contain counts for 1- to ${MAX_N}-grams`);
+  }
+
+  const counts = [null];
+  for (let n = 1; n <= MAX_N; n++) {
+    const map = new Map();
+    for (const [gram, count] of Object.entries(data.counts[n] || {})) {
+      if (gram.length !== n || !gram.split('').every(isLetter) || !(count > 0)) {
+        throw new Error(`Invalid ${n}-gram entry "${gram}"`);
+      }
+      let index = 0;
+      for (const char of gram) index = index * 26 + letterToNum(char);
+      map.set(index, count);
+    }
+    counts.push(map);
+  }
+
+  return createModel(counts);
+}
+
+// النموذج الافتراضي: جداول إنجليزية محسوبة مسبقاً، تُحمّل مرة واحدة عند تحميل الملف
+const DEFAULT_MODEL = loadModel(ENGLISH_NGRAMS);
+const TRIGRAMS = DEFAULT_MODEL.tables[3];
+const QUADGRAMS = DEFAULT_MODEL.tables[4];
+
+/**
+ * تقييم النص بالمجموعات الأحادية (Monogram fitness)
+ * @param {string} text - النص المراد تقييمه
+ * @returns {number} - درجة الملاءمة (الأعلى أقرب إلى الإنجليزية)
+ */
+function monogramScore(text) {
+  return DEFAULT_MODEL.score(text, 1);
+}
+
+/**
+ * تقييم النص بالمجموعات الثنائية (Bigram fitness)
+ * @param {string} text - النص المراد تقييمه
+ * @returns {number} - درجة الملاءمة (الأعلى أقرب إلى الإنجليزية)
+ */
+function bigramScore(text) {
+  return DEFAULT_MODEL.score(text, 2);
+}
+
+/**
+ * تقييم متتالية أرقام (A=0 ... Z=25) بالمجموعات الثلاثية
+ * نسخة سريعة تُستخدم داخل حلقات البحث
+ * @param {number[]} nums - الأحرف كأرقام
+ * @returns {number} - مجموع log10 للاحتمالات (كلما كبر كان أقرب للإنجليزية)
+ */
+function trigramScoreNums(nums) {
+  let score = 0;
+  for (let i = 0; i + 3 <= nums.length; i++) {
+    score += TRIGRAMS[(nums[i] * 26 + nums[i + 1]) * 26 + nums[i + 2]];
+  }
+  return score;
+}
+
+/**
+ * تقييم النص بالمجموعات الثلاثية (Trigram fitness)
+ * @param {string} text - النص المراد تقييمه
+ * @returns {number} - درجة الملاءمة (الأعلى أقرب إلى الإنجليزية)
+ */
+function trigramScore(text) {
+  return trigramScoreNums(text.split('').filter(isLetter).map(letterToNum));
+}
+
+/**
+ * تقييم متتالية أرقام (A=0 ... Z=25) بالمجموعات الرباعية
+ * نسخة سريعة تُستخدم داخل حلقات تسلق التل
+ * @param {number[]} nums - الأحرف كأرقام
+ * @returns {number} - مجموع log10 للاحتمالات (كلما كبر كان أقرب للإنجليزية)
+ */
+function quadgramScoreNums(nums) {
+  let score = 0;
+  for (let i = 0; i + 4 <= nums.length; i++) {
+    score += QUADGRAMS[((nums[i] * 26 + nums[i + 1]) * 26 + nums[i + 2]) * 26 + nums[i + 3]];
+  }
+  return score;
+}
+
+/**
+ * تقييم النص بالمجموعات الرباعية (Quadgram fitness)
+ *
+ * المعادلة: score = Σ log10 P(q) لكل مجموعة رباعية q في النص
+ * القيمة دائماً سالبة، والأعلى (الأقرب للصفر) أقرب إلى الإنجليزية
+ *
+ * @param {string} text - النص المراد تقييمه
+ * @returns {number} - درجة الملاءمة
+ */
+function quadgramScore(text) {
+  return quadgramScoreNums(text.split('').filter(isLetter).map(letterToNum));
+}
+
+// تصدير الدوال والنموذج الافتراضي
+module.exports = {
+  ENGLISH_FREQ, ENGLISH_IOC, RANDOM_IOC, ENGLISH_ENTROPY, RANDOM_ENTROPY,
+  letterCounts, chiSquared, indexOfCoincidence, entropy,
+  DEFAULT_MODEL, buildModel, loadModel,
+  monogramScore, bigramScore,
+  trigramScore, trigramScoreNums,
+  quadgramScore, quadgramScoreNums
+};
+
+// مثال على الاستخدام:
+// const { chiSquared, quadgramScore, entropy } = require('./fitness');
+// console.log(quadgramScore("ATTACK AT DAWN") > quadgramScore("XQZJ KV WPLM"));  // true
+// console.log(entropy("HELLO WORLD"));  // بت لكل حرف
+//
+// بناء نموذج من نص مرجعي خاص وحفظه:
+// const model = buildModel(fs.readFileSync('corpus.txt', 'utf8'));
+// fs.writeFileSync('model.json', JSON.stringify(model));
+// const loaded = loadModel(fs.readFileSync('model.json', 'utf8'));
+// loaded.score("ATTACK AT DAWN", 4);
@@ -0,0 +1,184 @@
+/**
+ * ملف: adfgvx.js
+ * الوصف: شيفرة ADFGVX و ADFGX (الجيش الألماني، الحرب العالمية الأولى 1918)
+ *
+ * آلية العمل (شيفرة مركبة: استبدال ثم تبديل):
+ * 1. التجزئة (استبدال): مربع بوليبيوس مفتاحي، صفوفه وأعمدته مُعنونة بالأحرف
+ *    A D F G V X (6×6: الأحرف والأرقام) أو A D F G X (5×5: I و J حرف واحد)
+ *    كل حرف يصبح حرفين: عنوان صفه ثم عنوان عموده
+ * 2. التبديل العمودي: النص المجزأ يُكتب تحت كلمة مفتاحية ثانية،
+ *    وتُقرأ الأعمدة بالترتيب الأبجدي للكلمة (columnar.js)
+ *
+ * التبديل يفصل حرفي كل زوج عن بعضهما، فلا يمكن تحليل التكرار على
+ * الأزواج مباشرة - وهذا ما لا تحققه أي من الطريقتين وحدها
+ *
+ * لماذا هذه الأحرف؟ A D F G V X مختلفة جداً في شيفرة مورس، فيقل خطأ الإرسال اللاسلكي
+ *
+ * المفتاح كائن من كلمتين: { square: "...", transposition: "..." }
+ */
+
+// استيراد مربع بوليبيوس والتبديل العمودي
+const { generateSquare, indexSquare, normalize } = require('./polybius');
+const columnar = require('../transposition/columnar');
+
+// عناوين الصفوف والأعمدة لكل نوع
+const LABELS = {
+  ADFGVX: 'ADFGVX',
+  ADFGX: 'ADFGX'
+};
+
+/**
+ * التحقق من المفتاح
+ * @param {{square: string, transposition: string}} key - المفتاح
+ * @throws {Error} - إذا لم يكن كائناً بكلمتين أو كانت كلمة التبديل فارغة
+ */
+function validateKey(key) {
+  if (!key || typeof key.square !== 'string' || typeof key.transposition !== 'string') {
+    throw new Error('Key must be an object with square and transposition keywords');
+  }
+  if (key.transposition.length === 0) {
+    throw new Error('Transposition keyword must not be empty');
+  }
+}
+
+/**
+ * بناء المربع المعنون
+ * @param {string} squareKey - الكلمة المفتاحية للمربع
+ * @param {string} [variant='ADFGVX'] - النوع
+ * @returns {{labels: string, square: string[][]}} - العناوين والمربع
+ * @throws {Error} - إذا كان النوع غير معروف
+ */
+function generateGrid(squareKey, variant = 'ADFGVX') {
+  if (!LABELS[variant]) {
+    throw new Error('Variant must be "ADFGVX" or "ADFGX"');
+  }
+  const labels = LABELS[variant];
+  return { labels, square: generateSquare(squareKey, labels.length) };
+}
+
+/**
+ * المرحلة الأولى: تجزئة النص إلى أزواج من العناوين
+ *
+ * المسافات وعلامات الترقيم تُحذف، أما الأرقام فلا مكان لها في مربع ADFGX (5×5)
+ *
+ * @param {string} plaintext - النص الأصلي
+ * @param {string} squareKey - الكلمة المفتاحية للمربع
+ * @param {string} [variant='ADFGVX'] - النوع
+ * @returns {string} - النص المجزأ
+ * @throws {Error} - إذا احتوى النص على أرقام مع النوع ADFGX
+ *
+ * مثال: fractionate("ATTACK", "NA1C3H8TB2OME5WRPD4F6G7I9J0KLQSUVXYZ") → "ADDDDDADAGVG"
+ */
+function fractionate(plaintext, squareKey, variant = 'ADFGVX') {
+  const { labels, square } = generateGrid(squareKey, variant);
+  const positions = indexSquare(square);
+
+  if (labels.length === 5 && /[0-9]/.test(plaintext)) {
+    throw new Error('A 5x5 Polybius square cannot encode digits; use the ADFGVX variant');
+  }
+
+  let result = '';
+  for (const char of plaintext) {
+    const c = normalize(char, labels.length);
+    if (c === null) continue;
+    const { row, col } = positions[c];
+    result += labels[row] + labels[col];
+  }
+  return result;
+}
+
+/**
+ * عكس المرحلة الأولى: كل زوج من العناوين يعطي حرفاً
+ * @param {string} fractionated - النص المجزأ (أحرف العناوين فقط)
+ * @param {string} squareKey - الكلمة المفتاحية للمربع
+ * @param {string} [variant='ADFGVX'] - النوع
+ * @returns {string} - النص الأصلي
+ * @throws {Error} - إذا كان الطول فردياً أو احتوى على حرف ليس من العناوين
+ */
+function defractionate(fractionated, squareKey, variant = 'ADFGVX') {
+  const { labels, square } = generateGrid(squareKey, variant);
+
+  if (fractionated.length % 2 !== 0) {
+    throw new Error('Fractionated text must have an even length');
+  }
+
+  let result = '';
+  for (let i = 0; i < fractionated.length; i += 2) {
+    const row = labels.indexOf(fractionated[i]);
+    const col = labels.indexOf(fractionated[i + 1]);
+    if (row === -1 || col === -1) {
+      throw new Error(`Invalid ${variant} pair "${fractionated[i]}${fractionated[i + 1]}"`);
+    }
+    result += square[row][col];
+  }
+  return result;
+}
+
+/**
+ * دالة التشفير مع عرض جميع المراحل (للتعليم)
+ * @param {string} plaintext - النص الأصلي
+ * @param {{square: string, transposition: string}} key - المفتاح
+ * @param {Object} [options] - خيارات
+ * @param {string} [options.variant='ADFGVX'] - 'ADFGVX' (6×6) أو 'ADFGX' (5×5)
+ * @returns {{labels: string, square: string[][], fractionated: string, columnOrder: number[], ciphertext: string}}
+ *   - fractionated: النص بعد المرحلة الأولى (قبل التبديل)
+ *   - columnOrder: ترتيب قراءة الأعمدة من كلمة التبديل
+ */
+function explain(plaintext, key, options = {}) {
+  const { variant = 'ADFGVX' } = options;
+  validateKey(key);
+
+  const { labels, square } = generateGrid(key.square, variant);
+  const fractionated = fractionate(plaintext, key.square, variant);
+
+  return {
+    labels,
+    square,
+    fractionated,
+    columnOrder: columnar.getColumnOrder(key.transposition),
+    ciphertext: columnar.encrypt(fractionated, key.transposition)
+  };
+}
+
+/**
+ * دالة التشفير
+ * @param {string} plaintext - النص الأصلي
+ * @param {{square: string, transposition: string}} key - المفتاح
+ * @param {Object} [options] - خيارات
+ * @param {string} [options.variant='ADFGVX'] - 'ADFGVX' (6×6) أو 'ADFGX' (5×5)
+ * @returns {string} - النص المشفر (أحرف العناوين فقط، بدون مسافات)
+ */
+function encrypt(plaintext, key, options = {}) {
+  return explain(plaintext, key, options).ciphertext;
+}
+
+/**
+ * دالة فك التشفير
+ * @param {string} ciphertext - النص المشفر (المسافات بين المجموعات تُتجاهل)
+ * @param {{square: string, transposition: string}} key - المفتاح
+ * @param {Object} [options] - خيارات
+ * @param {string} [options.variant='ADFGVX'] - نفس النوع المستخدم في التشفير
+ * @returns {string} - النص الأصلي (أحرف كبيرة بدون مسافات)
+ */
+function decrypt(ciphertext, key, options = {}) {
+  const { variant = 'ADFGVX' } = options;
+  validateKey(key);
+
+  // إزالة المسافات وأي أحرف أخرى ليست من العناوين
+  const { labels } = generateGrid(key.square, variant);
+  const letters = ciphertext.toUpperCase().split('').filter(c => labels.includes(c)).join('');
+
+  // عكس التبديل ثم عكس التجزئة
+  const fractionated = columnar.decrypt(letters, key.transposition);
+  return defractionate(fractionated, key.square, variant);
+}
+
+// تصدير الدوال
+module.exports = { encrypt, decrypt, explain, fractionate, defractionate, generateGrid };
+
+// مثال على الاستخدام:
+// const adfgvx = require('./adfgvx');
+// const key = { square: "NA1C3H8TB2OME5WRPD4F6G7I9J0KLQSUVXYZ", transposition: "PRIVACY" };
+// console.log(adfgvx.encrypt("ATTACK AT 1200AM", key));        // DGDDDAGDDGAFADDFDADVDVFAADVX
+// console.log(adfgvx.explain("ATTACK AT 1200AM", key).fractionated);
+// console.log(adfgvx.decrypt("DGDD DAGD DGAF ADDF DADV DVFA ADVX", key));  // ATTACKAT1200AM
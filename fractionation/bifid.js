@@ -0,0 +1,145 @@
+/**
+ * ملف: bifid.js
+ * الوصف: شيفرة بايفيد (Bifid Cipher) - فيليكس ديلاستيل، 1895
+ *
+ * آلية العمل:
+ * - مربع بوليبيوس 5×5 من كلمة مفتاحية (I و J حرف واحد)
+ * - كل حرف يُجزّأ إلى رقمين: الصف والعمود
+ * - تُكتب أرقام الصفوف لكل الأحرف في سطر، وأرقام الأعمدة في سطر تحته
+ * - تُقرأ الأرقام أفقياً (الصفوف ثم الأعمدة) وكل رقمين يعطيان حرفاً جديداً
+ * - الدورة (period): تقسيم النص إلى مجموعات بطولها، وكل مجموعة تُعالج وحدها
+ *   (بدون دورة تُعالج الرسالة كلها كمجموعة واحدة)
+ *
+ * مثال (المربع بدون مفتاح، النص "HELLO"):
+ *   الحرف:   H E L L O
+ *   الصف:    2 1 3 3 3
+ *   العمود:  3 5 1 1 4
+ *   القراءة: 2 1 3 3 3 3 5 1 1 4 → (2,1)(3,3)(3,3)(5,1)(1,4) → F N N V D
+ *
+ * كل حرف مشفر يعتمد على حرفين أصليين، فتغيير حرف واحد يغير عدة أحرف
+ * (انتشار بسيط)، وتكرار الأحرف في النص الأصلي لا يظهر مباشرة في النص المشفر
+ */
+
+// استيراد الدوال المساعدة ومربع بوليبيوس
+const { isLetter } = require('../helpers');
+const { generateSquare, indexSquare } = require('./polybius');
+
+/**
+ * التحقق من الدورة
+ * @param {number|undefined} period - طول المجموعة
+ * @throws {Error} - إذا لم تكن عدداً صحيحاً موجباً
+ */
+function validatePeriod(period) {
+  if (period !== undefined && (!Number.isInteger(period) || period < 1)) {
+    throw new Error('Period must be a positive integer');
+  }
+}
+
+/**
+ * تقسيم الأحرف إلى مجموعات بطول الدورة
+ * @param {string[]} letters - الأحرف
+ * @param {number} [period] - طول المجموعة (بدونها: مجموعة واحدة)
+ * @returns {string[][]} - المجموعات
+ */
+function splitBlocks(letters, period) {
+  const size = period || letters.length;
+  const blocks = [];
+  for (let i = 0; i < letters.length; i += size) {
+    blocks.push(letters.slice(i, i + size));
+  }
+  return blocks;
+}
+
+/**
+ * إعادة بناء النص مع الحفاظ على الأحرف غير الأبجدية وحالة الأحرف
+ * @param {string} original - النص الأصلي
+ * @param {string[]} letters - الأحرف الجديدة (بنفس عدد الأحرف الأصلية)
+ * @returns {string} - النص الناتج
+ */
+function rebuild(original, letters) {
+  let index = 0;
+  return original.split('').map(char => {
+    if (!isLetter(char)) return char;
+    const letter = letters[index++];
+    return char === char.toUpperCase() ? letter : letter.toLowerCase();
+  }).join('');
+}
+
+/**
+ * استخراج الأحرف من النص (أحرف كبيرة، J → I)
+ * @param {string} text - النص
+ * @returns {string[]} - الأحرف
+ */
+function extractLetters(text) {
+  return text.toUpperCase().split('').filter(isLetter).map(c => (c === 'J' ? 'I' : c));
+}
+
+/**
+ * دالة التشفير
+ * @param {string} plaintext - النص الأصلي
+ * @param {string} [key=''] - الكلمة المفتاحية للمربع
+ * @param {Object} [options] - خيارات
+ * @param {number} [options.period] - طول المجموعة (افتراضياً الرسالة كلها)
+ * @returns {string} - النص المشفر (J تصبح I)
+ */
+function encrypt(plaintext, key = '', options = {}) {
+  const { period } = options;
+  validatePeriod(period);
+
+  const square = generateSquare(key);
+  const positions = indexSquare(square);
+  const result = [];
+
+  for (const block of splitBlocks(extractLetters(plaintext), period)) {
+    // سطر الصفوف ثم سطر الأعمدة
+    const coords = [
+      ...block.map(c => positions[c].row),
+      ...block.map(c => positions[c].col)
+    ];
+
+    // قراءة كل رقمين كحرف
+    for (let i = 0; i < coords.length; i += 2) {
+      result.push(square[coords[i]][coords[i + 1]]);
+    }
+  }
+
+  return rebuild(plaintext, result);
+}
+
+/**
+ * دالة فك التشفير
+ * @param {string} ciphertext - النص المشفر
+ * @param {string} [key=''] - الكلمة المفتاحية للمربع
+ * @param {Object} [options] - خيارات
+ * @param {number} [options.period] - نفس الدورة المستخدمة في التشفير
+ * @returns {string} - النص الأصلي
+ */
+function decrypt(ciphertext, key = '', options = {}) {
+  const { period } = options;
+  validatePeriod(period);
+
+  const square = generateSquare(key);
+  const positions = indexSquare(square);
+  const result = [];
+
+  for (const block of splitBlocks(extractLetters(ciphertext), period)) {
+    // الإحداثيات المتتالية: نصفها الأول صفوف والثاني أعمدة
+    const coords = block.flatMap(c => [positions[c].row, positions[c].col]);
+    const n = block.length;
+
+    for (let i = 0; i < n; i++) {
+      result.push(square[coords[i]][coords[n + i]]);
+    }
+  }
+
+  return rebuild(ciphertext, result);
+}
+
+// تصدير الدوال
+module.exports = { encrypt, decrypt };
+
+// مثال على الاستخدام:
+// const bifid = require('./bifid');
+// console.log(bifid.encrypt("HELLO"));                                    // FNNVD
+// console.log(bifid.encrypt("FLEE AT ONCE", "BGWKZQPNDSIOAXEFCLUMTHYVR")); // UAEO LW RINS
+// console.log(bifid.encrypt("DEFEND THE EAST WALL", "SECRET", { period: 5 }));
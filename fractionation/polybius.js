@@ -0,0 +1,179 @@
+/**
+ * ملف: polybius.js
+ * الوصف: مربع بوليبيوس (Polybius Square)
+ *
+ * آلية العمل:
+ * - تُكتب الأبجدية في مربع (تبدأ بالكلمة المفتاحية دون تكرار، ثم بقية الرموز)
+ * - كل حرف يُستبدل برقمي صفه وعموده (من 1)
+ * - المربع 5×5: 25 خانة فقط، لذلك I و J حرف واحد (مثل playfair.generateMatrix)
+ * - المربع 6×6: 36 خانة تتسع للأحرف الـ 26 والأرقام 0-9
+ *
+ * مثال (المربع 5×5 بدون مفتاح):
+ *       1 2 3 4 5
+ *    1  A B C D E
+ *    2  F G H I K
+ *    3  L M N O P
+ *    4  Q R S T U
+ *    5  V W X Y Z
+ *
+ *   H → 23 ، E → 15 ، L → 31 ← "HELLO" → "2315313134"
+ *
+ * التجزئة (Fractionation): كل حرف يصبح رمزين منفصلين (صف وعمود)
+ * يمكن تفريقهما وخلطهما قبل إعادة التجميع، كما في bifid.js و trifid.js
+ * وهي خطوة نحو "الانتشار" (Diffusion) في DES و AES
+ */
+
+// استيراد الدوال المساعدة
+const { isLetter } = require('../helpers');
+
+// الرموز المتاحة لكل حجم مربع
+const ALPHABETS = {
+  5: 'ABCDEFGHIKLMNOPQRSTUVWXYZ',
+  6: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'
+};
+
+/**
+ * التحقق من حجم المربع
+ * @param {number} size - حجم المربع
+ * @throws {Error} - إذا لم يكن 5 أو 6
+ */
+function validateSize(size) {
+  if (!ALPHABETS[size]) {
+    throw new Error('Polybius square size must be 5 or 6');
+  }
+}
+
+/**
+ * تطبيع رمز واحد حسب حجم المربع
+ * @param {string} char - الرمز
+ * @param {number} size - حجم المربع
+ * @returns {string|null} - الرمز بحرف كبير (J → I في 5×5)، أو null إذا لم يكن في المربع
+ */
+function normalize(char, size) {
+  const c = char.toUpperCase();
+  if (size === 5) {
+    if (!isLetter(c)) return null;
+    return c === 'J' ? 'I' : c;
+  }
+  return ALPHABETS[6].includes(c) ? c : null;
+}
+
+/**
+ * بناء المربع من الكلمة المفتاحية
+ * @param {string} [key=''] - الكلمة المفتاحية (الرموز خارج المربع تُتجاهل)
+ * @param {number} [size=5] - حجم المربع (5 أو 6)
+ * @returns {string[][]} - مصفوفة size×size
+ *
+ * مثال: generateSquare("ZEBRA")[0] → ['Z', 'E', 'B', 'R', 'A']
+ */
+function generateSquare(key = '', size = 5) {
+  validateSize(size);
+
+  // المفتاح أولاً ثم بقية الرموز، مع حذف التكرار
+  const symbols = [];
+  for (const char of key + ALPHABETS[size]) {
+    const c = normalize(char, size);
+    if (c && !symbols.includes(c)) symbols.push(c);
+  }
+
+  const square = [];
+  for (let row = 0; row < size; row++) {
+    square.push(symbols.slice(row * size, row * size + size));
+  }
+  return square;
+}
+
+/**
+ * بناء جدول المواقع لكل رمز في المربع (للبحث السريع)
+ * @param {string[][]} square - المربع
+ * @returns {Object<string, {row: number, col: number}>} - موقع كل رمز (من 0)
+ */
+function indexSquare(square) {
+  const positions = {};
+  square.forEach((symbols, row) => {
+    symbols.forEach((symbol, col) => {
+      positions[symbol] = { row, col };
+    });
+  });
+  return positions;
+}
+
+/**
+ * دالة التشفير
+ *
+ * كل رمز يصبح رقمين متتاليين (الصف ثم العمود)، وبقية الأحرف (مسافات،
+ * علامات ترقيم) تبقى كما هي
+ *
+ * @param {string} plaintext - النص الأصلي
+ * @param {string} [key=''] - الكلمة المفتاحية
+ * @param {Object} [options] - خيارات
+ * @param {number} [options.size=5] - حجم المربع (5 أو 6)
+ * @returns {string} - الإحداثيات كأرقام
+ * @throws {Error} - إذا احتوى النص على أرقام مع المربع 5×5 (لا يمكن تمييزها عن الإحداثيات)
+ */
+function encrypt(plaintext, key = '', options = {}) {
+  const { size = 5 } = options;
+  const positions = indexSquare(generateSquare(key, size));
+
+  if (size === 5 && /[0-9]/.test(plaintext)) {
+    throw new Error('A 5x5 Polybius square cannot encode digits; use size 6');
+  }
+
+  let result = '';
+  for (const char of plaintext) {
+    const c = normalize(char, size);
+    if (c === null) {
+      result += char;  // إبقاء الأحرف غير الموجودة في المربع
+      continue;
+    }
+    const { row, col } = positions[c];
+    result += `${row + 1}${col + 1}`;
+  }
+  return result;
+}
+
+/**
+ * دالة فك التشفير
+ *
+ * كل رقمين متتاليين يعطيان رمزاً واحداً، وبقية الأحرف تبقى كما هي
+ * الإحداثيات لا تحفظ حالة الأحرف، لذلك الناتج بأحرف كبيرة
+ *
+ * @param {string} ciphertext - الإحداثيات
+ * @param {string} [key=''] - الكلمة المفتاحية
+ * @param {Object} [options] - خيارات
+ * @param {number} [options.size=5] - حجم المربع (5 أو 6)
+ * @returns {string} - النص الأصلي (I مكان J في 5×5)
+ * @throws {Error} - إذا كان عدد الأرقام في مجموعة فردياً أو رقم خارج حدود المربع
+ */
+function decrypt(ciphertext, key = '', options = {}) {
+  const { size = 5 } = options;
+  const square = generateSquare(key, size);
+
+  // تقسيم النص إلى مجموعات أرقام متتالية وأحرف أخرى
+  return ciphertext.replace(/[0-9]+/g, digits => {
+    if (digits.length % 2 !== 0) {
+      throw new Error(`Coordinate group "${digits}" has an odd number of digits`);
+    }
+
+    let letters = '';
+    for (let i = 0; i < digits.length; i += 2) {
+      const row = Number(digits[i]) - 1;
+      const col = Number(digits[i + 1]) - 1;
+      if (row < 0 || row >= size || col < 0 || col >= size) {
+        throw new Error(`Coordinate ${digits[i]}${digits[i + 1]} is outside the ${size}x${size} square`);
+      }
+      letters += square[row][col];
+    }
+    return letters;
+  });
+}
+
+// تصدير الدوال (generateSquare و indexSquare مُصدّرتان لاستخدامهما في bifid.js و adfgvx.js)
+module.exports = { encrypt, decrypt, generateSquare, indexSquare, normalize };
+
+// مثال على الاستخدام:
+// const polybius = require('./polybius');
+// console.log(polybius.encrypt("HELLO"));                          // 2315313134
+// console.log(polybius.decrypt("2315313134"));                     // HELLO
+// console.log(polybius.encrypt("AGENT 007", "SECRET", { size: 6 }));
+// console.log(polybius.generateSquare("SECRET"));                  // مصفوفة 5×5
@@ -0,0 +1,186 @@
+/**
+ * ملف: trifid.js
+ * الوصف: شيفرة ترايفيد (Trifid Cipher) - فيليكس ديلاستيل، 1902
+ *
+ * آلية العمل:
+ * - مكعب 3×3×3 يتسع لـ 27 رمزاً: الأحرف الـ 26 والرمز +
+ * - كل حرف يُجزّأ إلى ثلاثة أرقام: الطبقة والصف والعمود (1-3)
+ * - مثل بايفيد: تُكتب أرقام الطبقات ثم الصفوف ثم الأعمدة لكل مجموعة،
+ *   وتُقرأ أفقياً، وكل ثلاثة أرقام تعطي حرفاً جديداً
+ * - الدورة (period): طول المجموعات (بدونها تُعالج الرسالة كلها كمجموعة واحدة)
+ *
+ * مثال (المفتاح "FELIX MARIE DELASTELLE"):
+ *   الطبقة 1      الطبقة 2      الطبقة 3
+ *   F E L         S T B         O P Q
+ *   I X M         C G H         U V W
+ *   A R D         J K N         Y Z +
+ *
+ *   A → (1,3,1) ، I → (1,2,1) ، D → (1,3,3) ...
+ *
+ * الرمز + يظهر في النص المشفر كأي حرف، لذلك يُعامل كرمز مشفر لا كعلامة ترقيم
+ */
+
+// استيراد الدوال المساعدة
+const { isLetter } = require('../helpers');
+
+// رموز المكعب: 26 حرفاً + رمز إضافي ليكتمل 27 = 3³
+const CUBE_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ+';
+
+/**
+ * هل الرمز من رموز المكعب؟
+ * @param {string} char - الرمز
+ * @returns {boolean}
+ */
+function isSymbol(char) {
+  return isLetter(char) || char === '+';
+}
+
+/**
+ * التحقق من الدورة
+ * @param {number|undefined} period - طول المجموعة
+ * @throws {Error} - إذا لم تكن عدداً صحيحاً موجباً
+ */
+function validatePeriod(period) {
+  if (period !== undefined && (!Number.isInteger(period) || period < 1)) {
+    throw new Error('Period must be a positive integer');
+  }
+}
+
+/**
+ * بناء المكعب من الكلمة المفتاحية
+ * @param {string} [key=''] - الكلمة المفتاحية
+ * @returns {string[][][]} - مكعب [طبقة][صف][عمود]
+ */
+function generateCube(key = '') {
+  const symbols = [];
+  for (const char of (key + CUBE_ALPHABET).toUpperCase()) {
+    if (isSymbol(char) && !symbols.includes(char)) symbols.push(char);
+  }
+
+  const cube = [];
+  for (let layer = 0; layer < 3; layer++) {
+    const rows = [];
+    for (let row = 0; row < 3; row++) {
+      const start = layer * 9 + row * 3;
+      rows.push(symbols.slice(start, start + 3));
+    }
+    cube.push(rows);
+  }
+  return cube;
+}
+
+/**
+ * بناء جدول المواقع لكل رمز في المكعب
+ * @param {string[][][]} cube - المكعب
+ * @returns {Object<string, number[]>} - [طبقة، صف، عمود] لكل رمز (من 0)
+ */
+function indexCube(cube) {
+  const positions = {};
+  cube.forEach((rows, layer) => {
+    rows.forEach((symbols, row) => {
+      symbols.forEach((symbol, col) => {
+        positions[symbol] = [layer, row, col];
+      });
+    });
+  });
+  return positions;
+}
+
+/**
+ * تقسيم الرموز إلى مجموعات بطول الدورة
+ * @param {string[]} symbols - الرموز
+ * @param {number} [period] - طول المجموعة (بدونها: مجموعة واحدة)
+ * @returns {string[][]} - المجموعات
+ */
+function splitBlocks(symbols, period) {
+  const size = period || symbols.length;
+  const blocks = [];
+  for (let i = 0; i < symbols.length; i += size) {
+    blocks.push(symbols.slice(i, i + size));
+  }
+  return blocks;
+}
+
+/**
+ * إعادة بناء النص مع الحفاظ على بقية الأحرف وحالة الأحرف
+ * @param {string} original - النص الأصلي
+ * @param {string[]} symbols - الرموز الجديدة
+ * @returns {string} - النص الناتج
+ */
+function rebuild(original, symbols) {
+  let index = 0;
+  return original.split('').map(char => {
+    if (!isSymbol(char)) return char;
+    const symbol = symbols[index++];
+    return char === char.toLowerCase() && char !== '+' ? symbol.toLowerCase() : symbol;
+  }).join('');
+}
+
+/**
+ * دالة التشفير
+ * @param {string} plaintext - النص الأصلي
+ * @param {string} [key=''] - الكلمة المفتاحية للمكعب
+ * @param {Object} [options] - خيارات
+ * @param {number} [options.period] - طول المجموعة (افتراضياً الرسالة كلها)
+ * @returns {string} - النص المشفر
+ */
+function encrypt(plaintext, key = '', options = {}) {
+  const { period } = options;
+  validatePeriod(period);
+
+  const cube = generateCube(key);
+  const positions = indexCube(cube);
+  const symbols = plaintext.toUpperCase().split('').filter(isSymbol);
+  const result = [];
+
+  for (const block of splitBlocks(symbols, period)) {
+    // سطر الطبقات، ثم سطر الصفوف، ثم سطر الأعمدة
+    const coords = [0, 1, 2].flatMap(axis => block.map(c => positions[c][axis]));
+
+    // قراءة كل ثلاثة أرقام كرمز
+    for (let i = 0; i < coords.length; i += 3) {
+      result.push(cube[coords[i]][coords[i + 1]][coords[i + 2]]);
+    }
+  }
+
+  return rebuild(plaintext, result);
+}
+
+/**
+ * دالة فك التشفير
+ * @param {string} ciphertext - النص المشفر
+ * @param {string} [key=''] - الكلمة المفتاحية للمكعب
+ * @param {Object} [options] - خيارات
+ * @param {number} [options.period] - نفس الدورة المستخدمة في التشفير
+ * @returns {string} - النص الأصلي
+ */
+function decrypt(ciphertext, key = '', options = {}) {
+  const { period } = options;
+  validatePeriod(period);
+
+  const cube = generateCube(key);
+  const positions = indexCube(cube);
+  const symbols = ciphertext.toUpperCase().split('').filter(isSymbol);
+  const result = [];
+
+  for (const block of splitBlocks(symbols, period)) {
+    // الإحداثيات المتتالية: الثلث الأول طبقات، ثم صفوف، ثم أعمدة
+    const coords = block.flatMap(c => positions[c]);
+    const n = block.length;
+
+    for (let i = 0; i < n; i++) {
+      result.push(cube[coords[i]][coords[n + i]][coords[2 * n + i]]);
+    }
+  }
+
+  return rebuild(ciphertext, result);
+}
+
+// تصدير الدوال (generateCube مُصدّرة لعرض المكعب)
+module.exports = { encrypt, decrypt, generateCube };
+
+// مثال على الاستخدام:
+// const trifid = require('./trifid');
+// const key = "FELIX MARIE DELASTELLE";
+// console.log(trifid.encrypt("AIDETOILECIELTAIDERA", key, { period: 5 }));  // FMJFVOISSUFTFPUFEQQC
+// console.log(trifid.decrypt("FMJFVOISSUFTFPUFEQQC", key, { period: 5 }));  // AIDETOILECIELTAIDERA
@@ -7,6 +7,7 @@
  * - عمليات الباقي (mod) الرياضية
  * - حساب المعكوس الضربي
  * - فحص الأعداد الأولية المتبادلة
+ * - مولد أعداد عشوائية ببذرة (لنتائج قابلة للتكرار)
  */
 
 /**
@@ -131,5 +132,37 @@ function isCoprime(a, b) {
   return gcd(a, b) === 1;
 }
 
+/**
+ * مولد أعداد عشوائية قابل للتكرار (Mulberry32)
+ * 
+ * نفس البذرة تعطي دائماً نفس التسلسل، وهذا مفيد لإعادة إنتاج نتيجة
+ * تعتمد على العشوائية (مثل اختيار المرادفات في الشيفرة المتجانسة)
+ * ليس آمناً للاستخدامات التشفيرية الحقيقية
+ * 
+ * @param {number|string} seed - البذرة (النص يُحوّل إلى عدد)
+ * @returns {Function} - دالة تعيد عدداً في [0, 1) مثل Math.random
+ * 
+ * مثال: const random = seededRandom(42); random(); random(); ...
+ */
+function seededRandom(seed) {
+  // تحويل النص إلى عدد 32 بت (FNV-1a)
+  let state = 0;
+  if (typeof seed === 'string') {
+    state = 2166136261;
+    for (const char of seed) {
+      state = Math.imul(state ^ char.charCodeAt(0), 16777619);
+    }
+  } else {
+    state = Number(seed) | 0;
+  }
+
+  return function random() {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 // تصدير جميع الدوال للاستخدام في الملفات الأخرى
-module.exports = { letterToNum, numToLetter, isLetter, mod, modInverse, gcd, isCoprime };
+module.exports = { letterToNum, numToLetter, isLetter, mod, modInverse, gcd, isCoprime, seededRandom };
@@ -0,0 +1,286 @@
+/**
+ * ملف: enigma.js
+ * الوصف: محاكي آلة إنيجما (Enigma I / M3) - الجيش والبحرية الألمانية، الحرب العالمية الثانية
+ *
+ * مسار الإشارة عند الضغط على حرف:
+ *   لوحة التوصيل → الدوّار الأيمن → الأوسط → الأيسر → العاكس
+ *   → الأيسر → الأوسط → الأيمن (بالاتجاه المعاكس) → لوحة التوصيل → المصباح
+ *
+ * المكونات:
+ * - الدوّارات (Rotors) I-VIII: كل دوّار تبديل ثابت للأبجدية (أسلاك داخلية)،
+ *   يدور خطوة قبل كل ضغطة فيتغير التبديل مع كل حرف (شيفرة متعددة الأبجديات
+ *   بدورة 16,900 حرفاً تقريباً بدلاً من طول كلمة المفتاح في فيجنير)
+ * - إعداد الحلقة (Ringstellung): يزيح الأسلاك بالنسبة للحرف الظاهر في النافذة
+ * - العاكس (Reflector) B أو C: يعيد الإشارة عبر الدوّارات، لذلك:
+ *   - التشفير وفك التشفير نفس العملية (بنفس الإعدادات)
+ *   - لا يُشفر أي حرف إلى نفسه أبداً (نقطة ضعف استغلها محللو بلتشلي بارك)
+ * - لوحة التوصيل (Plugboard): تبديل أزواج من الأحرف قبل الدوّارات وبعدها
+ *
+ * الخطو المزدوج (Double Stepping):
+ * - الدوّار الأيمن يدور مع كل ضغطة
+ * - عندما يكون الأيمن عند حرف النتوء (notch) يُدير الأوسط
+ * - عندما يكون الأوسط عند نتوئه يدور هو والأيسر معاً، لذلك يدور الأوسط
+ *   خطوتين متتاليتين: ADU → ADV → AEW → BFX
+ *
+ * الإعدادات (المفتاح):
+ * {
+ *   rotors: ['I', 'II', 'III'],   // من اليسار لليمين
+ *   reflector: 'B',
+ *   rings: 'AAA',                 // أو أرقام [1, 1, 1] كما في جداول المفاتيح
+ *   positions: 'AAA',             // الأحرف الظاهرة في النوافذ
+ *   plugboard: 'AV BS CG'         // أزواج (اختيارية)
+ * }
+ */
+
+// استيراد الدوال المساعدة
+const { letterToNum, numToLetter, isLetter, mod } = require('../helpers');
+
+// أسلاك الدوّارات التاريخية وحروف النتوء (الدوّار يُدير التالي عند الانتقال من هذا الحرف)
+const ROTORS = {
+  I: { wiring: 'EKMFLGDQVZNTOWYHXUSPAIBRCJ', notches: 'Q' },
+  II: { wiring: 'AJDKSIRUXBLHWTMCQGZNPYFVOE', notches: 'E' },
+  III: { wiring: 'BDFHJLCPRTXVZNYEIWGAKMUSQO', notches: 'V' },
+  IV: { wiring: 'ESOVPZJAYQUIRHXLNFTGKDCMWB', notches: 'J' },
+  V: { wiring: 'VZBRGITYUPSDNHLXAWMJQOFECK', notches: 'Z' },
+  VI: { wiring: 'JPGVOUMFYQBENHZRDKASXLICTW', notches: 'ZM' },
+  VII: { wiring: 'NZJHGRCXMYSWBOUFAIVLPEKQDT', notches: 'ZM' },
+  VIII: { wiring: 'FKQHTLXOCBJSPDZRAMEWNIUYGV', notches: 'ZM' }
+};
+
+// العواكس (كل حرف مرتبط بحرف آخر، ولا يرتبط حرف بنفسه)
+const REFLECTORS = {
+  B: 'YRUHQSLDPXNGOKMIEBFZCWVJAT',
+  C: 'FVPJIAOYEDRZXWGCTKUQSBNMHL'
+};
+
+// أسماء المواقع الثلاثة (للتتبع)
+const SLOTS = ['left', 'middle', 'right'];
+
+/**
+ * تحويل إعداد الحلقات أو المواقع إلى أرقام (0-25)
+ * @param {string|number[]} value - ثلاثة أحرف، أو ثلاثة أرقام من 1 إلى 26
+ * @param {string} name - اسم الإعداد (لرسالة الخطأ)
+ * @returns {number[]} - ثلاثة أرقام (0-25)
+ * @throws {Error} - إذا لم تكن ثلاث قيم صالحة
+ */
+function parseSetting(value, name) {
+  const values = typeof value === 'string'
+    ? value.replace(/\s/g, '').split('').map(c => (isLetter(c) ? letterToNum(c) : NaN))
+    : Array.isArray(value) ? value.map(n => (Number.isInteger(n) && n >= 1 && n <= 26 ? n - 1 : NaN)) : [];
+
+  if (values.length !== 3 || values.some(Number.isNaN)) {
+    throw new Error(`${name} must be three letters (e.g. "AAA") or three numbers from 1 to 26`);
+  }
+  return values;
+}
+
+/**
+ * بناء لوحة التوصيل من أزواج الأحرف
+ * @param {string} [pairs=''] - أزواج مفصولة بمسافات، مثل "AV BS CG"
+ * @returns {number[]} - تبديل الأبجدية (الحرف غير الموصول يبقى كما هو)
+ * @throws {Error} - إذا كان الزوج غير صالح أو استُخدم حرف أكثر من مرة
+ */
+function parsePlugboard(pairs = '') {
+  const wiring = [...Array(26).keys()];
+  const used = new Set();
+
+  for (const pair of pairs.toUpperCase().split(/\s+/).filter(Boolean)) {
+    if (pair.length !== 2 || !isLetter(pair[0]) || !isLetter(pair[1]) || pair[0] === pair[1]) {
+      throw new Error(`Invalid plugboard pair "${pair}"; use two different letters like "AV"`);
+    }
+    for (const c of pair) {
+      if (used.has(c)) throw new Error(`Letter ${c} is plugged more than once`);
+      used.add(c);
+    }
+
+    const a = letterToNum(pair[0]);
+    const b = letterToNum(pair[1]);
+    wiring[a] = b;
+    wiring[b] = a;
+  }
+
+  return wiring;
+}
+
+/**
+ * التحقق من الإعدادات وتحويلها إلى صيغة داخلية
+ * @param {Object} settings - إعدادات الآلة
+ * @returns {{rotors: Object[], reflector: Object, rings: number[], positions: number[], plugboard: number[]}}
+ * @throws {Error} - إذا كان أي إعداد غير صالح
+ */
+function validateKey(settings) {
+  if (!settings || typeof settings !== 'object') {
+    throw new Error('Enigma key must be a settings object');
+  }
+
+  const { rotors = [], reflector = 'B', rings = 'AAA', positions = 'AAA', plugboard = '' } = settings;
+
+  if (!Array.isArray(rotors) || rotors.length !== 3) {
+    throw new Error('Enigma needs exactly three rotors, e.g. ["I", "II", "III"]');
+  }
+  for (const name of rotors) {
+    if (!ROTORS[name]) {
+      throw new Error(`Unknown rotor "${name}". Available rotors: ${Object.keys(ROTORS).join(', ')}`);
+    }
+  }
+  if (new Set(rotors).size !== 3) {
+    throw new Error('Each rotor can only be used once');
+  }
+  if (!REFLECTORS[reflector]) {
+    throw new Error(`Unknown reflector "${reflector}". Available reflectors: ${Object.keys(REFLECTORS).join(', ')}`);
+  }
+
+  return {
+    rotors: rotors.map(name => {
+      const forward = ROTORS[name].wiring.split('').map(letterToNum);
+      const backward = Array(26);
+      forward.forEach((out, i) => { backward[out] = i; });
+      return { name, forward, backward, notches: ROTORS[name].notches.split('').map(letterToNum) };
+    }),
+    reflector: { name: reflector, wiring: REFLECTORS[reflector].split('').map(letterToNum) },
+    rings: parseSetting(rings, 'Ring settings'),
+    positions: parseSetting(positions, 'Rotor positions'),
+    plugboard: parsePlugboard(plugboard)
+  };
+}
+
+/**
+ * تدوير الدوّارات قبل الضغطة (مع الخطو المزدوج)
+ * @param {Object[]} rotors - الدوّارات [يسار، وسط، يمين]
+ * @param {number[]} positions - المواقع الحالية (تُعدّل مباشرة)
+ */
+function stepRotors(rotors, positions) {
+  const middleAtNotch = rotors[1].notches.includes(positions[1]);
+  const rightAtNotch = rotors[2].notches.includes(positions[2]);
+
+  if (middleAtNotch) {
+    // الخطو المزدوج: الأوسط يدور مع الأيسر
+    positions[0] = mod(positions[0] + 1, 26);
+    positions[1] = mod(positions[1] + 1, 26);
+  } else if (rightAtNotch) {
+    positions[1] = mod(positions[1] + 1, 26);
+  }
+
+  positions[2] = mod(positions[2] + 1, 26);
+}
+
+/**
+ * تمرير الإشارة عبر دوّار واحد
+ * @param {number[]} wiring - الأسلاك (forward أو backward)
+ * @param {number} c - الحرف الداخل (0-25)
+ * @param {number} position - موقع الدوّار
+ * @param {number} ring - إعداد الحلقة
+ * @returns {number} - الحرف الخارج (0-25)
+ */
+function passRotor(wiring, c, position, ring) {
+  const shift = position - ring;
+  return mod(wiring[mod(c + shift, 26)] - shift, 26);
+}
+
+/**
+ * ضغطة مفتاح واحدة مع تسجيل مسار الإشارة
+ * @param {Object} machine - الإعدادات الداخلية (المواقع تُعدّل مباشرة)
+ * @param {number} c - الحرف المضغوط (0-25)
+ * @returns {{positions: string, path: Object[], output: number}}
+ */
+function pressKey(machine, c) {
+  const { rotors, reflector, rings, positions, plugboard } = machine;
+  stepRotors(rotors, positions);
+
+  const path = [];
+  const record = (entry, from, to) => {
+    path.push({ ...entry, from: numToLetter(from), to: numToLetter(to) });
+    return to;
+  };
+
+  let signal = record({ stage: 'plugboard' }, c, plugboard[c]);
+
+  // ذهاباً: من اليمين إلى اليسار
+  for (let i = 2; i >= 0; i--) {
+    signal = record(
+      { stage: 'rotor', rotor: rotors[i].name, slot: SLOTS[i], direction: 'forward' },
+      signal,
+      passRotor(rotors[i].forward, signal, positions[i], rings[i])
+    );
+  }
+
+  signal = record({ stage: 'reflector', reflector: reflector.name }, signal, reflector.wiring[signal]);
+
+  // إياباً: من اليسار إلى اليمين بالأسلاك المعكوسة
+  for (let i = 0; i <= 2; i++) {
+    signal = record(
+      { stage: 'rotor', rotor: rotors[i].name, slot: SLOTS[i], direction: 'backward' },
+      signal,
+      passRotor(rotors[i].backward, signal, positions[i], rings[i])
+    );
+  }
+
+  const output = record({ stage: 'plugboard' }, signal, plugboard[signal]);
+
+  return { positions: positions.map(numToLetter).join(''), path, output };
+}
+
+/**
+ * تشفير النص مع تتبع كل ضغطة (لعرض مسار الإشارة خطوة بخطوة)
+ *
+ * الأحرف غير الأبجدية لا تُضغط (لا تدير الدوّارات) وتبقى كما هي
+ *
+ * @param {string} text - النص
+ * @param {Object} settings - إعدادات الآلة
+ * @returns {{input: string, positions: string, path: Object[], output: string}[]}
+ *   لكل حرف:
+ *   - positions: الأحرف الظاهرة في النوافذ بعد الدوران (قبل مرور الإشارة)
+ *   - path: مراحل الإشارة بالترتيب [{stage, rotor?, slot?, direction?, reflector?, from, to}]
+ *   - output: الحرف المضيء
+ */
+function trace(text, settings) {
+  const machine = validateKey(settings);
+  const steps = [];
+
+  for (const char of text) {
+    if (!isLetter(char)) continue;
+    const { positions, path, output } = pressKey(machine, letterToNum(char));
+    steps.push({ input: char.toUpperCase(), positions, path, output: numToLetter(output) });
+  }
+
+  return steps;
+}
+
+/**
+ * دالة التشفير
+ * @param {string} plaintext - النص الأصلي
+ * @param {Object} settings - إعدادات الآلة (rotors, reflector, rings, positions, plugboard)
+ * @returns {string} - النص المشفر
+ */
+function encrypt(plaintext, settings) {
+  const machine = validateKey(settings);
+
+  return plaintext.split('').map(char => {
+    if (!isLetter(char)) return char;
+    const letter = numToLetter(pressKey(machine, letterToNum(char)).output);
+    return char === char.toUpperCase() ? letter : letter.toLowerCase();
+  }).join('');
+}
+
+/**
+ * دالة فك التشفير
+ *
+ * بفضل العاكس، فك التشفير هو نفس التشفير بنفس الإعدادات الابتدائية
+ *
+ * @param {string} ciphertext - النص المشفر
+ * @param {Object} settings - نفس الإعدادات المستخدمة في التشفير
+ * @returns {string} - النص الأصلي
+ */
+function decrypt(ciphertext, settings) {
+  return encrypt(ciphertext, settings);
+}
+
+// تصدير الدوال
+module.exports = { encrypt, decrypt, trace, ROTORS, REFLECTORS };
+
+// مثال على الاستخدام:
+// const enigma = require('./enigma');
+// const settings = { rotors: ['I', 'II', 'III'], reflector: 'B', rings: 'AAA', positions: 'AAA' };
+// console.log(enigma.encrypt("AAAAA", settings));   // BDZGO
+// console.log(enigma.decrypt("BDZGO", settings));   // AAAAA
+// console.log(enigma.trace("A", settings)[0].path); // مسار الإشارة: لوحة التوصيل → الدوّارات → العاكس → ...
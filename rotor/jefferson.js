@@ -0,0 +1,177 @@
+/**
+ * ملف: jefferson.js
+ * الوصف: أسطوانة جيفرسون / بازيري (Jefferson / Bazeries Wheel Cypher)
+ *
+ * آلية العمل:
+ * - مجموعة أقراص على محور واحد، على حافة كل قرص أبجدية كاملة بترتيب مختلف
+ * - المفتاح: ترتيب الأقراص على المحور (وعدد الصفوف بين النص الأصلي والمشفر)
+ * - التشفير: تُدار الأقراص حتى يظهر النص الأصلي في صف واحد،
+ *   ثم يُقرأ النص المشفر من صف آخر (على بعد offset صفوف)
+ * - فك التشفير: يُكتب النص المشفر في صف، ويُقرأ النص الأصلي
+ *   من الصف المقابل (أو يُبحث بين الصفوف الـ 25 عن الصف المقروء)
+ * - الرسائل الأطول من عدد الأقراص تُقسم إلى مجموعات بطولها
+ *
+ * كل قرص أبجدية مستبدلة مستقلة، فالشيفرة متعددة الأبجديات بدورة = عدد الأقراص:
+ *     C[i] = قرص[i][(موقع P[i] في القرص + offset) mod 26]
+ *
+ * الأقراص الافتراضية: أقراص جهاز الجيش الأمريكي M-94 (1922) الـ 25
+ * (تطوير لفكرة جيفرسون 1795 وبازيري 1891)
+ */
+
+// استيراد الدوال المساعدة
+const { isLetter, mod } = require('../helpers');
+
+// أقراص M-94 (القرص 17 يبدأ بـ ARMYOFTHEUS)
+const M94_DISKS = [
+  'ABCEIGDJFVUYMHTQKZOLRXSPWN', 'ACDEHFIJKTLMOUVYGZNPQXRWSB', 'ADKOMJUBGEPHSCZINXFYQRTVWL',
+  'AEDCBIFGJHLKMRUOQVPTNWYXZS', 'AFNQUKDOPITJBRHCYSLWEMZVXG', 'AGPOCIXLURNDYZHWBJSQFKVMET',
+  'AHXJEZBNIKPVROGSYDULCFMQTW', 'AIHPJOBWKCVFZLQERYNSUMGTDX', 'AJDSKQOIVTZEFHGYUNLPMBXWCR',
+  'AKELBDFJGHONMTPRQSVZUXYWIC', 'ALTMSXVQPNOHUWDIZYCGKRFBEJ', 'AMNFLHQGCUJTBYPZKXISRDVEWO',
+  'ANCJILDHBMKGXUZTSWQYVORPFE', 'AODWPKJVIUQHZCTXBLEGNYRSMF', 'APBVHIYKSGUENTCXOWFQDRLJZM',
+  'AQJNUBTGIMWZRVLXCSHDEOKFPY', 'ARMYOFTHEUSZJXDPCWGQIBKLNV', 'ASDMCNEQBOZPLGVJRKYTFUIWXH',
+  'ATOJYLFXNGWHVCMIRBSEKUPDZQ', 'AUTRZXQLYIOVBPESNHJWMDGFCK', 'AVNKHRGOXEYBFSJMUDQCLZWTIP',
+  'AWVSFDLIEBHKNRJQZGMXPUCOTY', 'AXKWREVDTUFOYHMLSIQNJCPGBZ', 'AYJPXMVKBQWUGLOSTECHNZFRID',
+  'AZDNBUHYFWJLVGRCQMPSOEXTKI'
+];
+
+/**
+ * التحقق من المفتاح وتجهيز الأقراص بالترتيب المطلوب
+ * @param {{order: number[], offset?: number, disks?: string[]}} key - المفتاح
+ * @returns {{wheels: string[], order: number[], offset: number}} - الأقراص مرتبة على المحور
+ * @throws {Error} - إذا كان الترتيب أو الإزاحة أو أحد الأقراص غير صالح
+ */
+function validateKey(key) {
+  if (!key || !Array.isArray(key.order) || key.order.length === 0) {
+    throw new Error('Key must include the disk order, e.g. { order: [7, 2, 19, 11] }');
+  }
+
+  const { order, offset = 1, disks = M94_DISKS } = key;
+
+  disks.forEach((disk, i) => {
+    const letters = disk.toUpperCase();
+    if (letters.length !== 26 || new Set(letters).size !== 26 || !letters.split('').every(isLetter)) {
+      throw new Error(`Disk ${i + 1} must contain each letter A-Z exactly once`);
+    }
+  });
+
+  for (const n of order) {
+    if (!Number.isInteger(n) || n < 1 || n > disks.length) {
+      throw new Error(`Disk number ${n} is out of range (1-${disks.length})`);
+    }
+  }
+  if (new Set(order).size !== order.length) {
+    throw new Error('Each disk can only be used once');
+  }
+  if (!Number.isInteger(offset) || mod(offset, 26) === 0) {
+    throw new Error('Offset must be an integer that is not a multiple of 26');
+  }
+
+  return { wheels: order.map(n => disks[n - 1].toUpperCase()), order, offset };
+}
+
+/**
+ * تتبع كل حرف: القرص المستخدم والصف المقروء
+ * @param {string} text - النص
+ * @param {Object} key - المفتاح {order, offset?, disks?}
+ * @param {number} direction - 1 للتشفير، -1 لفك التشفير
+ * @returns {{input: string, disk: number, from: number, to: number, output: string}[]}
+ */
+function transform(text, key, direction) {
+  const { wheels, order, offset } = validateKey(key);
+  const steps = [];
+  let index = 0;
+
+  for (const char of text) {
+    if (!isLetter(char)) continue;
+
+    // القرص التالي على المحور (يعود للأول بعد آخر قرص)
+    const slot = index % wheels.length;
+    const wheel = wheels[slot];
+    const from = wheel.indexOf(char.toUpperCase());
+    const to = mod(from + direction * offset, 26);
+
+    steps.push({ input: char.toUpperCase(), disk: order[slot], from, to, output: wheel[to] });
+    index++;
+  }
+
+  return steps;
+}
+
+/**
+ * الحالة الداخلية لكل حرف أثناء التشفير
+ * @param {string} plaintext - النص الأصلي
+ * @param {Object} key - المفتاح {order, offset?, disks?}
+ * @returns {{input: string, disk: number, from: number, to: number, output: string}[]}
+ *   - disk: رقم القرص في المجموعة
+ *   - from, to: موقع الحرف الأصلي والمشفر على حافة القرص (0-25)
+ */
+function trace(plaintext, key) {
+  return transform(plaintext, key, 1);
+}
+
+/**
+ * جميع صفوف الأسطوانة لأول مجموعة من النص (Generatrices)
+ *
+ * بعد ضبط الأقراص على النص، تظهر 26 سطراً حول الأسطوانة:
+ * الصف 0 هو النص نفسه، والصف offset هو النص المشفر
+ * عند فك التشفير دون معرفة offset يُبحث عن الصف المقروء بينها
+ *
+ * @param {string} text - النص (يُستخدم أول عدد من الأحرف بعدد الأقراص)
+ * @param {Object} key - المفتاح {order, disks?}
+ * @returns {string[]} - 26 سطراً
+ */
+function generatrices(text, key) {
+  const { wheels } = validateKey(key);
+  const letters = text.toUpperCase().split('').filter(isLetter).slice(0, wheels.length);
+
+  const rows = [];
+  for (let row = 0; row < 26; row++) {
+    rows.push(letters.map((c, i) => wheels[i][mod(wheels[i].indexOf(c) + row, 26)]).join(''));
+  }
+  return rows;
+}
+
+/**
+ * إعادة بناء النص مع الحفاظ على الأحرف غير الأبجدية وحالة الأحرف
+ * @param {string} original - النص الأصلي
+ * @param {Object[]} steps - نتيجة transform
+ * @returns {string}
+ */
+function rebuild(original, steps) {
+  let index = 0;
+  return original.split('').map(char => {
+    if (!isLetter(char)) return char;
+    const letter = steps[index++].output;
+    return char === char.toUpperCase() ? letter : letter.toLowerCase();
+  }).join('');
+}
+
+/**
+ * دالة التشفير
+ * @param {string} plaintext - النص الأصلي
+ * @param {{order: number[], offset?: number, disks?: string[]}} key - ترتيب الأقراص (من 1)،
+ *   والإزاحة بين الصفين (افتراضياً 1)، ومجموعة أقراص مخصصة (افتراضياً M-94)
+ * @returns {string} - النص المشفر
+ */
+function encrypt(plaintext, key) {
+  return rebuild(plaintext, transform(plaintext, key, 1));
+}
+
+/**
+ * دالة فك التشفير
+ * @param {string} ciphertext - النص المشفر
+ * @param {Object} key - نفس المفتاح المستخدم في التشفير
+ * @returns {string} - النص الأصلي
+ */
+function decrypt(ciphertext, key) {
+  return rebuild(ciphertext, transform(ciphertext, key, -1));
+}
+
+// تصدير الدوال
+module.exports = { encrypt, decrypt, trace, generatrices, M94_DISKS };
+
+// مثال على الاستخدام:
+// const jefferson = require('./jefferson');
+// const key = { order: [17, 3, 9, 22, 1], offset: 4 };
+// console.log(jefferson.encrypt("HELLO", key));
+// console.log(jefferson.generatrices("HELLO", key));   // 26 سطراً، أحدها HELLO وآخر النص المشفر
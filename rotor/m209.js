@@ -0,0 +1,214 @@
+/**
+ * ملف: m209.js
+ * الوصف: محاكي آلة هاغلين M-209 (الجيش الأمريكي، الحرب العالمية الثانية)
+ *
+ * المكونات:
+ * - ست عجلات دبابيس بأحجام 26، 25، 23، 21، 19، 17 (أعداد أولية فيما بينها،
+ *   فلا يتكرر نمط العجلات قبل 101,405,850 حرفاً)
+ *   كل دبوس إما فعّال أو غير فعّال (جزء من المفتاح)
+ * - قفص من 27 قضيباً، على كل قضيب نتوءان (lugs) يمكن وضع كل منهما
+ *   مقابل إحدى العجلات الست أو في الموضع المحايد (0)
+ *
+ * التشفير لكل حرف:
+ * 1. يُقرأ الدبوس الموجود في موضع الاستشعار لكل عجلة (فعّال أو لا)
+ * 2. كل قضيب له نتوء مقابل عجلة دبوسها فعّال يُزاح (مرة واحدة فقط حتى لو تطابق النتوءان)
+ * 3. عدد القضبان المزاحة هو مقدار الإزاحة k (0-27)
+ * 4. الحرف المشفر بمعادلة بوفورت: C = (25 + k - P) mod 26  (أي Z - P + k)
+ * 5. تتقدم جميع العجلات خطوة واحدة
+ *
+ * مثل بوفورت (beaufort.js) العملية عكسية: التشفير وفك التشفير نفس العملية
+ *
+ * موضع الاستشعار يبعد عن الحرف الظاهر في النافذة بعدد ثابت لكل عجلة
+ * (15، 14، 13، 12، 11، 10)
+ *
+ * المفتاح:
+ * {
+ *   pins: ['ABDHIKMNSTVW', ...],   // الدبابيس الفعالة في كل عجلة (6 نصوص)
+ *   lugs: '3-6 0-6 1-6 ...',       // القضبان (حتى 27)، كل قضيب "عجلة-عجلة" و 0 = محايد
+ *   positions: 'AAAAAA'            // الأحرف الظاهرة في النوافذ الست
+ * }
+ */
+
+// استيراد الدوال المساعدة
+const { letterToNum, numToLetter, isLetter, mod } = require('../helpers');
+
+// أحرف كل عجلة (العجلات الأصغر تحذف بعض الأحرف، مثل W من العجلة الثانية)
+const WHEELS = [
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  'ABCDEFGHIJKLMNOPQRSTUVXYZ',
+  'ABCDEFGHIJKLMNOPQRSTUVX',
+  'ABCDEFGHIJKLMNOPQRSTU',
+  'ABCDEFGHIJKLMNOPQRS',
+  'ABCDEFGHIJKLMNOPQ'
+];
+
+// المسافة بين النافذة وموضع استشعار الدبوس لكل عجلة
+const SENSING_OFFSETS = [15, 14, 13, 12, 11, 10];
+
+// عدد قضبان القفص
+const BAR_COUNT = 27;
+
+/**
+ * تحويل إعداد القضبان إلى أزواج أرقام
+ * @param {string|string[]} lugs - "3-6 0-6 ..." أو ['3-6', '0-6', ...]
+ * @returns {number[][]} - [نتوء1، نتوء2] لكل قضيب (0 = محايد، 1-6 = رقم العجلة)
+ * @throws {Error} - إذا كان أي قضيب غير صالح أو العدد أكبر من 27
+ */
+function parseLugs(lugs) {
+  const bars = (Array.isArray(lugs) ? lugs : String(lugs).split(/\s+/)).filter(Boolean);
+
+  if (bars.length > BAR_COUNT) {
+    throw new Error(`The lug cage has only ${BAR_COUNT} bars, got ${bars.length}`);
+  }
+
+  return bars.map((bar, i) => {
+    const match = /^([0-6])-([0-6])$/.exec(bar);
+    if (!match) {
+      throw new Error(`Bar ${i + 1} "${bar}" must look like "3-6" (wheels 1-6, or 0 for neutral)`);
+    }
+    const [a, b] = [Number(match[1]), Number(match[2])];
+    if (a !== 0 && a === b) {
+      throw new Error(`Bar ${i + 1} has both lugs against wheel ${a}`);
+    }
+    return [a, b];
+  });
+}
+
+/**
+ * التحقق من المفتاح وتحويله إلى صيغة داخلية
+ * @param {{pins: string[], lugs: string|string[], positions?: string}} key - المفتاح
+ * @returns {{pins: boolean[][], bars: number[][], positions: number[]}}
+ * @throws {Error} - إذا كان أي جزء من المفتاح غير صالح
+ */
+function validateKey(key) {
+  if (!key || !Array.isArray(key.pins) || key.pins.length !== 6) {
+    throw new Error('Key must include pins: six strings of active pin letters, one per wheel');
+  }
+
+  const pins = key.pins.map((active, w) => {
+    const letters = String(active).toUpperCase().replace(/[^A-Z]/g, '');
+    for (const c of letters) {
+      if (!WHEELS[w].includes(c)) {
+        throw new Error(`Wheel ${w + 1} has no pin ${c} (its letters are ${WHEELS[w][0]}-${WHEELS[w].slice(-1)} without ${missingLetters(w)})`);
+      }
+    }
+    return WHEELS[w].split('').map(c => letters.includes(c));
+  });
+
+  if (key.lugs === undefined) {
+    throw new Error('Key must include the lug settings, e.g. "3-6 0-6 1-6 ..."');
+  }
+  const bars = parseLugs(key.lugs);
+
+  const positionLetters = (key.positions || 'AAAAAA').toUpperCase();
+  if (positionLetters.length !== 6) {
+    throw new Error('Positions must be six letters, one per wheel');
+  }
+  const positions = positionLetters.split('').map((c, w) => {
+    const index = WHEELS[w].indexOf(c);
+    if (index === -1) {
+      throw new Error(`Wheel ${w + 1} cannot be set to ${c}`);
+    }
+    return index;
+  });
+
+  return { pins, bars, positions };
+}
+
+/**
+ * الأحرف غير الموجودة على عجلة (لرسائل الخطأ)
+ * @param {number} w - رقم العجلة (0-5)
+ * @returns {string}
+ */
+function missingLetters(w) {
+  return WHEELS[0].split('').filter(c => !WHEELS[w].includes(c)).join(', ') || 'none';
+}
+
+/**
+ * تشفير حرف واحد وتسجيل الحالة الداخلية ثم تقديم العجلات
+ * @param {Object} machine - الإعدادات الداخلية (المواقع تُعدّل مباشرة)
+ * @param {number} p - الحرف (0-25)
+ * @returns {{positions: string, activePins: boolean[], shift: number, output: number}}
+ */
+function pressKey(machine, p) {
+  const { pins, bars, positions } = machine;
+
+  const window = positions.map((pos, w) => WHEELS[w][pos]).join('');
+  const activePins = positions.map((pos, w) =>
+    pins[w][mod(pos + SENSING_OFFSETS[w], WHEELS[w].length)]
+  );
+
+  // عدد القضبان التي يلمس أحد نتوءيها عجلة دبوسها فعّال
+  const shift = bars.filter(([a, b]) => (a && activePins[a - 1]) || (b && activePins[b - 1])).length;
+
+  // تقدم جميع العجلات خطوة واحدة
+  positions.forEach((pos, w) => {
+    positions[w] = mod(pos + 1, WHEELS[w].length);
+  });
+
+  return { positions: window, activePins, shift, output: mod(25 + shift - p, 26) };
+}
+
+/**
+ * الحالة الداخلية لكل حرف
+ * @param {string} text - النص
+ * @param {Object} key - المفتاح {pins, lugs, positions}
+ * @returns {{input: string, positions: string, activePins: boolean[], shift: number, output: string}[]}
+ *   - positions: الأحرف الظاهرة في النوافذ قبل الحرف
+ *   - activePins: هل الدبوس في موضع الاستشعار فعّال (لكل عجلة)
+ *   - shift: عدد القضبان المزاحة (مقدار الإزاحة)
+ */
+function trace(text, key) {
+  const machine = validateKey(key);
+  const steps = [];
+
+  for (const char of text) {
+    if (!isLetter(char)) continue;
+    const { positions, activePins, shift, output } = pressKey(machine, letterToNum(char));
+    steps.push({ input: char.toUpperCase(), positions, activePins, shift, output: numToLetter(output) });
+  }
+
+  return steps;
+}
+
+/**
+ * دالة التشفير
+ *
+ * الأحرف غير الأبجدية تبقى كما هي ولا تُقدم العجلات
+ *
+ * @param {string} plaintext - النص الأصلي
+ * @param {{pins: string[], lugs: string|string[], positions?: string}} key - المفتاح
+ * @returns {string} - النص المشفر
+ */
+function encrypt(plaintext, key) {
+  const machine = validateKey(key);
+
+  return plaintext.split('').map(char => {
+    if (!isLetter(char)) return char;
+    const letter = numToLetter(pressKey(machine, letterToNum(char)).output);
+    return char === char.toUpperCase() ? letter : letter.toLowerCase();
+  }).join('');
+}
+
+/**
+ * دالة فك التشفير (نفس التشفير بنفس الإعدادات الابتدائية)
+ * @param {string} ciphertext - النص المشفر
+ * @param {Object} key - نفس المفتاح المستخدم في التشفير
+ * @returns {string} - النص الأصلي
+ */
+function decrypt(ciphertext, key) {
+  return encrypt(ciphertext, key);
+}
+
+// تصدير الدوال
+module.exports = { encrypt, decrypt, trace, WHEELS };
+
+// مثال على الاستخدام:
+// const m209 = require('./m209');
+// const key = {
+//   pins: ['ABDHIKMNSTVW', 'ADEGJKLORSUX', 'ABGHJLMNRSTUX', 'CEFHIMNPSTU', 'BDEFHIMNPS', 'ABDHKNOQ'],
+//   lugs: '3-6 0-6 1-6 1-5 4-5 0-4 0-4 0-4 0-4 2-0 2-0 2-0 2-0 2-0 2-0 2-0 2-0 2-0 2-0 2-5 2-5 0-5 0-5 0-5 0-5 0-5 0-5',
+//   positions: 'AAAAAA'
+// };
+// console.log(m209.encrypt("ATTACK AT DAWN", key));
+// console.log(m209.trace("A", key));   // [{ positions: 'AAAAAA', activePins: [...], shift: ..., output: ... }]
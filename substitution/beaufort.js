@@ -0,0 +1,102 @@
+/**
+ * ملف: beaufort.js
+ * الوصف: شيفرة بوفورت (Beaufort Cipher) ونسختها المعدّلة (Variant Beaufort)
+ * 
+ * آلية العمل:
+ * - تستخدم كلمة مفتاحية تُكرر لتغطية طول الرسالة (مثل فيجنير)
+ * - بوفورت: C = (K[i] - P) mod 26
+ *   فك التشفير بنفس المعادلة: P = (K[i] - C) mod 26
+ *   أي أن الشيفرة تبادلية (Reciprocal): التشفير وفك التشفير عملية واحدة
+ * - بوفورت المعدّلة: C = (P - K[i]) mod 26 ، P = (C + K[i]) mod 26
+ *   وهي فك تشفير فيجنير مستخدماً كتشفير
+ * 
+ * مثال: النص "HELLO" مع المفتاح "KEY"
+ * H(7) → K(10) - 7 = 3 → D
+ * 
+ * الأمان: مثل فيجنير تماماً، فالمفتاح الدوري يُكسر بنفس الطريقة
+ */
+
+// استيراد الدوال المساعدة والتحقق من المفتاح المشترك مع فيجنير
+const { letterToNum, numToLetter, isLetter, mod } = require('../helpers');
+const { validateKey } = require('./vigenere');
+
+/**
+ * تطبيق معادلة على كل حرف مع حرف المفتاح المقابل
+ * @param {string} text - النص
+ * @param {string} key - الكلمة المفتاحية
+ * @param {function(number, number): number} formula - (قيمة الحرف، قيمة حرف المفتاح) → الناتج قبل mod
+ * @returns {string} - النص الناتج
+ */
+function transform(text, key, formula) {
+  const keyUpper = validateKey(key);
+  let keyIndex = 0;
+  
+  return text.split('').map(char => {
+    // تجاهل الأحرف غير الأبجدية (لا تستهلك من المفتاح)
+    if (!isLetter(char)) return char;
+    
+    const x = letterToNum(char);
+    const k = letterToNum(keyUpper[keyIndex % keyUpper.length]);
+    keyIndex++;
+    
+    const y = mod(formula(x, k), 26);
+    
+    // الحفاظ على حالة الحرف
+    return char === char.toUpperCase() ? numToLetter(y) : numToLetter(y).toLowerCase();
+  }).join('');
+}
+
+/**
+ * دالة التشفير (بوفورت)
+ * @param {string} plaintext - النص الأصلي
+ * @param {string} key - الكلمة المفتاحية
+ * @returns {string} - النص المشفر
+ */
+function encrypt(plaintext, key) {
+  // C = (K - P) mod 26
+  return transform(plaintext, key, (p, k) => k - p);
+}
+
+/**
+ * دالة فك التشفير (بوفورت)
+ * الشيفرة تبادلية، لذلك فك التشفير هو التشفير نفسه
+ * @param {string} ciphertext - النص المشفر
+ * @param {string} key - الكلمة المفتاحية
+ * @returns {string} - النص الأصلي
+ */
+function decrypt(ciphertext, key) {
+  // P = (K - C) mod 26
+  return encrypt(ciphertext, key);
+}
+
+/**
+ * دالة التشفير (بوفورت المعدّلة)
+ * @param {string} plaintext - النص الأصلي
+ * @param {string} key - الكلمة المفتاحية
+ * @returns {string} - النص المشفر
+ */
+function encryptVariant(plaintext, key) {
+  // C = (P - K) mod 26
+  return transform(plaintext, key, (p, k) => p - k);
+}
+
+/**
+ * دالة فك التشفير (بوفورت المعدّلة)
+ * @param {string} ciphertext - النص المشفر
+ * @param {string} key - الكلمة المفتاحية
+ * @returns {string} - النص الأصلي
+ */
+function decryptVariant(ciphertext, key) {
+  // P = (C + K) mod 26
+  return transform(ciphertext, key, (c, k) => c + k);
+}
+
+// تصدير الدوال
+module.exports = { encrypt, decrypt, encryptVariant, decryptVariant };
+
+// مثال على الاستخدام:
+// const beaufort = require('./beaufort');
+// console.log(beaufort.encrypt("HELLO", "KEY"));          // DANZQ
+// console.log(beaufort.decrypt("DANZQ", "KEY"));          // HELLO (نفس العملية)
+// console.log(beaufort.encryptVariant("HELLO", "KEY"));   // XANBK
+// console.log(beaufort.decryptVariant("XANBK", "KEY"));   // HELLO
@@ -0,0 +1,157 @@
+/**
+ * ملف: foursquare.js
+ * الوصف: شيفرة المربعات الأربعة (Four-Square Cipher) - فيليكس ديلاستيل
+ *
+ * آلية العمل:
+ * - أربع مصفوفات 5×5 مرتبة في مربع كبير (I و J حرف واحد كما في بلايفير):
+ *
+ *     أبجدية عادية  |  مفتاح 1
+ *     ─────────────┼─────────────
+ *     مفتاح 2       |  أبجدية عادية
+ *
+ * - تُقسم الرسالة إلى أزواج (a, b):
+ *   - a يُبحث عنه في المربع العلوي الأيسر، و b في السفلي الأيمن
+ *   - الحرفان المشفران في زاويتي المستطيل الأخريين:
+ *     الأول من العلوي الأيمن (صف a، عمود b)
+ *     الثاني من السفلي الأيسر (صف b، عمود a)
+ *
+ * الفرق عن بلايفير:
+ * - لا حالات خاصة (نفس الصف أو العمود)، فلا حاجة لإدراج X بين الحرفين المتكررين
+ * - الزوج لا يُشفر إلى نفسه معكوساً (AB → XY لا يعني BA → YX)
+ */
+
+// استيراد الدوال المساعدة وبناء المصفوفة من بلايفير
+const { isLetter } = require('../helpers');
+const { generateMatrix } = require('./playfair');
+
+/**
+ * التحقق من صحة المفتاح
+ * @param {string[]} key - كلمتان مفتاحيتان
+ * @throws {Error} - إذا لم يكن مصفوفة من كلمتين تحتوي كل منهما على حرف
+ */
+function validateKey(key) {
+  if (!Array.isArray(key) || key.length !== 2 || key.some(k => typeof k !== 'string')) {
+    throw new Error('Four-square key must be an array of two keywords');
+  }
+  if (key.some(k => !k.split('').some(isLetter))) {
+    throw new Error('Each keyword must contain at least one letter');
+  }
+}
+
+/**
+ * بناء جدول المواقع لكل حرف في المصفوفة
+ * @param {string[][]} matrix - المصفوفة 5×5
+ * @returns {Object<string, {row: number, col: number}>} - موقع كل حرف
+ */
+function indexMatrix(matrix) {
+  const positions = {};
+  matrix.forEach((letters, row) => {
+    letters.forEach((letter, col) => {
+      positions[letter] = { row, col };
+    });
+  });
+  return positions;
+}
+
+/**
+ * بناء المربعات الأربعة
+ * @param {string[]} key - كلمتان مفتاحيتان
+ * @returns {{topLeft: string[][], topRight: string[][], bottomLeft: string[][], bottomRight: string[][]}}
+ */
+function generateSquares(key) {
+  validateKey(key);
+  const plain = generateMatrix('');
+  return {
+    topLeft: plain,
+    topRight: generateMatrix(key[0]),
+    bottomLeft: generateMatrix(key[1]),
+    bottomRight: plain
+  };
+}
+
+/**
+ * استخراج الأحرف وتقسيمها إلى أزواج
+ * @param {string} text - النص
+ * @returns {string[][]} - الأزواج (مع X إذا كان العدد فردياً)
+ */
+function toDigraphs(text) {
+  const letters = text.toUpperCase().split('').filter(isLetter).map(c => (c === 'J' ? 'I' : c));
+  if (letters.length % 2 !== 0) letters.push('X');
+
+  const digraphs = [];
+  for (let i = 0; i < letters.length; i += 2) {
+    digraphs.push([letters[i], letters[i + 1]]);
+  }
+  return digraphs;
+}
+
+/**
+ * إعادة بناء النص مع الحفاظ على البنية الأصلية وحالة الأحرف
+ * @param {string} original - النص الأصلي
+ * @param {string[]} letters - الأحرف الناتجة
+ * @returns {string} - النص الناتج (حرف الحشو يُضاف في النهاية)
+ */
+function rebuild(original, letters) {
+  let index = 0;
+  let result = '';
+
+  for (const char of original) {
+    if (!isLetter(char)) {
+      result += char;
+    } else {
+      const letter = letters[index++];
+      result += char === char.toUpperCase() ? letter : letter.toLowerCase();
+    }
+  }
+
+  // إضافة حرف الحشو إن وجد
+  return result + letters.slice(index).join('');
+}
+
+/**
+ * دالة التشفير
+ * @param {string} plaintext - النص الأصلي
+ * @param {string[]} key - كلمتان: [مفتاح المربع العلوي الأيمن، مفتاح المربع السفلي الأيسر]
+ * @returns {string} - النص المشفر
+ */
+function encrypt(plaintext, key) {
+  const { topLeft, topRight, bottomLeft, bottomRight } = generateSquares(key);
+  const plainA = indexMatrix(topLeft);
+  const plainB = indexMatrix(bottomRight);
+
+  const letters = toDigraphs(plaintext).flatMap(([a, b]) => {
+    const posA = plainA[a];
+    const posB = plainB[b];
+    return [topRight[posA.row][posB.col], bottomLeft[posB.row][posA.col]];
+  });
+
+  return rebuild(plaintext, letters);
+}
+
+/**
+ * دالة فك التشفير
+ * @param {string} ciphertext - النص المشفر
+ * @param {string[]} key - نفس الكلمتين المستخدمتين في التشفير
+ * @returns {string} - النص الأصلي (قد يحتوي على X إضافية في النهاية)
+ */
+function decrypt(ciphertext, key) {
+  const { topLeft, topRight, bottomLeft, bottomRight } = generateSquares(key);
+  const cipherA = indexMatrix(topRight);
+  const cipherB = indexMatrix(bottomLeft);
+
+  const letters = toDigraphs(ciphertext).flatMap(([a, b]) => {
+    const posA = cipherA[a];
+    const posB = cipherB[b];
+    return [topLeft[posA.row][posB.col], bottomRight[posB.row][posA.col]];
+  });
+
+  return rebuild(ciphertext, letters);
+}
+
+// تصدير الدوال (generateSquares مُصدّرة لعرض المربعات)
+module.exports = { encrypt, decrypt, generateSquares };
+
+// مثال على الاستخدام:
+// const foursquare = require('./foursquare');
+// console.log(foursquare.encrypt("HELP ME OBI WAN KENOBI", ["EXAMPLE", "KEYWORD"]));  // FYNF NE HWB XAF FOKHMD
+// console.log(foursquare.decrypt("FYNF NE HWB XAF FOKHMD", ["EXAMPLE", "KEYWORD"]));  // HELP ME OBI WAN KENOBI
@@ -0,0 +1,69 @@
+/**
+ * ملف: gronsfeld.js
+ * الوصف: شيفرة غرونسفيلد (Gronsfeld Cipher) - فيجنير بمفتاح رقمي
+ * 
+ * آلية العمل:
+ * - المفتاح سلسلة أرقام (0-9) تُكرر لتغطية طول الرسالة
+ * - كل رقم هو مقدار إزاحة الحرف المقابل
+ * - التشفير: C = (P + K[i]) mod 26
+ * - فك التشفير: P = (C - K[i]) mod 26
+ * 
+ * مثال: النص "HELLO" مع المفتاح "31415"
+ * H+3=K, E+1=F, L+4=P, L+1=M, O+5=T → KFPMT
+ * 
+ * الأمان: أضعف من فيجنير لأن كل موقع له 10 إزاحات ممكنة فقط بدلاً من 26
+ */
+
+// استيراد شيفرة فيجنير (غرونسفيلد حالة خاصة منها)
+const vigenere = require('./vigenere');
+
+/**
+ * دالة التحقق من صحة المفتاح وتحويله إلى مفتاح فيجنير
+ * كل رقم يُحوّل إلى الحرف المقابل: 0 → A, 1 → B, ..., 9 → J
+ * @param {string|number} key - المفتاح الرقمي (مثل "31415" أو 31415)
+ * @returns {string} - المفتاح كأحرف (يُمرر إلى validateKey في فيجنير)
+ * @throws {Error} - إذا كان المفتاح لا يحتوي على أرقام أو يحتوي على أحرف
+ */
+function validateKey(key) {
+  const keyString = String(key);
+  
+  // الأحرف في المفتاح غالباً خطأ (ربما قُصد فيجنير)
+  if (/[A-Za-z]/.test(keyString)) {
+    throw new Error('Gronsfeld key must be numeric (digits 0-9)');
+  }
+  
+  const digits = keyString.split('').filter(c => c >= '0' && c <= '9');
+  if (digits.length === 0) {
+    throw new Error('Key must contain at least one digit');
+  }
+  
+  return vigenere.validateKey(digits.map(d => String.fromCharCode(65 + Number(d))).join(''));
+}
+
+/**
+ * دالة التشفير
+ * @param {string} plaintext - النص الأصلي
+ * @param {string|number} key - المفتاح الرقمي
+ * @returns {string} - النص المشفر
+ */
+function encrypt(plaintext, key) {
+  return vigenere.encrypt(plaintext, validateKey(key));
+}
+
+/**
+ * دالة فك التشفير
+ * @param {string} ciphertext - النص المشفر
+ * @param {string|number} key - المفتاح الرقمي (نفسه المستخدم في التشفير)
+ * @returns {string} - النص الأصلي
+ */
+function decrypt(ciphertext, key) {
+  return vigenere.decrypt(ciphertext, validateKey(key));
+}
+
+// تصدير الدوال
+module.exports = { encrypt, decrypt };
+
+// مثال على الاستخدام:
+// const gronsfeld = require('./gronsfeld');
+// console.log(gronsfeld.encrypt("HELLO", "31415"));  // KFPMT
+// console.log(gronsfeld.decrypt("KFPMT", "31415"));  // HELLO
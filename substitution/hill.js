@@ -273,8 +273,8 @@ function decrypt(ciphertext, key) {
   return result;
 }
 
-// تصدير الدوال
-module.exports = { encrypt, decrypt };
+// تصدير الدوال (دوال المصفوفات مُصدّرة لاستخدامها في هجوم النص المعروف)
+module.exports = { encrypt, decrypt, determinant, cofactor, matrixInverseMod26 };
 
 // مثال على الاستخدام:
 // const hill = require('./hill');
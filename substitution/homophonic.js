@@ -0,0 +1,291 @@
+/**
+ * ملف: homophonic.js
+ * الوصف: شيفرة الاستبدال المتجانس (Homophonic Substitution Cipher)
+ *
+ * آلية العمل:
+ * - مثل الاستبدال الأحادي (monoalphabetic.js)، لكن كل حرف له عدة رموز
+ *   بديلة (مرادفات / homophones) بدلاً من رمز واحد
+ * - عدد رموز كل حرف يتناسب مع تكراره في الإنجليزية:
+ *   E يأخذ 11 رمزاً من 100، بينما J و K و Q و V و X و Z رمزاً واحداً
+ * - عند التشفير يُختار أحد رموز الحرف عشوائياً في كل مرة
+ * - فك التشفير حتمي: كل رمز ينتمي إلى حرف واحد فقط
+ *
+ * النتيجة: تكرار الرموز في النص المشفر شبه مسطح (كل رمز ≈ 1%)،
+ * فيفشل تحليل التكرار البسيط الذي يكسر الاستبدال الأحادي.
+ * (ما يبقى مكشوفاً: تكرار الأزواج والكلمات، وأن الرموز النادرة تعني أحرفاً نادرة)
+ *
+ * المفتاح: كائن يربط كل حرف بقائمة رموزه، وكل الرموز بنفس الطول
+ *   { A: ['07', '31', ...], B: ['52'], ... }
+ *
+ * الرموز رقمية افتراضياً (00-99)، أو رمزية من مجموعة محارف يحددها المستخدم
+ */
+
+// استيراد الدوال المساعدة وتكرار الأحرف الإنجليزية
+const { letterToNum, numToLetter, isLetter, seededRandom } = require('../helpers');
+const { ENGLISH_FREQ } = require('../fitness');
+
+/**
+ * توزيع عدد الرموز على الأحرف بما يتناسب مع تكرارها
+ *
+ * كل حرف يبدأ برمز واحد، ثم يُعطى كل رمز إضافي للحرف الذي يكون
+ * تكرار كل رمز من رموزه (التكرار ÷ عدد الرموز) هو الأعلى،
+ * فيقترب تكرار الرموز من التساوي قدر الإمكان
+ *
+ * @param {number} [total=100] - إجمالي عدد الرموز (26 على الأقل)
+ * @returns {number[]} - عدد رموز كل حرف (A إلى Z)
+ * @throws {Error} - إذا كان العدد أقل من 26
+ *
+ * مثال: homophoneCounts(100)[4] → 11 (الحرف E)
+ */
+function homophoneCounts(total = 100) {
+  if (!Number.isInteger(total) || total < 26) {
+    throw new Error('Need at least 26 codes, one per letter');
+  }
+
+  const counts = Array(26).fill(1);
+  for (let extra = 26; extra < total; extra++) {
+    let best = 0;
+    for (let i = 1; i < 26; i++) {
+      if (ENGLISH_FREQ[i] / counts[i] > ENGLISH_FREQ[best] / counts[best]) best = i;
+    }
+    counts[best]++;
+  }
+  return counts;
+}
+
+/**
+ * اختيار دالة العشوائية: ببذرة للنتائج القابلة للتكرار، أو Math.random
+ * @param {number|string} [seed] - البذرة
+ * @returns {Function} - دالة تعيد عدداً في [0, 1)
+ */
+function randomSource(seed) {
+  return seed === undefined ? Math.random : seededRandom(seed);
+}
+
+/**
+ * توليد مفتاح عشوائي
+ * @param {Object} [options] - خيارات
+ * @param {number} [options.codes=100] - عدد الرموز الرقمية (بطول ثابت: 100 → 00-99)
+ * @param {string} [options.symbols] - محارف تُستخدم كرموز (كل محرف رمز)، بدلاً من الأرقام
+ * @param {number|string} [options.seed] - بذرة لمفتاح قابل للتكرار
+ * @returns {Object<string, string[]>} - رموز كل حرف
+ */
+function generateKey(options = {}) {
+  const { symbols, seed } = options;
+
+  let codes;
+  if (symbols !== undefined) {
+    codes = [...symbols];
+    if (new Set(codes).size !== codes.length) {
+      throw new Error('Code symbols must not repeat');
+    }
+  } else {
+    const total = options.codes === undefined ? 100 : options.codes;
+    const width = String(total - 1).length;
+    codes = Array.from({ length: total }, (_, i) => String(i).padStart(width, '0'));
+  }
+
+  const counts = homophoneCounts(codes.length);
+
+  // خلط الرموز (Fisher-Yates) ثم توزيعها على الأحرف بالترتيب
+  const random = randomSource(seed);
+  for (let i = codes.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [codes[i], codes[j]] = [codes[j], codes[i]];
+  }
+
+  const key = {};
+  let index = 0;
+  counts.forEach((count, i) => {
+    key[numToLetter(i)] = codes.slice(index, index + count).sort();
+    index += count;
+  });
+  return key;
+}
+
+/**
+ * التحقق من صحة المفتاح وبناء جدول فك التشفير
+ * @param {Object<string, string[]>} key - رموز كل حرف
+ * @returns {{width: number, codeChars: Set<string>, reverse: Map<string, string>}}
+ *   - width: طول كل رمز، codeChars: المحارف المستخدمة في الرموز، reverse: رمز → حرف
+ * @throws {Error} - إذا نقص حرف أو تكرر رمز أو اختلفت أطوال الرموز
+ */
+function validateKey(key) {
+  if (!key || typeof key !== 'object') {
+    throw new Error('Key must map each letter A-Z to a list of codes');
+  }
+
+  const reverse = new Map();
+  const codeChars = new Set();
+  let width = null;
+
+  for (let i = 0; i < 26; i++) {
+    const letter = numToLetter(i);
+    const codes = key[letter];
+    if (!Array.isArray(codes) || codes.length === 0) {
+      throw new Error(`Letter ${letter} needs at least one code`);
+    }
+
+    for (const code of codes) {
+      if (typeof code !== 'string' || code.length === 0) {
+        throw new Error(`Codes must be non-empty strings (letter ${letter})`);
+      }
+      width = width === null ? code.length : width;
+      if (code.length !== width) {
+        throw new Error(`All codes must have the same length (got "${code}" for ${letter})`);
+      }
+      if (reverse.has(code)) {
+        throw new Error(`Code "${code}" is assigned to both ${reverse.get(code)} and ${letter}`);
+      }
+      reverse.set(code, letter);
+      for (const char of code) codeChars.add(char);
+    }
+  }
+
+  return { width, codeChars, reverse };
+}
+
+/**
+ * تقسيم النص المشفر إلى رموز وأحرف أخرى
+ * @param {string} ciphertext - النص المشفر
+ * @param {Object} table - نتيجة validateKey
+ * @returns {{code?: string, letter?: string, char?: string}[]} - رمز مع حرفه، أو محرف يمر كما هو
+ * @throws {Error} - إذا كانت مجموعة رموز غير مكتملة أو رمز غير موجود في المفتاح
+ */
+function tokenize(ciphertext, { width, codeChars, reverse }) {
+  const tokens = [];
+  let run = '';
+
+  const flush = () => {
+    if (run.length % width !== 0) {
+      throw new Error(`Code group "${run}" is not a whole number of ${width}-character codes`);
+    }
+    for (let i = 0; i < run.length; i += width) {
+      const code = run.slice(i, i + width);
+      if (!reverse.has(code)) throw new Error(`Unknown code "${code}"`);
+      tokens.push({ code, letter: reverse.get(code) });
+    }
+    run = '';
+  };
+
+  for (const char of ciphertext) {
+    if (codeChars.has(char)) {
+      run += char;
+    } else {
+      flush();
+      tokens.push({ char });
+    }
+  }
+  flush();
+
+  return tokens;
+}
+
+/**
+ * دالة التشفير
+ *
+ * كل حرف يُستبدل بأحد رموزه عشوائياً، وبقية المحارف تبقى كما هي
+ * الرموز لا تحفظ حالة الأحرف
+ *
+ * @param {string} plaintext - النص الأصلي
+ * @param {Object<string, string[]>} key - رموز كل حرف (من generateKey)
+ * @param {Object} [options] - خيارات
+ * @param {number|string} [options.seed] - بذرة لاختيار المرادفات (نفس البذرة = نفس النص المشفر)
+ * @returns {string} - النص المشفر
+ * @throws {Error} - إذا احتوى النص على محرف غير أبجدي مستخدم في الرموز (لا يمكن تمييزه عنها)
+ */
+function encrypt(plaintext, key, options = {}) {
+  const { codeChars } = validateKey(key);
+  const random = randomSource(options.seed);
+
+  return plaintext.split('').map(char => {
+    if (!isLetter(char)) {
+      if (codeChars.has(char)) {
+        throw new Error(`Character "${char}" is also used in the codes and would be ambiguous`);
+      }
+      return char;
+    }
+    const codes = key[char.toUpperCase()];
+    return codes[Math.floor(random() * codes.length)];
+  }).join('');
+}
+
+/**
+ * دالة فك التشفير (حتمية: كل رمز يعود لحرفه)
+ * @param {string} ciphertext - النص المشفر
+ * @param {Object<string, string[]>} key - نفس المفتاح
+ * @returns {string} - النص الأصلي بأحرف كبيرة
+ */
+function decrypt(ciphertext, key) {
+  return tokenize(ciphertext, validateKey(key))
+    .map(token => (token.code ? token.letter : token.char))
+    .join('');
+}
+
+/**
+ * حساب مؤشر التطابق لمجموعة عدّادات
+ * @param {number[]} counts - عدد مرات ظهور كل رمز
+ * @returns {number}
+ */
+function coincidence(counts) {
+  const total = counts.reduce((sum, n) => sum + n, 0);
+  if (total < 2) return 0;
+  return counts.reduce((sum, n) => sum + n * (n - 1), 0) / (total * (total - 1));
+}
+
+/**
+ * تقرير تكرار الرموز في النص المشفر مقارنةً بتكرار الأحرف التي تمثلها
+ * لإظهار أثر التسطيح: الحرف E قد يظهر 12% لكن كل رمز من رموزه نحو 1%
+ *
+ * @param {string} ciphertext - النص المشفر
+ * @param {Object<string, string[]>} key - المفتاح
+ * @returns {{total: number, letters: Object[], codes: Object[], letterIoC: number, codeIoC: number}}
+ *   - letters: لكل حرف {letter, homophones, count, percent}
+ *   - codes: لكل رمز في المفتاح {code, letter, count, percent} مرتبة تنازلياً
+ *   - letterIoC / codeIoC: مؤشر التطابق للأحرف وللرموز (كلما صغر كان التوزيع أكثر تسطحاً)
+ */
+function frequencyProfile(ciphertext, key) {
+  const table = validateKey(key);
+  const tokens = tokenize(ciphertext, table).filter(token => token.code);
+  const total = tokens.length;
+  const percent = count => (total === 0 ? 0 : (100 * count) / total);
+
+  const codeCounts = new Map([...table.reverse.keys()].map(code => [code, 0]));
+  const letterCounts = Array(26).fill(0);
+  for (const { code, letter } of tokens) {
+    codeCounts.set(code, codeCounts.get(code) + 1);
+    letterCounts[letterToNum(letter)]++;
+  }
+
+  const letters = letterCounts.map((count, i) => ({
+    letter: numToLetter(i),
+    homophones: key[numToLetter(i)].length,
+    count,
+    percent: percent(count)
+  }));
+
+  const codes = [...codeCounts].map(([code, count]) => ({
+    code,
+    letter: table.reverse.get(code),
+    count,
+    percent: percent(count)
+  })).sort((a, b) => b.count - a.count || a.code.localeCompare(b.code));
+
+  return {
+    total,
+    letters,
+    codes,
+    letterIoC: coincidence(letterCounts),
+    codeIoC: coincidence([...codeCounts.values()])
+  };
+}
+
+// تصدير الدوال
+module.exports = { encrypt, decrypt, generateKey, homophoneCounts, frequencyProfile };
+
+// مثال على الاستخدام:
+// const homophonic = require('./homophonic');
+// const key = homophonic.generateKey({ seed: 'secret' });   // 100 رمز رقمي 00-99
+// const ciphertext = homophonic.encrypt("ATTACK AT DAWN", key, { seed: 1 });
+// console.log(homophonic.decrypt(ciphertext, key));          // ATTACK AT DAWN
+// console.log(homophonic.frequencyProfile(ciphertext, key).codeIoC);
@@ -258,8 +258,8 @@ function decrypt(ciphertext, key) {
   return result;
 }
 
-// تصدير الدوال
-module.exports = { encrypt, decrypt };
+// تصدير الدوال (generateMatrix مُصدّرة لعرض المصفوفة واستخدامها في تحليل الشيفرة)
+module.exports = { encrypt, decrypt, generateMatrix };
 
 // مثال على الاستخدام:
 // const playfair = require('./playfair');
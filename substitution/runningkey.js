@@ -0,0 +1,107 @@
+/**
+ * ملف: runningkey.js
+ * الوصف: شيفرة المفتاح الجاري (Running Key Cipher)
+ *
+ * آلية العمل:
+ * - مثل فيجنير، لكن المفتاح نص طويل (مقطع من كتاب) لا يتكرر
+ * - التشفير: C = (P + K[i]) mod 26
+ * - فك التشفير: P = (C - K[i]) mod 26
+ * - يجب أن يحتوي نص المفتاح (بعد الإزاحة) على أحرف بعدد أحرف الرسالة على الأقل
+ *
+ * موقعها بين الشيفرات:
+ * - فيجنير: مفتاح قصير دوري ← يُكسر بفحص كاسيسكي
+ * - المفتاح الجاري: مفتاح غير دوري لكنه نص إنجليزي ← يُكسر إحصائياً
+ * - اللوحة لمرة واحدة: مفتاح عشوائي غير دوري ← سرية تامة
+ *
+ * المفتاح يُحدد بإحدى الطرق:
+ * - نص مباشر: "THE QUICK BROWN FOX..."
+ * - مقطع مرفق بالاسم: { passage: 'taleOfTwoCities', offset: 10 }
+ * - نص مع إزاحة: { text: "...", offset: 5 }
+ */
+
+// استيراد شيفرة فيجنير (نفس المعادلة) والمقاطع المرفقة
+const vigenere = require('./vigenere');
+const { isLetter } = require('../helpers');
+const { PASSAGES } = require('../corpus');
+
+/**
+ * أسماء المقاطع المرفقة التي يمكن استخدامها كمفتاح
+ */
+const PASSAGE_NAMES = Object.keys(PASSAGES);
+
+/**
+ * دالة التحقق من صحة المفتاح وتحويله إلى تيار مفتاح بطول الرسالة
+ * @param {string} text - النص (الأصلي أو المشفر)
+ * @param {string|{passage?: string, text?: string, offset?: number}} key - المفتاح
+ * @returns {string} - أحرف المفتاح بعد الإزاحة (أحرف كبيرة، بطول أحرف النص)
+ * @throws {Error} - إذا كان المقطع غير موجود، أو الإزاحة غير صالحة، أو المفتاح أقصر من النص
+ */
+function validateKey(text, key) {
+  const { passage, offset = 0 } = typeof key === 'object' && key !== null ? key : {};
+  let keyText = typeof key === 'string' ? key : key && key.text;
+
+  if (passage !== undefined) {
+    if (!PASSAGES[passage]) {
+      throw new Error(`Unknown passage "${passage}". Available passages: ${PASSAGE_NAMES.join(', ')}`);
+    }
+    keyText = PASSAGES[passage].text;
+  }
+
+  if (typeof keyText !== 'string') {
+    throw new Error('Key must be a text or an object with a passage name or text');
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error('Offset must be a non-negative integer');
+  }
+
+  // الإزاحة تُحسب بالأحرف فقط (المسافات وعلامات الترقيم لا تُعد)
+  const keyLetters = keyText.toUpperCase().split('').filter(isLetter).slice(offset);
+  const textLetterCount = text.split('').filter(isLetter).length;
+
+  if (keyLetters.length < textLetterCount) {
+    throw new Error(
+      `Running key has ${keyLetters.length} letters after offset ${offset}, but the text has ${textLetterCount} letters. ` +
+      'Use a longer key text or a smaller offset.'
+    );
+  }
+
+  return keyLetters.slice(0, textLetterCount).join('');
+}
+
+/**
+ * دالة التشفير
+ * @param {string} plaintext - النص الأصلي
+ * @param {string|Object} key - نص المفتاح، أو { passage, offset }، أو { text, offset }
+ * @returns {string} - النص المشفر
+ */
+function encrypt(plaintext, key) {
+  const keyStream = validateKey(plaintext, key);
+
+  // نص بلا أحرف: لا شيء يُشفر
+  if (keyStream.length === 0) return plaintext;
+
+  // تيار المفتاح بطول الرسالة تماماً، لذلك لا يتكرر داخل فيجنير
+  return vigenere.encrypt(plaintext, keyStream);
+}
+
+/**
+ * دالة فك التشفير
+ * @param {string} ciphertext - النص المشفر
+ * @param {string|Object} key - نفس المفتاح المستخدم في التشفير
+ * @returns {string} - النص الأصلي
+ */
+function decrypt(ciphertext, key) {
+  const keyStream = validateKey(ciphertext, key);
+  if (keyStream.length === 0) return ciphertext;
+  return vigenere.decrypt(ciphertext, keyStream);
+}
+
+// تصدير الدوال
+module.exports = { encrypt, decrypt, PASSAGE_NAMES };
+
+// مثال على الاستخدام:
+// const runningKey = require('./runningkey');
+// runningKey.encrypt("HELLO", "ITWASTHEBEST");                           // PXHLG
+// runningKey.encrypt("HELLO", { passage: 'taleOfTwoCities' });           // PXHLG
+// runningKey.encrypt("HELLO", { passage: 'taleOfTwoCities', offset: 5 });
+// runningKey.decrypt("PXHLG", { passage: 'taleOfTwoCities' });           // HELLO
@@ -0,0 +1,168 @@
+/**
+ * ملف: twosquare.js
+ * الوصف: شيفرة المربعين (Two-Square / Double Playfair Cipher)
+ *
+ * آلية العمل:
+ * - مصفوفتان 5×5 بمفتاحين مختلفين (I و J حرف واحد كما في بلايفير)
+ * - تُقسم الرسالة إلى أزواج (a, b): a في المربع الأول، و b في الثاني
+ * - الحرفان المشفران في زاويتي المستطيل الأخريين، وكل حرف مشفر
+ *   يبقى في نفس مربع الحرف الأصلي المقابل له
+ *
+ * الترتيب العمودي (vertical): المربع الأول فوق الثاني
+ *     C₁ = أعلى[صف a][عمود b] ، C₂ = أسفل[صف b][عمود a]
+ *
+ * الترتيب الأفقي (horizontal): المربع الأول يسار الثاني
+ *     C₁ = يسار[صف b][عمود a] ، C₂ = يمين[صف a][عمود b]
+ *
+ * نقطة ضعف (الشفافية): إذا كان الحرفان في نفس العمود (عمودي) أو نفس الصف
+ * (أفقي) لا يتشكل مستطيل، فيبقى الزوج كما هو في النص المشفر
+ */
+
+// استيراد الدوال المساعدة وبناء المصفوفة من بلايفير
+const { isLetter } = require('../helpers');
+const { generateMatrix } = require('./playfair');
+
+/**
+ * التحقق من صحة المفتاح والترتيب
+ * @param {string[]} key - كلمتان مفتاحيتان
+ * @param {string} orientation - 'vertical' أو 'horizontal'
+ * @throws {Error} - إذا لم يكن المفتاح مصفوفة من كلمتين أو كان الترتيب غير معروف
+ */
+function validateKey(key, orientation) {
+  if (!Array.isArray(key) || key.length !== 2 || key.some(k => typeof k !== 'string')) {
+    throw new Error('Two-square key must be an array of two keywords');
+  }
+  if (key.some(k => !k.split('').some(isLetter))) {
+    throw new Error('Each keyword must contain at least one letter');
+  }
+  if (orientation !== 'vertical' && orientation !== 'horizontal') {
+    throw new Error('Orientation must be "vertical" or "horizontal"');
+  }
+}
+
+/**
+ * بناء جدول المواقع لكل حرف في المصفوفة
+ * @param {string[][]} matrix - المصفوفة 5×5
+ * @returns {Object<string, {row: number, col: number}>} - موقع كل حرف
+ */
+function indexMatrix(matrix) {
+  const positions = {};
+  matrix.forEach((letters, row) => {
+    letters.forEach((letter, col) => {
+      positions[letter] = { row, col };
+    });
+  });
+  return positions;
+}
+
+/**
+ * بناء المربعين
+ * @param {string[]} key - كلمتان مفتاحيتان
+ * @returns {{first: string[][], second: string[][]}} - الأول (أعلى/يسار) والثاني (أسفل/يمين)
+ */
+function generateSquares(key) {
+  return { first: generateMatrix(key[0]), second: generateMatrix(key[1]) };
+}
+
+/**
+ * استخراج الأحرف وتقسيمها إلى أزواج
+ * @param {string} text - النص
+ * @returns {string[][]} - الأزواج (مع X إذا كان العدد فردياً)
+ */
+function toDigraphs(text) {
+  const letters = text.toUpperCase().split('').filter(isLetter).map(c => (c === 'J' ? 'I' : c));
+  if (letters.length % 2 !== 0) letters.push('X');
+
+  const digraphs = [];
+  for (let i = 0; i < letters.length; i += 2) {
+    digraphs.push([letters[i], letters[i + 1]]);
+  }
+  return digraphs;
+}
+
+/**
+ * إعادة بناء النص مع الحفاظ على البنية الأصلية وحالة الأحرف
+ * @param {string} original - النص الأصلي
+ * @param {string[]} letters - الأحرف الناتجة
+ * @returns {string} - النص الناتج (حرف الحشو يُضاف في النهاية)
+ */
+function rebuild(original, letters) {
+  let index = 0;
+  let result = '';
+
+  for (const char of original) {
+    if (!isLetter(char)) {
+      result += char;
+    } else {
+      const letter = letters[index++];
+      result += char === char.toUpperCase() ? letter : letter.toLowerCase();
+    }
+  }
+
+  return result + letters.slice(index).join('');
+}
+
+/**
+ * تحويل النص زوجاً زوجاً
+ *
+ * العملية تعكس نفسها: تطبيقها على النص المشفر يعيد النص الأصلي،
+ * لأن زوايا المستطيل الأخريين تعيدان الزاويتين الأصليتين
+ *
+ * @param {string} text - النص
+ * @param {string[]} key - كلمتان مفتاحيتان
+ * @param {string} orientation - 'vertical' أو 'horizontal'
+ * @returns {string} - النص الناتج
+ */
+function transform(text, key, orientation) {
+  validateKey(key, orientation);
+
+  const { first, second } = generateSquares(key);
+  const posFirst = indexMatrix(first);
+  const posSecond = indexMatrix(second);
+
+  const letters = toDigraphs(text).flatMap(([a, b]) => {
+    const posA = posFirst[a];
+    const posB = posSecond[b];
+
+    if (orientation === 'vertical') {
+      return [first[posA.row][posB.col], second[posB.row][posA.col]];
+    }
+    return [first[posB.row][posA.col], second[posA.row][posB.col]];
+  });
+
+  return rebuild(text, letters);
+}
+
+/**
+ * دالة التشفير
+ * @param {string} plaintext - النص الأصلي
+ * @param {string[]} key - كلمتان: [مفتاح المربع الأول، مفتاح المربع الثاني]
+ * @param {Object} [options] - خيارات
+ * @param {string} [options.orientation='vertical'] - 'vertical' أو 'horizontal'
+ * @returns {string} - النص المشفر
+ */
+function encrypt(plaintext, key, options = {}) {
+  const { orientation = 'vertical' } = options;
+  return transform(plaintext, key, orientation);
+}
+
+/**
+ * دالة فك التشفير
+ * @param {string} ciphertext - النص المشفر
+ * @param {string[]} key - نفس الكلمتين المستخدمتين في التشفير
+ * @param {Object} [options] - خيارات
+ * @param {string} [options.orientation='vertical'] - نفس الترتيب المستخدم في التشفير
+ * @returns {string} - النص الأصلي (قد يحتوي على X إضافية في النهاية)
+ */
+function decrypt(ciphertext, key, options = {}) {
+  const { orientation = 'vertical' } = options;
+  return transform(ciphertext, key, orientation);
+}
+
+// تصدير الدوال (generateSquares مُصدّرة لعرض المربعين)
+module.exports = { encrypt, decrypt, generateSquares };
+
+// مثال على الاستخدام:
+// const twosquare = require('./twosquare');
+// console.log(twosquare.encrypt("HELLO WORLD", ["EXAMPLE", "KEYWORD"]));
+// console.log(twosquare.encrypt("HELLO WORLD", ["EXAMPLE", "KEYWORD"], { orientation: 'horizontal' }));
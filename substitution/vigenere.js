@@ -92,8 +92,8 @@ function decrypt(ciphertext, key) {
   }).join('');
 }
 
-// تصدير الدوال
-module.exports = { encrypt, decrypt };
+// تصدير الدوال (validateKey مُصدّرة لتستخدمها شيفرات عائلة الجدول: Beaufort و Gronsfeld)
+module.exports = { encrypt, decrypt, validateKey };
 
 // مثال على الاستخدام:
 // const vigenere = require('./vigenere');
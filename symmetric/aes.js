@@ -1,6 +1,11 @@
-// AES-128 (Advanced Encryption Standard) - Educational Implementation
-// 128-bit block cipher with 128-bit key
-// Uses Substitution-Permutation Network (SPN) with 10 rounds
+// AES (Advanced Encryption Standard) - Educational Implementation
+// 128-bit block cipher with 128, 192 or 256-bit key
+// Uses Substitution-Permutation Network (SPN) with 10, 12 or 14 rounds
+// Modes of operation (ECB, CBC, CFB, OFB, CTR) come from modes.js,
+// authenticated encryption (GCM) from gcm.js
+
+const modes = require('./modes');
+const gcm = require('./gcm');
 
 // S-Box (Substitution Box) - used in SubBytes transformation
 const S_BOX = [
@@ -232,13 +237,15 @@ function subWord(word) {
 }
 
 // Key Expansion - generate round keys from cipher key
-// For AES-128: 16-byte key -> 176 bytes (11 round keys of 16 bytes each)
+// AES-128: 16-byte key -> 176 bytes (11 round keys of 16 bytes each)
+// AES-192: 24-byte key -> 208 bytes (13 round keys)
+// AES-256: 32-byte key -> 240 bytes (15 round keys)
 function keyExpansion(key) {
-  const Nk = 4;  // Key length in 32-bit words (4 for AES-128)
-  const Nr = 10; // Number of rounds (10 for AES-128)
-  const Nb = 4;  // Block size in 32-bit words (always 4 for AES)
-  
   const keyBytes = hexToBytes(key);
+  const Nk = keyBytes.length / 4; // Key length in 32-bit words (4, 6 or 8)
+  const Nr = Nk + 6;              // Number of rounds (10, 12 or 14)
+  const Nb = 4;                   // Block size in 32-bit words (always 4 for AES)
+  
   const w = []; // Expanded key words (4 bytes each)
   
   // First Nk words are the original key
@@ -253,6 +260,9 @@ function keyExpansion(key) {
     if (i % Nk === 0) {
       temp = subWord(rotWord(temp));
       temp[0] ^= RCON[i / Nk];
+    } else if (Nk > 6 && i % Nk === 4) {
+      // AES-256 only: extra SubWord halfway through each 8-word key block
+      temp = subWord(temp);
     }
     
     w[i] = w[i - Nk].map((b, j) => b ^ temp[j]);
@@ -271,38 +281,41 @@ function keyExpansion(key) {
   return roundKeys;
 }
 
-// AES-128 encryption of a single 128-bit block
+// AES encryption of a single 128-bit block
+// The number of rounds Nr follows from the key schedule (10, 12 or 14)
 function encryptBlock(block, roundKeys) {
+  const Nr = roundKeys.length - 1;
   let state = bytesToState(block);
   
   // Initial round: AddRoundKey only
   state = addRoundKey(state, roundKeys[0]);
   
-  // Main rounds 1-9: SubBytes, ShiftRows, MixColumns, AddRoundKey
-  for (let round = 1; round <= 9; round++) {
+  // Main rounds 1 to Nr-1: SubBytes, ShiftRows, MixColumns, AddRoundKey
+  for (let round = 1; round < Nr; round++) {
     state = subBytes(state);
     state = shiftRows(state);
     state = mixColumns(state);
     state = addRoundKey(state, roundKeys[round]);
   }
   
-  // Final round 10: SubBytes, ShiftRows, AddRoundKey (no MixColumns)
+  // Final round Nr: SubBytes, ShiftRows, AddRoundKey (no MixColumns)
   state = subBytes(state);
   state = shiftRows(state);
-  state = addRoundKey(state, roundKeys[10]);
+  state = addRoundKey(state, roundKeys[Nr]);
   
   return stateToBytes(state);
 }
 
-// AES-128 decryption of a single 128-bit block
+// AES decryption of a single 128-bit block
 function decryptBlock(block, roundKeys) {
+  const Nr = roundKeys.length - 1;
   let state = bytesToState(block);
   
   // Initial round: AddRoundKey
-  state = addRoundKey(state, roundKeys[10]);
+  state = addRoundKey(state, roundKeys[Nr]);
   
-  // Main rounds 9-1: InvShiftRows, InvSubBytes, AddRoundKey, InvMixColumns
-  for (let round = 9; round >= 1; round--) {
+  // Main rounds Nr-1 to 1: InvShiftRows, InvSubBytes, AddRoundKey, InvMixColumns
+  for (let round = Nr - 1; round >= 1; round--) {
     state = invShiftRows(state);
     state = invSubBytes(state);
     state = addRoundKey(state, roundKeys[round]);
@@ -317,85 +330,112 @@ function decryptBlock(block, roundKeys) {
   return stateToBytes(state);
 }
 
-// PKCS#7 padding
-function padBytes(bytes, blockSize) {
-  const padLen = blockSize - (bytes.length % blockSize);
-  return bytes.concat(Array(padLen).fill(padLen));
+// Wrap the block functions for the shared mode layer (modes.js)
+function aesCipher(key) {
+  const roundKeys = keyExpansion(key);
+  return {
+    blockSize: 16,
+    encryptBlock: block => encryptBlock(block, roundKeys),
+    decryptBlock: block => decryptBlock(block, roundKeys)
+  };
 }
 
-// Remove PKCS#7 padding
-function unpadBytes(bytes) {
-  const padLen = bytes[bytes.length - 1];
-  if (padLen > 0 && padLen <= 16) {
-    return bytes.slice(0, -padLen);
+// Validate key (32, 48 or 64 hex characters = 128, 192 or 256 bits)
+function validateKey(key) {
+  if (!/^([0-9A-Fa-f]{32}|[0-9A-Fa-f]{48}|[0-9A-Fa-f]{64})$/.test(key)) {
+    throw new Error('Key must be 32, 48 or 64 hexadecimal characters (128, 192 or 256 bits)');
   }
-  return bytes;
 }
 
-// Encrypt plaintext with AES-128
-// Input: plaintext (string), key (32-char hex string = 128 bits)
+// Encrypt a byte array with AES
+// Options: { mode: 'ECB' (default) | 'CBC' | 'CFB' | 'OFB' | 'CTR', iv: 32-char hex, padding: true }
+// For CTR the IV is the initial counter block
+function encryptBytes(bytes, key, options = {}) {
+  validateKey(key);
+  return modes.encrypt(aesCipher(key), bytes, options);
+}
+
+// Decrypt a byte array with AES (same options as encryptBytes)
+function decryptBytes(bytes, key, options = {}) {
+  validateKey(key);
+  return modes.decrypt(aesCipher(key), bytes, options);
+}
+
+// Encrypt plaintext with AES
+// Input: plaintext (string), key (32/48/64-char hex string = 128/192/256 bits), options (mode and IV)
 // Output: ciphertext (hex string)
-function encrypt(plaintext, key) {
-  // Validate key (must be 32 hex characters = 128 bits)
-  if (!/^[0-9A-Fa-f]{32}$/.test(key)) {
-    throw new Error('Key must be exactly 32 hexadecimal characters (128 bits)');
-  }
-  
-  // Generate round keys
-  const roundKeys = keyExpansion(key);
-  
-  // Convert plaintext to bytes and pad
-  const plaintextBytes = padBytes(stringToBytes(plaintext), 16);
-  
-  // Process each 128-bit block
-  let ciphertext = [];
-  for (let i = 0; i < plaintextBytes.length; i += 16) {
-    const block = plaintextBytes.slice(i, i + 16);
-    const encrypted = encryptBlock(block, roundKeys);
-    ciphertext.push(...encrypted);
-  }
-  
-  return bytesToHex(ciphertext);
+function encrypt(plaintext, key, options = {}) {
+  return bytesToHex(encryptBytes(stringToBytes(plaintext), key, options));
 }
 
-// Decrypt ciphertext with AES-128
-// Input: ciphertext (hex string), key (32-char hex string = 128 bits)
+// Decrypt ciphertext with AES
+// Input: ciphertext (hex string), key (32/48/64-char hex string = 128/192/256 bits), options (mode and IV)
 // Output: plaintext (string)
-function decrypt(ciphertext, key) {
-  // Validate key
-  if (!/^[0-9A-Fa-f]{32}$/.test(key)) {
-    throw new Error('Key must be exactly 32 hexadecimal characters (128 bits)');
-  }
-  
-  // Validate ciphertext
-  if (!/^[0-9A-Fa-f]+$/.test(ciphertext) || ciphertext.length % 32 !== 0) {
-    throw new Error('Ciphertext must be hex string with length multiple of 32');
+function decrypt(ciphertext, key, options = {}) {
+  validateKey(key);
+
+  // Validate ciphertext (block length is checked by the mode)
+  if (!/^([0-9A-Fa-f]{2})*$/.test(ciphertext)) {
+    throw new Error('Ciphertext must be a hex string with an even number of characters');
   }
-  
-  // Generate round keys
-  const roundKeys = keyExpansion(key);
-  
-  // Convert ciphertext hex to bytes
-  const ciphertextBytes = hexToBytes(ciphertext);
-  
-  // Process each 128-bit block
-  let plaintextBytes = [];
-  for (let i = 0; i < ciphertextBytes.length; i += 16) {
-    const block = ciphertextBytes.slice(i, i + 16);
-    const decrypted = decryptBlock(block, roundKeys);
-    plaintextBytes.push(...decrypted);
+
+  return bytesToString(decryptBytes(hexToBytes(ciphertext), key, options));
+}
+
+// Encrypt and authenticate a byte array with AES-GCM
+// Options: { iv: 24-char hex (96 bits), aad: byte array (authenticated, not encrypted) }
+// Output: { ciphertext, tag } as byte arrays
+function encryptGCMBytes(bytes, key, options = {}) {
+  validateKey(key);
+  return gcm.encrypt(aesCipher(key), bytes, options);
+}
+
+// Verify and decrypt { ciphertext, tag } byte arrays with AES-GCM (same options)
+// Throws if anything was modified; no plaintext is returned in that case
+function decryptGCMBytes(sealed, key, options = {}) {
+  validateKey(key);
+  return gcm.decrypt(aesCipher(key), sealed, options);
+}
+
+// Encrypt plaintext with AES-GCM
+// Input: plaintext (string), key (hex), options { iv: 24-char hex, aad: string }
+// Output: { ciphertext, tag } (hex strings)
+function encryptGCM(plaintext, key, options = {}) {
+  const { iv, aad = '' } = options;
+  const { ciphertext, tag } = encryptGCMBytes(stringToBytes(plaintext), key, { iv, aad: stringToBytes(aad) });
+  return { ciphertext: bytesToHex(ciphertext), tag: bytesToHex(tag) };
+}
+
+// Decrypt ciphertext with AES-GCM
+// Input: { ciphertext, tag } (hex strings), key (hex), options { iv, aad } as used for encryption
+// Output: plaintext (string), or an error if the tag does not match
+function decryptGCM(sealed, key, options = {}) {
+  const { iv, aad = '' } = options;
+  const { ciphertext, tag } = sealed;
+  if (!/^([0-9A-Fa-f]{2})*$/.test(ciphertext) || !/^([0-9A-Fa-f]{2})*$/.test(tag)) {
+    throw new Error('Ciphertext and tag must be hex strings with an even number of characters');
   }
-  
-  // Remove padding and convert to string
-  return bytesToString(unpadBytes(plaintextBytes));
+
+  const bytes = decryptGCMBytes({ ciphertext: hexToBytes(ciphertext), tag: hexToBytes(tag) }, key, { iv, aad: stringToBytes(aad) });
+  return bytesToString(bytes);
 }
 
-module.exports = { encrypt, decrypt };
+// keyExpansion is exported to compare the round keys of the three key sizes
+module.exports = {
+  encrypt, decrypt, encryptBytes, decryptBytes,
+  encryptGCM, decryptGCM, encryptGCMBytes, decryptGCMBytes,
+  keyExpansion
+};
 
 // Example usage:
 // const aes = require('./aes');
-// const key = '2b7e151628aed2a6abf7158809cf4f3c';  // 128-bit key in hex
+// const key = '2b7e151628aed2a6abf7158809cf4f3c';  // 128-bit key in hex (48 or 64 hex chars for AES-192/256)
 // const encrypted = aes.encrypt('HELLO', key);
 // console.log('Encrypted:', encrypted);
 // const decrypted = aes.decrypt(encrypted, key);
 // console.log('Decrypted:', decrypted);  // HELLO
+// const iv = '000102030405060708090a0b0c0d0e0f';
+// const cbc = aes.encrypt('HELLO', key, { mode: 'CBC', iv });
+// console.log(aes.decrypt(cbc, key, { mode: 'CBC', iv }));  // HELLO
+// const sealed = aes.encryptGCM('HELLO', key, { iv: 'cafebabefacedbaddecaf888', aad: 'header' });
+// console.log(aes.decryptGCM(sealed, key, { iv: 'cafebabefacedbaddecaf888', aad: 'header' }));  // HELLO
@@ -1,6 +1,9 @@
 // DES (Data Encryption Standard) - Educational Implementation
 // 64-bit block cipher with 56-bit effective key (64-bit key with 8 parity bits)
 // Uses Feistel network structure with 16 rounds
+// Modes of operation (ECB, CBC, CFB, OFB, CTR) come from modes.js
+
+const modes = require('./modes');
 
 // Initial Permutation (IP) table - rearranges the 64 input bits
 const IP = [
@@ -262,85 +265,62 @@ function hexToBytes(hex) {
   return bytes;
 }
 
-// PKCS#7 padding for 8-byte blocks
-function padBytes(bytes) {
-  const blockSize = 8;
-  const padLen = blockSize - (bytes.length % blockSize);
-  return bytes.concat(Array(padLen).fill(padLen));
+// Wrap desCore (which works on bit strings) as byte-level block functions for modes.js
+function desCipher(key) {
+  const keys = generateKeys(key);
+  const reversed = keys.slice().reverse();
+  const run = (block, roundKeys) => hexToBytes(binaryToHex(desCore(hexToBinary(bytesToHex(block)), roundKeys)));
+  return {
+    blockSize: 8,
+    encryptBlock: block => run(block, keys),
+    decryptBlock: block => run(block, reversed)
+  };
 }
 
-// Remove PKCS#7 padding
-function unpadBytes(bytes) {
-  const padLen = bytes[bytes.length - 1];
-  if (padLen > 0 && padLen <= 8) {
-    return bytes.slice(0, -padLen);
+// Validate key (must be 16 hex characters = 64 bits)
+function validateKey(key) {
+  if (!/^[0-9A-Fa-f]{16}$/.test(key)) {
+    throw new Error('Key must be exactly 16 hexadecimal characters (64 bits)');
   }
-  return bytes;
+}
+
+// Encrypt a byte array with DES
+// Options: { mode: 'ECB' (default) | 'CBC' | 'CFB' | 'OFB' | 'CTR', iv: 16-char hex, padding: true }
+// For CTR the IV is the initial counter block
+function encryptBytes(bytes, key, options = {}) {
+  validateKey(key);
+  return modes.encrypt(desCipher(key), bytes, options);
+}
+
+// Decrypt a byte array with DES (same options as encryptBytes)
+function decryptBytes(bytes, key, options = {}) {
+  validateKey(key);
+  return modes.decrypt(desCipher(key), bytes, options);
 }
 
 // Encrypt plaintext with DES
-// Input: plaintext (string), key (16-char hex string = 64 bits)
+// Input: plaintext (string), key (16-char hex string = 64 bits), options (mode and IV)
 // Output: ciphertext (hex string)
-function encrypt(plaintext, key) {
-  // Validate key (must be 16 hex characters = 64 bits)
-  if (!/^[0-9A-Fa-f]{16}$/.test(key)) {
-    throw new Error('Key must be exactly 16 hexadecimal characters (64 bits)');
-  }
-  
-  // Generate round keys
-  const keys = generateKeys(key);
-  
-  // Convert plaintext to bytes and pad
-  const plaintextBytes = padBytes(stringToBytes(plaintext));
-  
-  // Process each 64-bit (8-byte) block
-  let ciphertext = [];
-  for (let i = 0; i < plaintextBytes.length; i += 8) {
-    const blockBytes = plaintextBytes.slice(i, i + 8);
-    const blockHex = bytesToHex(blockBytes);
-    const block = hexToBinary(blockHex);
-    const encrypted = desCore(block, keys);
-    ciphertext.push(...hexToBytes(binaryToHex(encrypted)));
-  }
-  
-  return bytesToHex(ciphertext);
+function encrypt(plaintext, key, options = {}) {
+  return bytesToHex(encryptBytes(stringToBytes(plaintext), key, options));
 }
 
 // Decrypt ciphertext with DES
-// Input: ciphertext (hex string), key (16-char hex string = 64 bits)
+// Input: ciphertext (hex string), key (16-char hex string = 64 bits), options (mode and IV)
 // Output: plaintext (string)
-function decrypt(ciphertext, key) {
-  // Validate key
-  if (!/^[0-9A-Fa-f]{16}$/.test(key)) {
-    throw new Error('Key must be exactly 16 hexadecimal characters (64 bits)');
-  }
-  
-  // Validate ciphertext
-  if (!/^[0-9A-Fa-f]+$/.test(ciphertext) || ciphertext.length % 16 !== 0) {
-    throw new Error('Ciphertext must be hex string with length multiple of 16');
-  }
-  
-  // Generate round keys and reverse them for decryption
-  const keys = generateKeys(key).reverse();
-  
-  // Convert ciphertext to bytes
-  const ciphertextBytes = hexToBytes(ciphertext);
-  
-  // Process each 64-bit (8-byte) block
-  let plaintextBytes = [];
-  for (let i = 0; i < ciphertextBytes.length; i += 8) {
-    const blockBytes = ciphertextBytes.slice(i, i + 8);
-    const blockHex = bytesToHex(blockBytes);
-    const block = hexToBinary(blockHex);
-    const decrypted = desCore(block, keys);
-    plaintextBytes.push(...hexToBytes(binaryToHex(decrypted)));
+function decrypt(ciphertext, key, options = {}) {
+  validateKey(key);
+
+  // Validate ciphertext (block length is checked by the mode)
+  if (!/^([0-9A-Fa-f]{2})*$/.test(ciphertext)) {
+    throw new Error('Ciphertext must be a hex string with an even number of characters');
   }
-  
-  // Remove padding and convert to string
-  return bytesToString(unpadBytes(plaintextBytes));
+
+  return bytesToString(decryptBytes(hexToBytes(ciphertext), key, options));
 }
 
-module.exports = { encrypt, decrypt };
+// The block-level functions are exported for Triple DES (tdes.js)
+module.exports = { encrypt, decrypt, encryptBytes, decryptBytes, generateKeys, desCore, hexToBinary, binaryToHex };
 
 // Example usage:
 // const des = require('./des');
@@ -349,3 +329,6 @@ module.exports = { encrypt, decrypt };
 // console.log('Encrypted:', encrypted);
 // const decrypted = des.decrypt(encrypted, key);
 // console.log('Decrypted:', decrypted);  // HELLO
+// const iv = '1234567890ABCDEF';
+// const ofb = des.encrypt('HELLO', key, { mode: 'OFB', iv });  // same length as the plaintext
+// console.log(des.decrypt(ofb, key, { mode: 'OFB', iv }));     // HELLO
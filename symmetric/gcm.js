@@ -0,0 +1,174 @@
+// Galois/Counter Mode (NIST SP 800-38D) - Educational Implementation
+// Authenticated encryption with associated data (AEAD) for 128-bit block ciphers
+//
+// GCM = CTR-mode encryption + a polynomial MAC (GHASH) over GF(2^128):
+//   H    = E(0^128)                        (hash key)
+//   J0   = IV || 0^31 || 1                 (96-bit IV only)
+//   C    = P XOR E(inc32(J0)), E(inc32(inc32(J0))), ...
+//   S    = GHASH_H(A || pad || C || pad || len(A) || len(C))
+//   Tag  = E(J0) XOR S
+//
+// The additional authenticated data (AAD) A is never encrypted, but any change to it,
+// to the ciphertext, to the IV or to the tag makes decryption fail.
+// Decryption checks the tag first and releases no plaintext when it does not match.
+//
+// A cipher is described as { blockSize: 16, encryptBlock(bytes) } (same as modes.js)
+
+const { hexToBytes } = require('./modes');
+
+const BLOCK_SIZE = 16;
+const TAG_SIZE = 16;
+
+// Reduction constant: x^128 = x^7 + x^2 + x + 1, in GCM's reflected bit order
+const R = 0xe1;
+
+// XOR two byte arrays (result has the length of the first one)
+function xorBytes(a, b) {
+  return a.map((byte, i) => byte ^ b[i]);
+}
+
+// Multiply two 128-bit blocks in GF(2^128) (SP 800-38D Algorithm 1)
+// Bit 0 is the most significant bit of byte 0 and is the coefficient of x^0
+function gfMultiply(x, y) {
+  let z = Array(BLOCK_SIZE).fill(0);
+  let v = y.slice();
+
+  for (let i = 0; i < 128; i++) {
+    if ((x[i >> 3] >> (7 - (i & 7))) & 1) {
+      z = xorBytes(z, v);
+    }
+
+    // v = v * x: shift right by one bit, reduce if a bit falls off the end
+    const carry = v[BLOCK_SIZE - 1] & 1;
+    for (let j = BLOCK_SIZE - 1; j > 0; j--) {
+      v[j] = (v[j] >> 1) | ((v[j - 1] & 1) << 7);
+    }
+    v[0] >>= 1;
+    if (carry) v[0] ^= R;
+  }
+
+  return z;
+}
+
+// Encode a length in bits as a 64-bit big-endian integer
+function lengthBlock(byteLength) {
+  const bytes = Array(8).fill(0);
+  let bits = byteLength * 8;
+  for (let i = 7; i >= 0; i--) {
+    bytes[i] = bits % 256;
+    bits = Math.floor(bits / 256);
+  }
+  return bytes;
+}
+
+// Zero-pad a byte array to a whole number of blocks
+function padToBlock(bytes) {
+  const extra = (BLOCK_SIZE - (bytes.length % BLOCK_SIZE)) % BLOCK_SIZE;
+  return bytes.concat(Array(extra).fill(0));
+}
+
+// GHASH: Y[i] = (Y[i-1] XOR X[i]) * H over the padded AAD, padded ciphertext and lengths
+function ghash(h, aad, ciphertext) {
+  const data = padToBlock(aad).concat(padToBlock(ciphertext), lengthBlock(aad.length), lengthBlock(ciphertext.length));
+  let y = Array(BLOCK_SIZE).fill(0);
+
+  for (let i = 0; i < data.length; i += BLOCK_SIZE) {
+    y = gfMultiply(xorBytes(y, data.slice(i, i + BLOCK_SIZE)), h);
+  }
+
+  return y;
+}
+
+// Increment the last 32 bits of a counter block (the first 96 bits stay fixed)
+function inc32(block) {
+  const next = block.slice();
+  for (let i = BLOCK_SIZE - 1; i >= BLOCK_SIZE - 4; i--) {
+    next[i] = (next[i] + 1) & 0xff;
+    if (next[i] !== 0) break;
+  }
+  return next;
+}
+
+// GCTR: CTR-mode keystream starting at the given counter block
+function gctr(cipher, counter, bytes) {
+  const output = [];
+  let block = counter;
+
+  for (let i = 0; i < bytes.length; i += BLOCK_SIZE) {
+    output.push(...xorBytes(bytes.slice(i, i + BLOCK_SIZE), cipher.encryptBlock(block)));
+    block = inc32(block);
+  }
+
+  return output;
+}
+
+// Check the cipher and options; returns the hash key H and the pre-counter block J0
+function setup(cipher, iv) {
+  if (cipher.blockSize !== BLOCK_SIZE) {
+    throw new Error('GCM requires a block cipher with 128-bit blocks');
+  }
+  if (typeof iv !== 'string' || !/^[0-9A-Fa-f]{24}$/.test(iv)) {
+    throw new Error('GCM requires an IV of 24 hexadecimal characters (96 bits)');
+  }
+
+  const h = cipher.encryptBlock(Array(BLOCK_SIZE).fill(0));
+  const j0 = hexToBytes(iv).concat([0, 0, 0, 1]);
+  return { h, j0 };
+}
+
+// Compute the authentication tag for a ciphertext
+function computeTag(cipher, h, j0, aad, ciphertext) {
+  return xorBytes(cipher.encryptBlock(j0), ghash(h, aad, ciphertext));
+}
+
+// Compare two tags without stopping at the first difference
+function tagsEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+// Encrypt and authenticate a byte array
+// options: { iv (24-char hex, never reuse with the same key), aad (bytes, default none) }
+// Returns { ciphertext, tag } as byte arrays (ciphertext has the plaintext's length)
+function encrypt(cipher, bytes, options = {}) {
+  const { iv, aad = [] } = options;
+  const { h, j0 } = setup(cipher, iv);
+
+  const ciphertext = gctr(cipher, inc32(j0), bytes);
+  const tag = computeTag(cipher, h, j0, aad, ciphertext);
+  return { ciphertext, tag };
+}
+
+// Verify and decrypt: sealed = { ciphertext, tag } (byte arrays), same options as encrypt
+// Throws without returning any plaintext if the tag does not match
+function decrypt(cipher, sealed, options = {}) {
+  const { iv, aad = [] } = options;
+  const { ciphertext, tag } = sealed;
+  const { h, j0 } = setup(cipher, iv);
+
+  if (!Array.isArray(ciphertext)) {
+    throw new Error('GCM ciphertext must be a byte array');
+  }
+  if (!Array.isArray(tag) || tag.length !== TAG_SIZE) {
+    throw new Error(`GCM tag must be ${TAG_SIZE} bytes (${TAG_SIZE * 2} hexadecimal characters)`);
+  }
+
+  // Fail closed: check the tag before decrypting anything
+  if (!tagsEqual(computeTag(cipher, h, j0, aad, ciphertext), tag)) {
+    throw new Error('Authentication failed: ciphertext, AAD, IV or tag was modified');
+  }
+
+  return gctr(cipher, inc32(j0), ciphertext);
+}
+
+// gfMultiply and ghash are exported to show the MAC on its own
+module.exports = { encrypt, decrypt, ghash, gfMultiply };
+
+// Example usage:
+// const aes = require('./aes');
+// const key = 'feffe9928665731c6d6a8f9467308308';
+// const options = { iv: 'cafebabefacedbaddecaf888', aad: 'header v1' };
+// const sealed = aes.encryptGCM('HELLO', key, options);  // { ciphertext, tag } in hex
+// console.log(aes.decryptGCM(sealed, key, options));      // HELLO
@@ -0,0 +1,188 @@
+// Block Cipher Modes of Operation (NIST SP 800-38A) - Educational Implementation
+// Shared by AES and DES: a mode only needs the block size and the two block functions
+//
+// A cipher is described as { blockSize, encryptBlock(bytes), decryptBlock(bytes) }
+//
+//   ECB: C[i] = E(P[i])                          (identical blocks leak, no IV)
+//   CBC: C[i] = E(P[i] XOR C[i-1]), C[-1] = IV   (needs padding)
+//   CFB: C[i] = P[i] XOR E(C[i-1]), C[-1] = IV   (full-block segments, stream mode)
+//   OFB: O[i] = E(O[i-1]), O[-1] = IV, C[i] = P[i] XOR O[i]
+//   CTR: C[i] = P[i] XOR E(T[i]), T[0] = IV, T[i+1] = T[i] + 1
+//
+// ECB and CBC work on whole blocks and use PKCS#7 padding by default.
+// CFB, OFB and CTR turn the block cipher into a stream cipher: no padding,
+// the ciphertext has the same length as the plaintext.
+
+const MODES = ['ECB', 'CBC', 'CFB', 'OFB', 'CTR'];
+
+// Convert hex string to byte array
+function hexToBytes(hex) {
+  const bytes = [];
+  for (let i = 0; i < hex.length; i += 2) {
+    bytes.push(parseInt(hex.substr(i, 2), 16));
+  }
+  return bytes;
+}
+
+// Convert byte array to hex string
+function bytesToHex(bytes) {
+  return bytes.map(b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+// XOR two byte arrays (result has the length of the first one)
+function xorBytes(a, b) {
+  return a.map((byte, i) => byte ^ b[i]);
+}
+
+// Add 1 to a counter block, treated as one big-endian integer (wraps around)
+function incrementCounter(block) {
+  const next = block.slice();
+  for (let i = next.length - 1; i >= 0; i--) {
+    next[i] = (next[i] + 1) & 0xff;
+    if (next[i] !== 0) break;
+  }
+  return next;
+}
+
+// PKCS#7 padding: always adds 1..blockSize bytes, each equal to the pad length
+function pad(bytes, blockSize) {
+  const padLen = blockSize - (bytes.length % blockSize);
+  return bytes.concat(Array(padLen).fill(padLen));
+}
+
+// Remove PKCS#7 padding (every pad byte is checked)
+function unpad(bytes, blockSize) {
+  const padLen = bytes[bytes.length - 1];
+  if (!(padLen > 0 && padLen <= blockSize) || bytes.length < padLen ||
+      bytes.slice(-padLen).some(b => b !== padLen)) {
+    throw new Error('Invalid PKCS#7 padding (wrong key, IV or mode?)');
+  }
+  return bytes.slice(0, -padLen);
+}
+
+// Check the mode name and IV; returns the IV as bytes (null for ECB)
+function checkOptions(cipher, mode, iv) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown mode "${mode}". Supported modes: ${MODES.join(', ')}`);
+  }
+
+  const hexLength = cipher.blockSize * 2;
+  if (mode === 'ECB') {
+    if (iv !== undefined) throw new Error('ECB mode does not use an IV');
+    return null;
+  }
+  if (typeof iv !== 'string' || !new RegExp(`^[0-9A-Fa-f]{${hexLength}}$`).test(iv)) {
+    throw new Error(`${mode} mode requires an IV of ${hexLength} hexadecimal characters (${cipher.blockSize * 8} bits)`);
+  }
+  return hexToBytes(iv);
+}
+
+// Check that a block mode gets whole blocks when padding is not used
+function checkWholeBlocks(bytes, blockSize) {
+  if (bytes.length % blockSize !== 0) {
+    throw new Error(`Input length must be a multiple of the block size (${blockSize} bytes)`);
+  }
+}
+
+// Generate the keystream for OFB and CTR (both ignore the data itself)
+function keystream(cipher, mode, iv, length) {
+  const stream = [];
+  let register = iv;
+
+  while (stream.length < length) {
+    if (mode === 'OFB') {
+      register = cipher.encryptBlock(register);
+      stream.push(...register);
+    } else {
+      stream.push(...cipher.encryptBlock(register));
+      register = incrementCounter(register);
+    }
+  }
+
+  return stream.slice(0, length);
+}
+
+// Encrypt a byte array
+// options: { mode = 'ECB', iv (hex, one block), padding = true (ECB/CBC only) }
+function encrypt(cipher, bytes, options = {}) {
+  const { mode = 'ECB', iv, padding = true } = options;
+  const ivBytes = checkOptions(cipher, mode, iv);
+  const size = cipher.blockSize;
+
+  if (mode === 'OFB' || mode === 'CTR') {
+    return xorBytes(bytes, keystream(cipher, mode, ivBytes, bytes.length));
+  }
+
+  if (mode === 'CFB') {
+    // Each ciphertext block is fed back as the next cipher input
+    const output = [];
+    let previous = ivBytes;
+    for (let i = 0; i < bytes.length; i += size) {
+      const block = xorBytes(bytes.slice(i, i + size), cipher.encryptBlock(previous));
+      output.push(...block);
+      previous = block;
+    }
+    return output;
+  }
+
+  // ECB and CBC
+  const input = padding ? pad(bytes, size) : bytes;
+  checkWholeBlocks(input, size);
+
+  const output = [];
+  let previous = ivBytes;
+  for (let i = 0; i < input.length; i += size) {
+    let block = input.slice(i, i + size);
+    if (mode === 'CBC') block = xorBytes(block, previous);
+    block = cipher.encryptBlock(block);
+    output.push(...block);
+    previous = block;
+  }
+  return output;
+}
+
+// Decrypt a byte array (same options as encrypt)
+function decrypt(cipher, bytes, options = {}) {
+  const { mode = 'ECB', iv, padding = true } = options;
+  const ivBytes = checkOptions(cipher, mode, iv);
+  const size = cipher.blockSize;
+
+  // OFB and CTR: decryption is the same XOR with the same keystream
+  if (mode === 'OFB' || mode === 'CTR') {
+    return xorBytes(bytes, keystream(cipher, mode, ivBytes, bytes.length));
+  }
+
+  if (mode === 'CFB') {
+    // CFB only ever uses the forward cipher, even to decrypt
+    const output = [];
+    let previous = ivBytes;
+    for (let i = 0; i < bytes.length; i += size) {
+      const block = bytes.slice(i, i + size);
+      output.push(...xorBytes(block, cipher.encryptBlock(previous)));
+      previous = block;
+    }
+    return output;
+  }
+
+  // ECB and CBC
+  checkWholeBlocks(bytes, size);
+
+  const output = [];
+  let previous = ivBytes;
+  for (let i = 0; i < bytes.length; i += size) {
+    const block = bytes.slice(i, i + size);
+    let plain = cipher.decryptBlock(block);
+    if (mode === 'CBC') plain = xorBytes(plain, previous);
+    output.push(...plain);
+    previous = block;
+  }
+  return padding ? unpad(output, size) : output;
+}
+
+module.exports = { MODES, encrypt, decrypt, pad, unpad, hexToBytes, bytesToHex };
+
+// Example usage (any cipher object works):
+// const modes = require('./modes');
+// const aes = require('./aes');
+// aes.encrypt('HELLO', key, { mode: 'CBC', iv: '000102030405060708090a0b0c0d0e0f' });
+// aes.encrypt('HELLO', key, { mode: 'CTR', iv: 'f0f1f2f3f4f5f6f7f8f9fafbfcfdfeff' });
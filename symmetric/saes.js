@@ -0,0 +1,198 @@
+// Simplified AES (S-AES) - Teaching Cipher (Musa, Schaefer & Wedig 2003, as in Stallings)
+// 16-bit block, 16-bit key, 2 rounds - the structure of AES on 4-bit nibbles
+//
+//   Encryption: AddRoundKey(K0)
+//               Round 1: NibbleSub, ShiftRows, MixColumns, AddRoundKey(K1)
+//               Round 2: NibbleSub, ShiftRows, AddRoundKey(K2)   (no MixColumns)
+//   Decryption: the inverse steps in reverse order
+//
+// The 16-bit block is written as 4 hex digits (one per nibble), e.g. '6F6B',
+// and forms a 2x2 state matrix in column-major order (like AES):
+//
+//   | n0 n2 |        '6F6B' ->  | 6 6 |
+//   | n1 n3 |                   | F B |
+//
+// Arithmetic is in GF(2^4) with the polynomial x^4 + x + 1.
+// trace() returns the state after every step.
+
+const modes = require('./modes');
+
+// Nibble S-Box and its inverse
+const S_BOX = [0x9, 0x4, 0xA, 0xB, 0xD, 0x1, 0x8, 0x5, 0x6, 0x2, 0x0, 0x3, 0xC, 0xE, 0xF, 0x7];
+const INV_S_BOX = [0xA, 0x5, 0x9, 0xB, 0x1, 0x7, 0x8, 0xF, 0x6, 0x0, 0x2, 0x3, 0xC, 0x4, 0xD, 0xE];
+
+// Round constants for key expansion (RCON(1) = 10000000, RCON(2) = 00110000)
+const RCON = [0x80, 0x30];
+
+// Convert 4 hex digits to nibbles [n0, n1, n2, n3]
+function toNibbles(hex) {
+  return hex.split('').map(h => parseInt(h, 16));
+}
+
+// Convert nibbles back to 4 hex digits
+function toHex(nibbles) {
+  return nibbles.map(n => n.toString(16)).join('').toUpperCase();
+}
+
+// Validate a 16-bit value written as 4 hex digits
+function validateWord(value, name) {
+  if (typeof value !== 'string' || !/^[0-9A-Fa-f]{4}$/.test(value)) {
+    throw new Error(`${name} must be exactly 4 hexadecimal characters (16 bits)`);
+  }
+}
+
+// Galois Field multiplication in GF(2^4) modulo x^4 + x + 1
+function gmul(a, b) {
+  let p = 0;
+  for (let i = 0; i < 4; i++) {
+    if (b & 1) p ^= a;
+    const hiBit = a & 0x8;
+    a = (a << 1) & 0xf;
+    if (hiBit) a ^= 0x3; // x^4 = x + 1
+    b >>= 1;
+  }
+  return p;
+}
+
+// NibbleSub - substitute each nibble using the S-Box
+function subNibbles(state, inverse = false) {
+  const box = inverse ? INV_S_BOX : S_BOX;
+  return state.map(n => box[n]);
+}
+
+// ShiftRows - swap the two nibbles of the second row (its own inverse)
+function shiftRows([n0, n1, n2, n3]) {
+  return [n0, n3, n2, n1];
+}
+
+// MixColumns - multiply each column by [[1, 4], [4, 1]] (inverse: [[9, 2], [2, 9]])
+function mixColumns(state, inverse = false) {
+  const [a, b] = inverse ? [9, 2] : [1, 4];
+  const result = [];
+  for (let c = 0; c < 4; c += 2) {
+    const [s0, s1] = [state[c], state[c + 1]];
+    result.push(gmul(a, s0) ^ gmul(b, s1), gmul(b, s0) ^ gmul(a, s1));
+  }
+  return result;
+}
+
+// AddRoundKey - XOR the state with a 16-bit round key
+function addRoundKey(state, roundKey) {
+  return state.map((n, i) => n ^ roundKey[i]);
+}
+
+// Key expansion with every intermediate value
+// w0 w1 = key; w2 = w0 XOR g(w1, RCON1), w3 = w2 XOR w1; w4 = w2 XOR g(w3, RCON2), w5 = w4 XOR w3
+// g(w) = SubNib(RotNib(w)) XOR RCON
+// Returns { key, w: [6 bytes as hex], g: [2 steps], k0, k1, k2 }
+function keySchedule(key) {
+  validateWord(key, 'Key');
+  const byteHex = b => b.toString(16).padStart(2, '0').toUpperCase();
+
+  const w = [parseInt(key.slice(0, 2), 16), parseInt(key.slice(2), 16)];
+  const g = [];
+
+  for (let i = 0; i < 2; i++) {
+    const input = w[2 * i + 1];
+    const rotated = ((input << 4) | (input >> 4)) & 0xff;
+    const substituted = (S_BOX[rotated >> 4] << 4) | S_BOX[rotated & 0xf];
+    const output = substituted ^ RCON[i];
+    g.push({ input: byteHex(input), rotated: byteHex(rotated), substituted: byteHex(substituted), rcon: byteHex(RCON[i]), output: byteHex(output) });
+
+    w.push(w[2 * i] ^ output);
+    w.push(w[2 * i + 2] ^ w[2 * i + 1]);
+  }
+
+  const words = w.map(byteHex);
+  return { key, w: words, g, k0: words[0] + words[1], k1: words[2] + words[3], k2: words[4] + words[5] };
+}
+
+// Encrypt (or decrypt) one 16-bit block and record the state after every step
+// Returns { input, keys, steps: [{ round, step, state }], output }
+function trace(block, key, options = {}) {
+  const { decrypt = false } = options;
+  validateWord(block, 'Block');
+  const keys = keySchedule(key);
+  const [k0, k1, k2] = [keys.k0, keys.k1, keys.k2].map(toNibbles);
+
+  let state = toNibbles(block);
+  const steps = [];
+  const record = (round, step, next) => {
+    state = next;
+    steps.push({ round, step, state: toHex(state) });
+  };
+
+  if (!decrypt) {
+    record(0, 'AddRoundKey', addRoundKey(state, k0));
+    record(1, 'NibbleSub', subNibbles(state));
+    record(1, 'ShiftRows', shiftRows(state));
+    record(1, 'MixColumns', mixColumns(state));
+    record(1, 'AddRoundKey', addRoundKey(state, k1));
+    record(2, 'NibbleSub', subNibbles(state));
+    record(2, 'ShiftRows', shiftRows(state));
+    record(2, 'AddRoundKey', addRoundKey(state, k2));
+  } else {
+    record(0, 'AddRoundKey', addRoundKey(state, k2));
+    record(1, 'InvShiftRows', shiftRows(state));
+    record(1, 'InvNibbleSub', subNibbles(state, true));
+    record(1, 'AddRoundKey', addRoundKey(state, k1));
+    record(1, 'InvMixColumns', mixColumns(state, true));
+    record(2, 'InvShiftRows', shiftRows(state));
+    record(2, 'InvNibbleSub', subNibbles(state, true));
+    record(2, 'AddRoundKey', addRoundKey(state, k0));
+  }
+
+  return { input: block.toUpperCase(), keys, steps, output: toHex(state) };
+}
+
+// Encrypt one 16-bit block (4 hex digits)
+function encryptBlock(block, key) {
+  return trace(block, key).output;
+}
+
+// Decrypt one 16-bit block (4 hex digits)
+function decryptBlock(block, key) {
+  return trace(block, key, { decrypt: true }).output;
+}
+
+// Wrap the block functions for modes.js (2 bytes per block)
+function saesCipher(key) {
+  keySchedule(key);
+  return {
+    blockSize: 2,
+    encryptBlock: bytes => modes.hexToBytes(encryptBlock(modes.bytesToHex(bytes), key)),
+    decryptBlock: bytes => modes.hexToBytes(decryptBlock(modes.bytesToHex(bytes), key))
+  };
+}
+
+// Encrypt plaintext with S-AES
+// Input: plaintext (string, character codes 0-255), key (4 hex chars), options (mode and IV, see modes.js)
+// Output: ciphertext (hex string)
+function encrypt(plaintext, key, options = {}) {
+  const bytes = plaintext.split('').map(c => c.charCodeAt(0));
+  if (bytes.some(b => b > 255)) {
+    throw new Error('Plaintext characters must be in the range 0-255');
+  }
+  return modes.bytesToHex(modes.encrypt(saesCipher(key), bytes, options));
+}
+
+// Decrypt ciphertext with S-AES
+// Input: ciphertext (hex string), key (4 hex chars), options (mode and IV)
+// Output: plaintext (string)
+function decrypt(ciphertext, key, options = {}) {
+  if (!/^([0-9A-Fa-f]{2})*$/.test(ciphertext)) {
+    throw new Error('Ciphertext must be a hex string with an even number of characters');
+  }
+  const bytes = modes.decrypt(saesCipher(key), modes.hexToBytes(ciphertext), options);
+  return bytes.map(b => String.fromCharCode(b)).join('');
+}
+
+// S_BOX is exported for difference-distribution tables (differential cryptanalysis)
+module.exports = { encrypt, decrypt, encryptBlock, decryptBlock, keySchedule, trace, S_BOX };
+
+// Example usage:
+// const saes = require('./saes');
+// saes.keySchedule('A73B');              // w2..w5 = 1C 27 76 51
+// saes.encryptBlock('6F6B', 'A73B');     // 0738
+// saes.trace('6F6B', 'A73B').steps.forEach(s => console.log(s.round, s.step, s.state));
+// console.log(saes.decrypt(saes.encrypt('HELLO', 'A73B'), 'A73B'));  // HELLO
@@ -0,0 +1,163 @@
+// Simplified DES (S-DES) - Teaching Cipher (Schaefer 1996, as in Stallings)
+// 8-bit block, 10-bit key, 2 Feistel rounds - small enough to follow by hand
+//
+//   Key schedule: K1 = P8(LS-1(P10(key))), K2 = P8(LS-2(LS-1(P10(key))))
+//   Encryption:   C = IP^-1(fK2(SW(fK1(IP(P)))))
+//   Decryption:   P = IP^-1(fK1(SW(fK2(IP(C)))))   (same steps, keys reversed)
+//
+//   fK(L, R) = (L XOR F(R, K), R)
+//   F(R, K)  = P4(S0 || S1 applied to EP(R) XOR K)
+//
+// Blocks and keys are written as binary strings ('10010111', '1010000010')
+// exactly as on paper; trace() returns every intermediate value.
+
+const modes = require('./modes');
+
+// Permutation tables (1-based bit positions)
+const P10 = [3, 5, 2, 7, 4, 10, 1, 9, 8, 6];
+const P8 = [6, 3, 7, 4, 8, 5, 10, 9];
+const IP = [2, 6, 3, 1, 4, 8, 5, 7];
+const IP_INV = [4, 1, 3, 5, 7, 2, 8, 6];
+const EP = [4, 1, 2, 3, 2, 3, 4, 1];
+const P4 = [2, 4, 3, 1];
+
+// S-Boxes: 4-bit input -> 2-bit output
+// Row = outer bits (1st and 4th), column = inner bits (2nd and 3rd)
+const S0 = [
+  [1, 0, 3, 2],
+  [3, 2, 1, 0],
+  [0, 2, 1, 3],
+  [3, 1, 3, 2]
+];
+const S1 = [
+  [0, 1, 2, 3],
+  [2, 0, 1, 3],
+  [3, 0, 1, 0],
+  [2, 1, 0, 3]
+];
+
+// Apply a permutation table to a binary string
+function permute(bits, table) {
+  return table.map(i => bits[i - 1]).join('');
+}
+
+// Left circular shift
+function leftShift(bits, n) {
+  return bits.slice(n) + bits.slice(0, n);
+}
+
+// XOR two binary strings
+function xor(a, b) {
+  return a.split('').map((bit, i) => (bit === b[i] ? '0' : '1')).join('');
+}
+
+// Validate a binary string of the given length
+function validateBits(bits, length, name) {
+  if (typeof bits !== 'string' || !new RegExp(`^[01]{${length}}$`).test(bits)) {
+    throw new Error(`${name} must be exactly ${length} binary digits`);
+  }
+}
+
+// Look up a 4-bit value in an S-Box; returns the row, column and 2-bit output
+function sBoxLookup(box, bits) {
+  const row = parseInt(bits[0] + bits[3], 2);
+  const col = parseInt(bits[1] + bits[2], 2);
+  return { input: bits, row, col, output: box[row][col].toString(2).padStart(2, '0') };
+}
+
+// Key schedule with every intermediate value
+function keySchedule(key) {
+  validateBits(key, 10, 'Key');
+
+  const p10 = permute(key, P10);
+  const ls1 = leftShift(p10.slice(0, 5), 1) + leftShift(p10.slice(5), 1);
+  const ls2 = leftShift(ls1.slice(0, 5), 2) + leftShift(ls1.slice(5), 2);
+
+  return { key, p10, ls1, k1: permute(ls1, P8), ls2, k2: permute(ls2, P8) };
+}
+
+// One round fK on an 8-bit value with every intermediate value
+function round(number, bits, subkey) {
+  const left = bits.slice(0, 4);
+  const right = bits.slice(4);
+
+  const expanded = permute(right, EP);
+  const xored = xor(expanded, subkey);
+  const s0 = sBoxLookup(S0, xored.slice(0, 4));
+  const s1 = sBoxLookup(S1, xored.slice(4));
+  const p4 = permute(s0.output + s1.output, P4);
+  const output = xor(left, p4) + right;
+
+  return { round: number, subkey, input: bits, left, right, expanded, xored, s0, s1, p4, output };
+}
+
+// Encrypt (or decrypt) one 8-bit block and record every step
+// Returns { input, keys, ip, rounds: [round 1, round 2], swapped, output }
+function trace(block, key, options = {}) {
+  const { decrypt = false } = options;
+  validateBits(block, 8, 'Block');
+  const keys = keySchedule(key);
+  const [first, second] = decrypt ? [keys.k2, keys.k1] : [keys.k1, keys.k2];
+
+  const ip = permute(block, IP);
+  const round1 = round(1, ip, first);
+  const swapped = round1.output.slice(4) + round1.output.slice(0, 4);
+  const round2 = round(2, swapped, second);
+
+  return { input: block, keys, ip, rounds: [round1, round2], swapped, output: permute(round2.output, IP_INV) };
+}
+
+// Encrypt one 8-bit block (binary string)
+function encryptBlock(block, key) {
+  return trace(block, key).output;
+}
+
+// Decrypt one 8-bit block (binary string)
+function decryptBlock(block, key) {
+  return trace(block, key, { decrypt: true }).output;
+}
+
+// Wrap the block functions for modes.js (one byte per block)
+function sdesCipher(key) {
+  keySchedule(key);
+  const toBits = byte => byte.toString(2).padStart(8, '0');
+  return {
+    blockSize: 1,
+    encryptBlock: ([byte]) => [parseInt(encryptBlock(toBits(byte), key), 2)],
+    decryptBlock: ([byte]) => [parseInt(decryptBlock(toBits(byte), key), 2)]
+  };
+}
+
+// Encrypt plaintext with S-DES (each character code is one block)
+// Input: plaintext (string, character codes 0-255), key (10 binary digits), options (mode and IV, see modes.js)
+// Output: ciphertext (hex string)
+function encrypt(plaintext, key, options = {}) {
+  const bytes = plaintext.split('').map(c => c.charCodeAt(0));
+  if (bytes.some(b => b > 255)) {
+    throw new Error('Plaintext characters must be in the range 0-255 (one 8-bit block each)');
+  }
+  // One-byte blocks never need padding
+  return modes.bytesToHex(modes.encrypt(sdesCipher(key), bytes, { ...options, padding: false }));
+}
+
+// Decrypt ciphertext with S-DES
+// Input: ciphertext (hex string), key (10 binary digits), options (mode and IV)
+// Output: plaintext (string)
+function decrypt(ciphertext, key, options = {}) {
+  if (!/^([0-9A-Fa-f]{2})*$/.test(ciphertext)) {
+    throw new Error('Ciphertext must be a hex string with an even number of characters');
+  }
+  const bytes = modes.decrypt(sdesCipher(key), modes.hexToBytes(ciphertext), { ...options, padding: false });
+  return bytes.map(b => String.fromCharCode(b)).join('');
+}
+
+// S0 and S1 are exported for difference-distribution tables (differential cryptanalysis)
+module.exports = { encrypt, decrypt, encryptBlock, decryptBlock, keySchedule, trace, S0, S1 };
+
+// Example usage:
+// const sdes = require('./sdes');
+// sdes.keySchedule('1010000010');            // K1 = 10100100, K2 = 01000011
+// sdes.encryptBlock('10010111', '1010000010');  // 00111000
+// const steps = sdes.trace('10010111', '1010000010');
+// console.log(steps.ip, steps.rounds[0].xored, steps.rounds[0].s0, steps.output);
+// console.log(sdes.decrypt(sdes.encrypt('HELLO', '1010000010'), '1010000010'));  // HELLO
@@ -0,0 +1,108 @@
+// Triple DES (TDEA, NIST SP 800-67) - Educational Implementation
+// Three DES operations per 64-bit block in EDE order (Encrypt-Decrypt-Encrypt):
+//   Encryption: C = E_K3(D_K2(E_K1(P)))
+//   Decryption: P = D_K1(E_K2(D_K3(C)))
+//
+// Keying options (chosen by the key length):
+//   Option 1: 48 hex chars = K1, K2, K3 all different (168-bit key, ~112-bit security)
+//   Option 2: 32 hex chars = K1, K2 and K3 = K1        (112-bit key, ~80-bit security)
+//   Option 3: 16 hex chars = K1 = K2 = K3              (same as single DES)
+//
+// EDE (instead of EEE) keeps option 3 backward compatible: D_K1 undoes E_K1,
+// so the result is plain DES and old DES hardware could interoperate.
+// Double DES is skipped because meet-in-the-middle reduces it to ~57-bit security.
+//
+// Modes of operation (ECB, CBC, ...) come from modes.js
+
+const modes = require('./modes');
+const { generateKeys, desCore, hexToBinary, binaryToHex } = require('./des');
+
+// Split the key into K1, K2, K3 according to the keying option
+function splitKey(key) {
+  if (!/^([0-9A-Fa-f]{16}|[0-9A-Fa-f]{32}|[0-9A-Fa-f]{48})$/.test(key)) {
+    throw new Error('Key must be 16, 32 or 48 hexadecimal characters (keying option 3, 2 or 1)');
+  }
+
+  const k1 = key.slice(0, 16);
+  const k2 = key.length >= 32 ? key.slice(16, 32) : k1;
+  const k3 = key.length === 48 ? key.slice(32, 48) : k1;
+  return [k1, k2, k3];
+}
+
+// Keying option (1, 2 or 3) for a key
+function keyingOption(key) {
+  splitKey(key);
+  return { 48: 1, 32: 2, 16: 3 }[key.length];
+}
+
+// Convert string to byte array
+function stringToBytes(str) {
+  return str.split('').map(c => c.charCodeAt(0));
+}
+
+// Convert byte array to string
+function bytesToString(bytes) {
+  return bytes.map(b => String.fromCharCode(b)).join('');
+}
+
+// Wrap the three DES passes as byte-level block functions for modes.js
+function tdesCipher(key) {
+  const [k1, k2, k3] = splitKey(key).map(generateKeys);
+  const inverse = keys => keys.slice().reverse();
+
+  // The block stays a bit string between the three passes
+  const run = (block, passes) => {
+    let bits = hexToBinary(modes.bytesToHex(block));
+    for (const keys of passes) bits = desCore(bits, keys);
+    return modes.hexToBytes(binaryToHex(bits));
+  };
+
+  return {
+    blockSize: 8,
+    encryptBlock: block => run(block, [k1, inverse(k2), k3]),
+    decryptBlock: block => run(block, [inverse(k3), k2, inverse(k1)])
+  };
+}
+
+// Encrypt a byte array with Triple DES
+// Options: { mode: 'ECB' (default) | 'CBC' | ..., iv: 16-char hex, padding: true } (see modes.js)
+function encryptBytes(bytes, key, options = {}) {
+  return modes.encrypt(tdesCipher(key), bytes, options);
+}
+
+// Decrypt a byte array with Triple DES (same options as encryptBytes)
+function decryptBytes(bytes, key, options = {}) {
+  return modes.decrypt(tdesCipher(key), bytes, options);
+}
+
+// Encrypt plaintext with Triple DES
+// Input: plaintext (string), key (16/32/48-char hex string), options (mode and IV)
+// Output: ciphertext (hex string)
+function encrypt(plaintext, key, options = {}) {
+  return modes.bytesToHex(encryptBytes(stringToBytes(plaintext), key, options));
+}
+
+// Decrypt ciphertext with Triple DES
+// Input: ciphertext (hex string), key (16/32/48-char hex string), options (mode and IV)
+// Output: plaintext (string)
+function decrypt(ciphertext, key, options = {}) {
+  splitKey(key);
+
+  // Validate ciphertext (block length is checked by the mode)
+  if (!/^([0-9A-Fa-f]{2})*$/.test(ciphertext)) {
+    throw new Error('Ciphertext must be a hex string with an even number of characters');
+  }
+
+  return bytesToString(decryptBytes(modes.hexToBytes(ciphertext), key, options));
+}
+
+module.exports = { encrypt, decrypt, encryptBytes, decryptBytes, keyingOption };
+
+// Example usage:
+// const tdes = require('./tdes');
+// const key = '0123456789ABCDEF23456789ABCDEF01456789ABCDEF0123';  // keying option 1
+// const encrypted = tdes.encrypt('HELLO', key);
+// console.log(tdes.decrypt(encrypted, key));  // HELLO
+// const iv = '1234567890ABCDEF';
+// const cbc = tdes.encrypt('HELLO', key, { mode: 'CBC', iv });
+// console.log(tdes.decrypt(cbc, key, { mode: 'CBC', iv }));  // HELLO
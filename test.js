@@ -3,14 +3,48 @@
 const caesar = require('./substitution/caesar');
 const multiplicative = require('./substitution/multiplicative');
 const monoalphabetic = require('./substitution/monoalphabetic');
+const homophonic = require('./substitution/homophonic');
 const vigenere = require('./substitution/vigenere');
+const beaufort = require('./substitution/beaufort');
+const gronsfeld = require('./substitution/gronsfeld');
+const runningKey = require('./substitution/runningkey');
 const affine = require('./substitution/affine');
 const playfair = require('./substitution/playfair');
+const foursquare = require('./substitution/foursquare');
+const twosquare = require('./substitution/twosquare');
 const hill = require('./substitution/hill');
 const autokey = require('./substitution/autokey');
 const onetimepad = require('./substitution/onetimepad');
+const enigma = require('./rotor/enigma');
+const jefferson = require('./rotor/jefferson');
+const m209 = require('./rotor/m209');
 const railfence = require('./transposition/railfence');
 const columnar = require('./transposition/columnar');
+const scytale = require('./transposition/scytale');
+const route = require('./transposition/route');
+const grille = require('./transposition/grille');
+const polybius = require('./fractionation/polybius');
+const bifid = require('./fractionation/bifid');
+const trifid = require('./fractionation/trifid');
+const adfgvx = require('./fractionation/adfgvx');
+const aes = require('./symmetric/aes');
+const des = require('./symmetric/des');
+const tdes = require('./symmetric/tdes');
+const sdes = require('./symmetric/sdes');
+const saes = require('./symmetric/saes');
+const { hexToBytes, bytesToHex } = require('./symmetric/modes');
+const fitness = require('./fitness');
+const { PASSAGES, TRAINING_TEXT } = require('./corpus');
+const caesarCrack = require('./cryptanalysis/caesar');
+const vigenereCrack = require('./cryptanalysis/vigenere');
+const monoCrack = require('./cryptanalysis/monoalphabetic');
+const hillAttack = require('./cryptanalysis/hill');
+const affineCrack = require('./cryptanalysis/affine');
+const railfenceCrack = require('./cryptanalysis/railfence');
+const columnarCrack = require('./cryptanalysis/columnar');
+const playfairCrack = require('./cryptanalysis/playfair');
+const twoTimePad = require('./cryptanalysis/onetimepad');
+const autokeyCrack = require('./cryptanalysis/autokey');
 
 console.log('=== Caesar Cipher ===');
 console.log('Encrypt "HELLO" with key 3:', caesar.encrypt('HELLO', 3));
@@ -25,10 +59,38 @@ const monoKey = 'QWERTYUIOPASDFGHJKLZXCVBNM';
 console.log('Encrypt "HELLO" with key:', monoalphabetic.encrypt('HELLO', monoKey));
 console.log('Decrypt result:', monoalphabetic.decrypt(monoalphabetic.encrypt('HELLO', monoKey), monoKey));
 
+console.log('\n=== Homophonic Substitution ===');
+const homophonicKey = homophonic.generateKey({ seed: 'secret' });
+console.log('Homophones per letter (100 codes):', homophonic.homophoneCounts(100).join(' '));
+console.log('Codes for E:', homophonicKey.E.join(' '));
+const homophonicCipher = homophonic.encrypt('ATTACK AT DAWN', homophonicKey, { seed: 1 });
+console.log('Encrypt "ATTACK AT DAWN" (seed 1):', homophonicCipher);
+console.log('Encrypt again (seed 2):', homophonic.encrypt('ATTACK AT DAWN', homophonicKey, { seed: 2 }));
+console.log('Decrypt result:', homophonic.decrypt(homophonicCipher, homophonicKey));
+const homophonicProfile = homophonic.frequencyProfile(homophonic.encrypt(TRAINING_TEXT.slice(0, 5000).replace(/[^A-Za-z ]/g, ''), homophonicKey, { seed: 1 }), homophonicKey);
+console.log(`Frequency flattening: E = ${homophonicProfile.letters[4].percent.toFixed(1)}% of letters, top code = ${homophonicProfile.codes[0].percent.toFixed(1)}%`);
+console.log(`IoC: letters ${homophonicProfile.letterIoC.toFixed(4)}, codes ${homophonicProfile.codeIoC.toFixed(4)}`);
+
 console.log('\n=== Vigenère Cipher ===');
 console.log('Encrypt "HELLO" with key "KEY":', vigenere.encrypt('HELLO', 'KEY'));
 console.log('Decrypt result:', vigenere.decrypt(vigenere.encrypt('HELLO', 'KEY'), 'KEY'));
 
+console.log('\n=== Beaufort Cipher ===');
+console.log('Encrypt "HELLO" with key "KEY":', beaufort.encrypt('HELLO', 'KEY'));
+console.log('Decrypt result (same operation):', beaufort.decrypt(beaufort.encrypt('HELLO', 'KEY'), 'KEY'));
+console.log('Variant Beaufort encrypt:', beaufort.encryptVariant('HELLO', 'KEY'));
+console.log('Variant Beaufort decrypt:', beaufort.decryptVariant(beaufort.encryptVariant('HELLO', 'KEY'), 'KEY'));
+
+console.log('\n=== Gronsfeld Cipher ===');
+console.log('Encrypt "HELLO" with key "31415":', gronsfeld.encrypt('HELLO', '31415'));
+console.log('Decrypt result:', gronsfeld.decrypt(gronsfeld.encrypt('HELLO', '31415'), '31415'));
+
+console.log('\n=== Running Key Cipher ===');
+const runningKeySpec = { passage: 'mobyDick', offset: 7 };
+console.log('Encrypt "ATTACK AT DAWN" with Moby-Dick from letter 7:', runningKey.encrypt('ATTACK AT DAWN', runningKeySpec));
+console.log('Decrypt result:', runningKey.decrypt(runningKey.encrypt('ATTACK AT DAWN', runningKeySpec), runningKeySpec));
+console.log('Bundled passages:', runningKey.PASSAGE_NAMES.length);
+
 console.log('\n=== Affine Cipher ===');
 console.log('Encrypt "HELLO" with key {a:5, b:8}:', affine.encrypt('HELLO', { a: 5, b: 8 }));
 console.log('Decrypt result:', affine.decrypt(affine.encrypt('HELLO', { a: 5, b: 8 }), { a: 5, b: 8 }));
@@ -37,6 +99,17 @@ console.log('\n=== Playfair Cipher ===');
 console.log('Encrypt "HELLO" with key "MONARCHY":', playfair.encrypt('HELLO', 'MONARCHY'));
 console.log('Decrypt result:', playfair.decrypt(playfair.encrypt('HELLO', 'MONARCHY'), 'MONARCHY'));
 
+console.log('\n=== Four-Square Cipher ===');
+const squareKeys = ['EXAMPLE', 'KEYWORD'];
+console.log('Encrypt "HELP ME OBI WAN KENOBI" with keys EXAMPLE/KEYWORD:', foursquare.encrypt('HELP ME OBI WAN KENOBI', squareKeys));
+console.log('Decrypt result:', foursquare.decrypt(foursquare.encrypt('HELP ME OBI WAN KENOBI', squareKeys), squareKeys));
+
+console.log('\n=== Two-Square Cipher ===');
+console.log('Vertical encrypt:', twosquare.encrypt('HELP ME OBI WAN KENOBI', squareKeys));
+console.log('Decrypt result:', twosquare.decrypt(twosquare.encrypt('HELP ME OBI WAN KENOBI', squareKeys), squareKeys));
+console.log('Horizontal encrypt:', twosquare.encrypt('HELP ME OBI WAN KENOBI', squareKeys, { orientation: 'horizontal' }));
+console.log('Decrypt result:', twosquare.decrypt(twosquare.encrypt('HELP ME OBI WAN KENOBI', squareKeys, { orientation: 'horizontal' }), squareKeys, { orientation: 'horizontal' }));
+
 console.log('\n=== Hill Cipher ===');
 const hillKey = [[6, 24, 1], [13, 16, 10], [20, 17, 15]];
 console.log('Encrypt "ACT" with 3x3 key:', hill.encrypt('ACT', hillKey));
@@ -50,6 +123,39 @@ console.log('\n=== One-Time Pad ===');
 console.log('Encrypt "HELLO" with key "XMCKL":', onetimepad.encrypt('HELLO', 'XMCKL'));
 console.log('Decrypt result:', onetimepad.decrypt(onetimepad.encrypt('HELLO', 'XMCKL'), 'XMCKL'));
 
+console.log('\n=== Enigma Machine ===');
+const enigmaSettings = { rotors: ['I', 'II', 'III'], reflector: 'B', rings: 'AAA', positions: 'AAA' };
+console.log('Encrypt "AAAAA" (I II III, B, AAA):', enigma.encrypt('AAAAA', enigmaSettings), '(expected BDZGO)');
+console.log('Double stepping from ADU:', enigma.trace('AAAA', { ...enigmaSettings, positions: 'ADU' }).map(step => step.positions).join(' → '));
+const firstPress = enigma.trace('A', enigmaSettings)[0];
+console.log('Signal path for A:', firstPress.path.map(step => step.from).join(' → ') + ' → ' + firstPress.output);
+const barbarossa = {
+  rotors: ['II', 'IV', 'V'], reflector: 'B', rings: [2, 21, 12], positions: 'BLA',
+  plugboard: 'AV BS CG DL FU HZ IN KM OW RX'
+};
+console.log('Operation Barbarossa (1941):', enigma.decrypt('EDPUD NRGYS ZRCXN UYTPO MRMBO FKTBZ REZKM LXLVE FGUEY SIOZV', barbarossa));
+const scharnhorst = {
+  rotors: ['III', 'VI', 'VIII'], reflector: 'B', rings: [1, 8, 13], positions: 'UZV',
+  plugboard: 'AN EZ HK IJ LR MQ OT PV SW UX'
+};
+console.log('Scharnhorst (M3, 1943):', enigma.decrypt('YKAE NZAP MSCH ZBFO CUVM RMDP YCOF HADZ IZME FXTH FLOL PZLF GGBO TGOX GRET DWTJ IQHL MXVJ WKZU ASTR', scharnhorst));
+
+console.log('\n=== Jefferson Wheel Cypher ===');
+const jeffersonKey = { order: [17, 3, 9, 22, 1], offset: 4 };
+console.log('Encrypt "Hello, World!" (disks 17 3 9 22 1, offset 4):', jefferson.encrypt('Hello, World!', jeffersonKey));
+console.log('Decrypt result:', jefferson.decrypt(jefferson.encrypt('Hello, World!', jeffersonKey), jeffersonKey));
+console.log('Generatrices of "HELLO" (rows 0-5):', jefferson.generatrices('HELLO', jeffersonKey).slice(0, 6).join(' '));
+
+console.log('\n=== Hagelin M-209 ===');
+const m209Key = {
+  pins: ['ABDHIKMNSTVW', 'ADEGJKLORSUX', 'ABGHJLMNRSTUX', 'CEFHIMNPSTU', 'BDEFHIMNPS', 'ABDHKNOQ'],
+  lugs: '3-6 0-6 1-6 1-5 4-5 0-4 0-4 0-4 0-4 2-0 2-0 2-0 2-0 2-0 2-0 2-0 2-0 2-0 2-0 2-5 2-5 0-5 0-5 0-5 0-5 0-5 0-5',
+  positions: 'AAAAAA'
+};
+console.log('Encrypt "Attack at dawn!":', m209.encrypt('Attack at dawn!', m209Key));
+console.log('Encrypt again (reciprocal):', m209.encrypt(m209.encrypt('Attack at dawn!', m209Key), m209Key));
+console.log('Shift per letter:', m209.trace('ATTACKATDAWN', m209Key).map(step => step.shift).join(' '));
+
 console.log('\n=== Rail Fence Cipher ===');
 console.log('Encrypt "HELLOWORLD" with 3 rails:', railfence.encrypt('HELLOWORLD', 3));
 console.log('Decrypt result:', railfence.decrypt(railfence.encrypt('HELLOWORLD', 3), 3));
@@ -57,4 +163,281 @@ console.log('Decrypt result:', railfence.decrypt(railfence.encrypt('HELLOWORLD',
 console.log('\n=== Columnar Transposition Cipher ===');
 console.log('Encrypt "HELLOWORLD" with key "ZEBRA":', columnar.encrypt('HELLOWORLD', 'ZEBRA'));
 console.log('Decrypt result:', columnar.decrypt(columnar.encrypt('HELLOWORLD', 'ZEBRA'), 'ZEBRA'));
+console.log('Padded (complete grid):', columnar.encrypt('HELLOWORLD!', 'ZEBRA', { pad: 'X' }));
+console.log('Double transposition (ZEBRA, GERMAN):', columnar.encrypt('ATTACKATDAWN', ['ZEBRA', 'GERMAN']));
+console.log('Decrypt result:', columnar.decrypt(columnar.encrypt('ATTACKATDAWN', ['ZEBRA', 'GERMAN']), ['ZEBRA', 'GERMAN']));
+const myszkowski = columnar.encrypt('WEAREDISCOVEREDFLEEATONCE', 'TOMATO', { variant: 'myszkowski' });
+console.log('Myszkowski (TOMATO):', myszkowski, '(expected ROFOACDTEDSEEEACWEIVRLENE)');
+console.log('Decrypt result:', columnar.decrypt(myszkowski, 'TOMATO', { variant: 'myszkowski' }));
+
+console.log('\n=== Scytale ===');
+console.log('Encrypt "IAMHURTVERYBADLYHELP" with diameter 4:', scytale.encrypt('IAMHURTVERYBADLYHELP', 4), '(expected IRYYATBHMVAEHEDLURLP)');
+console.log('Decrypt result:', scytale.decrypt('IRYYATBHMVAEHEDLURLP', 4));
+
+console.log('\n=== Route Cipher ===');
+for (const name of route.ROUTES) {
+  const routed = route.encrypt('WEAREDISCOVERED', 5, { route: name });
+  console.log(`Encrypt "WEAREDISCOVERED" (5 columns, ${name}):`, routed, '→', route.decrypt(routed, 5, { route: name }));
+}
+console.log('Spiral reading order:', route.grid('WEAREDISCOVERED', 5).order.map(row => row.join(' ')).join(' | '));
+
+console.log('\n=== Turning Grille ===');
+const grilleKey = ['X...', '...X', '..X.', '.X..'];
+console.log('Encrypt "ATTACKATDAWNSOON":', grille.encrypt('ATTACKATDAWNSOON', grilleKey));
+console.log('Decrypt result:', grille.decrypt(grille.encrypt('ATTACKATDAWNSOON', grilleKey), grilleKey));
+const randomGrille = grille.generateGrille(6);
+console.log('Random 6×6 grille:', randomGrille.join(' '));
+console.log('Round trip with random grille:', grille.decrypt(grille.encrypt('The quick brown fox jumps over the lazy dog', randomGrille), randomGrille));
+
+console.log('\n=== Polybius Square ===');
+console.log('Encrypt "HELLO" (5x5):', polybius.encrypt('HELLO'));
+console.log('Decrypt result:', polybius.decrypt(polybius.encrypt('HELLO')));
+console.log('Encrypt "AGENT 007" with key "SECRET" (6x6):', polybius.encrypt('AGENT 007', 'SECRET', { size: 6 }));
+console.log('Decrypt result:', polybius.decrypt(polybius.encrypt('AGENT 007', 'SECRET', { size: 6 }), 'SECRET', { size: 6 }));
+
+console.log('\n=== Bifid Cipher ===');
+const bifidKey = 'BGWKZQPNDSIOAXEFCLUMTHYVR';
+console.log('Encrypt "FLEE AT ONCE":', bifid.encrypt('FLEE AT ONCE', bifidKey));
+console.log('Decrypt result:', bifid.decrypt(bifid.encrypt('FLEE AT ONCE', bifidKey), bifidKey));
+console.log('Encrypt "DEFEND THE EAST WALL" with period 5:', bifid.encrypt('DEFEND THE EAST WALL', 'SECRET', { period: 5 }));
+console.log('Decrypt result:', bifid.decrypt(bifid.encrypt('DEFEND THE EAST WALL', 'SECRET', { period: 5 }), 'SECRET', { period: 5 }));
+
+console.log('\n=== Trifid Cipher ===');
+const trifidKey = 'FELIX MARIE DELASTELLE';
+console.log('Encrypt "AIDETOILECIELTAIDERA" with period 5:', trifid.encrypt('AIDETOILECIELTAIDERA', trifidKey, { period: 5 }));
+console.log('Decrypt result:', trifid.decrypt(trifid.encrypt('AIDETOILECIELTAIDERA', trifidKey, { period: 5 }), trifidKey, { period: 5 }));
+
+console.log('\n=== ADFGVX / ADFGX Cipher ===');
+const adfgvxKey = { square: 'NA1C3H8TB2OME5WRPD4F6G7I9J0KLQSUVXYZ', transposition: 'PRIVACY' };
+const adfgvxSteps = adfgvx.explain('ATTACK AT 1200AM', adfgvxKey);
+console.log('Fractionated "ATTACK AT 1200AM":', adfgvxSteps.fractionated);
+console.log('Column order for "PRIVACY":', adfgvxSteps.columnOrder.join(' '));
+console.log('Ciphertext:', adfgvxSteps.ciphertext);
+console.log('Decrypt result:', adfgvx.decrypt(adfgvxSteps.ciphertext, adfgvxKey));
+const adfgxKey = { square: 'BTALPDHOZKQFVSNGICUXMREWY', transposition: 'CARGO' };
+console.log('ADFGX encrypt "ATTACK AT ONCE":', adfgvx.encrypt('ATTACK AT ONCE', adfgxKey, { variant: 'ADFGX' }));
+console.log('Decrypt result:', adfgvx.decrypt(adfgvx.encrypt('ATTACK AT ONCE', adfgxKey, { variant: 'ADFGX' }), adfgxKey, { variant: 'ADFGX' }));
+try {
+  adfgvx.encrypt('ATTACK AT 10 PM', adfgxKey, { variant: 'ADFGX' });
+} catch (e) {
+  console.log('ADFGX with digits:', e.message);
+}
+
+console.log('\n=== AES-128 / 192 / 256 (FIPS-197 Appendix C) ===');
+const fipsPlain = hexToBytes('00112233445566778899aabbccddeeff');
+const fipsVectors = {
+  '000102030405060708090a0b0c0d0e0f': '69C4E0D86A7B0430D8CDB78070B4C55A',
+  '000102030405060708090a0b0c0d0e0f1011121314151617': 'DDA97CA4864CDFE06EAF70A0EC0D7191',
+  '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f': '8EA2B7CA516745BFEAFC49904B496089'
+};
+for (const [fipsKey, expected] of Object.entries(fipsVectors)) {
+  const fipsCipher = bytesToHex(aes.encryptBytes(fipsPlain, fipsKey, { padding: false }));
+  const fipsBack = bytesToHex(aes.decryptBytes(hexToBytes(fipsCipher), fipsKey, { padding: false }));
+  console.log(`AES-${fipsKey.length * 4}: ${aes.keyExpansion(fipsKey).length - 1} rounds, ${fipsCipher} matches vector: ${fipsCipher === expected}, round trip: ${fipsBack === '00112233445566778899AABBCCDDEEFF'}`);
+}
+
+console.log('\n=== Block Cipher Modes (NIST SP 800-38A, AES-128) ===');
+const modeKey = '2b7e151628aed2a6abf7158809cf4f3c';
+const modePlain = hexToBytes('6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e51');
+const modeVectors = {
+  ECB: [undefined, '3AD77BB40D7A3660A89ECAF32466EF97F5D3D58503B9699DE785895A96FDBAAF'],
+  CBC: ['000102030405060708090a0b0c0d0e0f', '7649ABAC8119B246CEE98E9B12E9197D5086CB9B507219EE95DB113A917678B2'],
+  CFB: ['000102030405060708090a0b0c0d0e0f', '3B3FD92EB72DAD20333449F8E83CFB4AC8A64537A0B3A93FCDE3CDAD9F1CE58B'],
+  OFB: ['000102030405060708090a0b0c0d0e0f', '3B3FD92EB72DAD20333449F8E83CFB4A7789508D16918F03F53C52DAC54ED825'],
+  CTR: ['f0f1f2f3f4f5f6f7f8f9fafbfcfdfeff', '874D6191B620E3261BEF6864990DB6CE9806F66B7970FDFF8617187BB9FFFDFF']
+};
+for (const [mode, [iv, expected]] of Object.entries(modeVectors)) {
+  const options = { mode, iv, padding: false };
+  const cipherBytes = aes.encryptBytes(modePlain, modeKey, options);
+  const roundTrip = bytesToHex(aes.decryptBytes(cipherBytes, modeKey, options)) === bytesToHex(modePlain);
+  console.log(`${mode}: ${bytesToHex(cipherBytes).slice(0, 32)}... matches vector: ${bytesToHex(cipherBytes) === expected}, round trip: ${roundTrip}`);
+}
+const modeIv = '000102030405060708090a0b0c0d0e0f';
+console.log('Two identical blocks, ECB then CBC:',
+  aes.encrypt('YELLOW SUBMARINEYELLOW SUBMARINE', modeKey).slice(0, 64),
+  aes.encrypt('YELLOW SUBMARINEYELLOW SUBMARINE', modeKey, { mode: 'CBC', iv: modeIv }).slice(0, 64));
+const ctrText = aes.encrypt('ATTACK AT DAWN', modeKey, { mode: 'CTR', iv: modeIv });
+console.log('AES-CTR "ATTACK AT DAWN" (no padding):', ctrText, '→', aes.decrypt(ctrText, modeKey, { mode: 'CTR', iv: modeIv }));
+
+console.log('\n=== Tampering: ECB / CTR vs AES-GCM ===');
+const toBob = aes.encrypt('TO: BOB         AMOUNT: 0000010 ', modeKey);
+const toMallory = aes.encrypt('TO: MALLORY     AMOUNT: 9999999 ', modeKey);
+const spliced = toMallory.slice(0, 32) + toBob.slice(32);
+console.log('ECB blocks spliced from two messages decrypt without error:', aes.decrypt(spliced, modeKey));
+const ctrOptions = { mode: 'CTR', iv: modeIv };
+const ctrTransfer = hexToBytes(aes.encrypt('AMOUNT: 0000010', modeKey, ctrOptions));
+ctrTransfer[8] ^= '0'.charCodeAt(0) ^ '9'.charCodeAt(0);
+console.log('CTR with one byte flipped:', aes.decrypt(bytesToHex(ctrTransfer), modeKey, ctrOptions));
+const gcmOptions = { iv: 'cafebabefacedbaddecaf888', aad: 'transfer #42' };
+const sealed = aes.encryptGCM('AMOUNT: 0000010', modeKey, gcmOptions);
+console.log('GCM ciphertext:', sealed.ciphertext, 'tag:', sealed.tag, '→', aes.decryptGCM(sealed, modeKey, gcmOptions));
+const gcmBytes = hexToBytes(sealed.ciphertext);
+gcmBytes[8] ^= '0'.charCodeAt(0) ^ '9'.charCodeAt(0);
+for (const [label, forged, options] of [
+  ['flipped byte', { ...sealed, ciphertext: bytesToHex(gcmBytes) }, gcmOptions],
+  ['changed AAD', sealed, { ...gcmOptions, aad: 'transfer #43' }]
+]) {
+  try {
+    aes.decryptGCM(forged, modeKey, options);
+    console.log(`GCM ${label}: accepted (unexpected)`);
+  } catch (e) {
+    console.log(`GCM ${label}: ${e.message}`);
+  }
+}
+try {
+  aes.decryptGCMBytes({ ...sealed, tag: hexToBytes(sealed.tag) }, modeKey, { iv: gcmOptions.iv });
+} catch (e) {
+  console.log('GCM hex string instead of ciphertext bytes:', e.message);
+}
+
+console.log('\n=== AES-GCM (McGrew-Viega test cases 2, 4, 16) ===');
+const gcmPlain = 'd9313225f88406e5a55909c5aff5269a86a7a9531534f7da2e4c303d8a318a721c3c0c95956809532fcf0e2449a6b525b16aedf5aa0de657ba637b39';
+const gcmVectors = [
+  ['00000000000000000000000000000000', '00000000000000000000000000000000', '', '000000000000000000000000',
+    '0388DACE60B6A392F328C2B971B2FE78', 'AB6E47D42CEC13BDF53A67B21257BDDF'],
+  ['feffe9928665731c6d6a8f9467308308', gcmPlain, 'feedfacedeadbeeffeedfacedeadbeefabaddad2', 'cafebabefacedbaddecaf888',
+    '42831EC2217774244B7221B784D0D49CE3AA212F2C02A4E035C17E2329ACA12E21D514B25466931C7D8F6A5AAC84AA051BA30B396A0AAC973D58E091',
+    '5BC94FBC3221A5DB94FAE95AE7121A47'],
+  ['feffe9928665731c6d6a8f9467308308feffe9928665731c6d6a8f9467308308', gcmPlain, 'feedfacedeadbeeffeedfacedeadbeefabaddad2', 'cafebabefacedbaddecaf888',
+    '522DC1F099567D07F47F37A32A84427D643A8CDCBFE5C0C97598A2BD2555D1AA8CB08E48590DBB3DA7B08B1056828838C5F61E6393BA7A0ABCC9F662',
+    '76FC6ECE0F4E1768CDDF8853BB2D551B']
+];
+for (const [gcmKey, plainHex, aadHex, iv, expectedC, expectedT] of gcmVectors) {
+  const options = { iv, aad: hexToBytes(aadHex) };
+  const result = aes.encryptGCMBytes(hexToBytes(plainHex), gcmKey, options);
+  const opened = bytesToHex(aes.decryptGCMBytes(result, gcmKey, options)) === plainHex.toUpperCase();
+  console.log(`AES-${gcmKey.length * 4}-GCM: ciphertext matches: ${bytesToHex(result.ciphertext) === expectedC}, tag ${bytesToHex(result.tag)} matches: ${bytesToHex(result.tag) === expectedT}, opens: ${opened}`);
+}
+
+console.log('\n=== Block Cipher Modes (FIPS 81, DES) ===');
+const desModeKey = '0123456789ABCDEF';
+const desModeIv = '1234567890ABCDEF';
+const desModeVectors = {
+  ECB: [undefined, '3FA40E8A984D48156A271787AB8883F9893D51EC4B563B53'],
+  CBC: [desModeIv, 'E5C7CDDE872BF27C43E934008C389C0F683788499A7C05F6'],
+  CFB: [desModeIv, 'F3096249C7F46E51A69E839B1A92F78403467133898EA622'],
+  OFB: [desModeIv, 'F3096249C7F46E5135F24A242EEB3D3F3D6D5BE3255AF8C3']
+};
+for (const [mode, [iv, expected]] of Object.entries(desModeVectors)) {
+  const options = { mode, iv, padding: false };
+  const desModeCipher = des.encrypt('Now is the time for all ', desModeKey, options);
+  const roundTrip = des.decrypt(desModeCipher, desModeKey, options) === 'Now is the time for all ';
+  console.log(`${mode}: ${desModeCipher} matches vector: ${desModeCipher === expected}, round trip: ${roundTrip}`);
+}
+const desCbc = des.encrypt('HELLO', desModeKey, { mode: 'CBC', iv: desModeIv });
+console.log('DES-CBC "HELLO":', desCbc, '→', des.decrypt(desCbc, desModeKey, { mode: 'CBC', iv: desModeIv }));
+
+console.log('\n=== Triple DES (NIST SP 800-67) ===');
+const tdesKey = '0123456789ABCDEF23456789ABCDEF01456789ABCDEF0123';
+const tdesCipher = tdes.encrypt('The qufck brown fox jump', tdesKey, { padding: false });
+console.log('Keying option', tdes.keyingOption(tdesKey) + ':', tdesCipher,
+  'matches vector:', tdesCipher === 'A826FD8CE53B855FCCE21C8112256FE668D5C05DD9B6B900');
+console.log('Decrypt result:', tdes.decrypt(tdesCipher, tdesKey, { padding: false }));
+const tdesKey2 = tdesKey.slice(0, 32);
+const tdesCipher2 = tdes.encrypt('The qufck brown fox jump', tdesKey2, { padding: false });
+console.log('Keying option', tdes.keyingOption(tdesKey2) + ':', tdesCipher2,
+  'matches vector:', tdesCipher2 === 'C44862F70CF2FBDC9077D0909FA91B884CABD61FC58E0CBB');
+console.log('Keying option 3 equals single DES:',
+  tdes.encrypt('HELLO', '133457799BBCDFF1') === des.encrypt('HELLO', '133457799BBCDFF1'));
+const tdesCbc = tdes.encrypt('ATTACK AT DAWN', tdesKey, { mode: 'CBC', iv: desModeIv });
+console.log('3DES-CBC "ATTACK AT DAWN":', tdesCbc, '→', tdes.decrypt(tdesCbc, tdesKey, { mode: 'CBC', iv: desModeIv }));
+
+console.log('\n=== Simplified DES (S-DES) ===');
+const sdesKeys = sdes.keySchedule('1010000010');
+console.log(`Key 1010000010 → P10 ${sdesKeys.p10} → K1 ${sdesKeys.k1}, K2 ${sdesKeys.k2}`);
+const sdesTrace = sdes.trace('10010111', '1010000010');
+console.log('IP(10010111) =', sdesTrace.ip);
+sdesTrace.rounds.forEach(r => console.log(
+  `Round ${r.round}: EP ${r.expanded} ⊕ ${r.subkey} = ${r.xored}, S0[${r.s0.row}][${r.s0.col}] = ${r.s0.output}, S1[${r.s1.row}][${r.s1.col}] = ${r.s1.output}, P4 ${r.p4} → ${r.output}`));
+console.log('Ciphertext:', sdesTrace.output, '→ decrypt:', sdes.decryptBlock(sdesTrace.output, '1010000010'));
+const sdesText = sdes.encrypt('HELLO', '1010000010');
+console.log('S-DES "HELLO":', sdesText, '→', sdes.decrypt(sdesText, '1010000010'));
+
+console.log('\n=== Simplified AES (S-AES) ===');
+const saesKeys = saes.keySchedule('A73B');
+console.log(`Key A73B → w0..w5: ${saesKeys.w.join(' ')} → K0 ${saesKeys.k0}, K1 ${saesKeys.k1}, K2 ${saesKeys.k2}`);
+const saesTrace = saes.trace('6F6B', 'A73B');
+console.log('6F6B →', saesTrace.steps.map(s => `${s.step} ${s.state}`).join(' → '));
+console.log('Decrypt 0738:', saes.decryptBlock('0738', 'A73B'));
+const saesText = saes.encrypt('HELLO', 'A73B', { mode: 'CBC', iv: '1234' });
+console.log('S-AES-CBC "HELLO":', saesText, '→', saes.decrypt(saesText, 'A73B', { mode: 'CBC', iv: '1234' }));
+
+console.log('\n=== Caesar Cracker ===');
+const caesarCipher = caesar.encrypt('THE QUICK BROWN FOX JUMPS OVER THE LAZY DOG', 3);
+const caesarResult = caesarCrack.crack(caesarCipher);
+console.log('Crack "' + caesarCipher + '" → key:', caesarResult.key);
+console.log('Recovered plaintext:', caesarResult.plaintext);
+
+// Longer English sample for the statistical attacks below
+const sampleText = 'I went to the woods because I wished to live deliberately, to front only the essential facts ' +
+  'of life, and see if I could not learn what it had to teach, and not, when I came to die, discover that I ' +
+  'had not lived. I did not wish to live what was not life, living is so dear; nor did I wish to practise ' +
+  'resignation, unless it was quite necessary. I wanted to live deep and suck out all the marrow of life.';
+
+console.log('\n=== Fitness Scoring ===');
+const vigenereSample = vigenere.encrypt(sampleText, 'SECRETKEY');
+console.log('Entropy (English / Vigenère):', fitness.entropy(sampleText).toFixed(3), '/', fitness.entropy(vigenereSample).toFixed(3));
+console.log('IoC (English / Vigenère):', fitness.indexOfCoincidence(sampleText).toFixed(4), '/', fitness.indexOfCoincidence(vigenereSample).toFixed(4));
+console.log('Quadgram score (English / Vigenère):', fitness.quadgramScore(sampleText).toFixed(1), '/', fitness.quadgramScore(vigenereSample).toFixed(1));
+const customModel = fitness.loadModel(JSON.stringify(fitness.buildModel(sampleText)));
+console.log('Custom model trigram score of "TO LIVE":', customModel.score('TO LIVE', 3).toFixed(2));
+
+console.log('\n=== Vigenère Cracker ===');
+const vigenereResult = vigenereCrack.crack(vigenereSample);
+console.log('Recovered key (actual "SECRETKEY"):', vigenereResult.key);
+console.log('Confidence:', vigenereResult.confidence.toFixed(2));
+console.log('Candidates:', vigenereResult.candidates.map(c => c.key).join(', '));
+
+console.log('\n=== Monoalphabetic Solver ===');
+// Jane Eyre passage: uses all 26 letters, so every position of the key can be recovered
+const monoResult = monoCrack.crack(monoalphabetic.encrypt(PASSAGES.janeEyre.text, monoKey));
+console.log('Recovered key:', monoResult.key);
+console.log('Actual key:   ', monoKey);
+console.log('Key recovered:', monoResult.key === monoKey);
+console.log('Recovered plaintext:', monoResult.plaintext.slice(0, 60) + '...');
+
+console.log('\n=== Hill Known-Plaintext Attack ===');
+const hillKnown = 'ATTACK AT DAWN, RETREAT AT DUSK';
+const hillAttackResult = hillAttack.knownPlaintextAttack(hillKnown, hill.encrypt(hillKnown, hillKey), 3);
+console.log('Recovered key:', JSON.stringify(hillAttackResult.key));
+console.log('Blocks used:', hillAttackResult.blocks.join(', '));
+
+console.log('\n=== Affine / Multiplicative Brute Force ===');
+const affineCipher = affine.encrypt('Meet me at the usual place at ten tonight', { a: 5, b: 8 });
+const affineResult = affineCrack.crackAffine(affineCipher);
+console.log('Best of', affineResult.candidates.length, 'affine keys:', JSON.stringify(affineResult.key), '→', affineResult.plaintext);
+console.log('With crib "TONIGHT":', JSON.stringify(affineCrack.crackAffine(affineCipher, { crib: 'TONIGHT' }).key));
+console.log('With crib "ACE" (no invertible difference):', JSON.stringify(affineCrack.crackAffine(affineCipher, { crib: 'ACE' }).key));
+const multCipher = multiplicative.encrypt('Meet me at the usual place at ten tonight', 7);
+const multResult = affineCrack.crackMultiplicative(multCipher);
+console.log('Best of', multResult.candidates.length, 'multiplicative keys:', multResult.key, '→', multResult.plaintext);
+console.log('With crib "TONIGHT":', affineCrack.crackMultiplicative(multCipher, { crib: 'TONIGHT' }).key);
+
+console.log('\n=== Rail Fence / Columnar Crackers ===');
+const railResult = railfenceCrack.crack(railfence.encrypt(sampleText, 5));
+console.log('Rail fence: rails =', railResult.key, '→', railResult.plaintext.slice(0, 40) + '...');
+const columnarResult = columnarCrack.crack(columnar.encrypt(sampleText, 'GERMANY'));
+console.log('Columnar: key =', columnarResult.key, '(same order as "GERMANY") →', columnarResult.plaintext.slice(0, 40) + '...');
+
+console.log('\n=== Playfair Simulated Annealing ===');
+const playfairResult = playfairCrack.crack(playfair.encrypt(sampleText, 'MONARCHY'));
+console.log('Recovered square:');
+playfairResult.matrix.forEach(row => console.log('  ' + row.join(' ')));
+console.log('Plaintext:', playfairResult.plaintext.slice(0, 60) + '...');
+
+console.log('\n=== Two-Time Pad Crib Dragging ===');
+const reusedKey = 'QWHVNBXKZPLRTYUMEAJSDFGCOIQWHVNBXKZPLRTYUMEAJSDFG';
+const padMessages = ['MEET ME AT THE OLD MILL AFTER DARK', 'THE SHIPMENT ARRIVES ON FRIDAY NOW'];
+const padCiphers = padMessages.map(m => onetimepad.encrypt(m, reusedKey.slice(0, m.replace(/[^A-Z]/g, '').length)));
+console.log('C1 - C2 = P1 - P2:', twoTimePad.differences(padCiphers)[0].difference);
+const cribHits = twoTimePad.dragCrib(padCiphers, 'SHIPMENT', { message: 1 }).slice(0, 3);
+console.log('Best positions for "SHIPMENT" in message 1:',
+  cribHits.map(r => `${r.position} → ${r.fragments[0].text}`).join(', '));
+let padKey = twoTimePad.placeCrib(padCiphers, 'SHIPMENT', 1, cribHits[0].position);
+padKey = twoTimePad.placeCrib(padCiphers, 'THE', 1, 0, padKey);
+console.log('Revealed:', twoTimePad.reveal(padCiphers, padKey));
 
+console.log('\n=== Autokey Cracker ===');
+const autokeyResult = autokeyCrack.crack(autokey.encrypt(sampleText, 'FORTIFICATION'));
+console.log('Recovered primer:', autokeyResult.key, '(length ' + autokeyResult.key.length + ')');
+console.log('Plaintext:', autokeyResult.plaintext.slice(0, 60) + '...');
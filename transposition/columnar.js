@@ -15,8 +15,28 @@
  *   W O R L D
  * 
  * القراءة بترتيب الأعمدة: OD + LR + EO + LL + HW = "ODLREOLLHW"
+ * 
+ * التبديل المزدوج (Double Transposition):
+ * - المفتاح مصفوفة من كلمتين: يُطبق التبديل بالكلمة الأولى ثم بالثانية على الناتج
+ * - فك التشفير بالترتيب العكسي (الثانية ثم الأولى)
+ * - استُخدم عملياً حتى الحرب الباردة، وهو أقوى بكثير من التبديل المفرد
+ * 
+ * تبديل ميشكوفسكي (Myszkowski, 1902) - الخيار variant: 'myszkowski':
+ * - الأحرف المتكررة في المفتاح تأخذ نفس الرتبة (بدلاً من كسر التعادل بالموقع)
+ * - الأعمدة ذات الرتبة الواحدة تُقرأ معاً صفاً صفاً من اليسار إلى اليمين
+ * 
+ *   مثال: المفتاح "TOMATO" → الرتب 3 2 1 0 3 2
+ *   تُقرأ A أولاً، ثم M، ثم العمودان O معاً، ثم العمودان T معاً
+ * 
+ * الشبكة الكاملة وغير الكاملة:
+ * - افتراضياً الصف الأخير قد يكون ناقصاً (شبكة غير منتظمة، أصعب في الكسر)
+ * - الخيار pad يملأ الصف الأخير بحرف حشو (شبكة كاملة)؛ في التبديل المزدوج
+ *   يُحشى النص حتى تكتمل الشبكتان معاً
  */
 
+// استيراد الدوال المساعدة
+const { mod, gcd } = require('../helpers');
+
 /**
  * الحصول على ترتيب الأعمدة بناءً على الترتيب الأبجدي للمفتاح
  * @param {string} key - المفتاح
@@ -43,16 +63,73 @@ function getColumnOrder(key) {
 }
 
 /**
- * دالة التشفير
- * @param {string} plaintext - النص الأصلي
- * @param {string} key - المفتاح (يحدد عدد الأعمدة وترتيب القراءة)
+ * الحصول على رتبة كل عمود لتبديل ميشكوفسكي
+ * الأحرف المتساوية تأخذ نفس الرتبة
+ * @param {string} key - المفتاح
+ * @returns {number[]} - رتبة كل عمود (من 0)
+ * 
+ * مثال: المفتاح "TOMATO" → [3, 2, 1, 0, 3, 2]
+ */
+function getColumnRanks(key) {
+  const keyUpper = key.toUpperCase();
+  const distinct = [...new Set(keyUpper)].sort((a, b) => a.localeCompare(b));
+  return keyUpper.split('').map(char => distinct.indexOf(char));
+}
+
+/**
+ * مجموعات الأعمدة بترتيب القراءة
+ * - التبديل العادي: كل عمود في مجموعة وحده
+ * - ميشكوفسكي: الأعمدة ذات الرتبة الواحدة في مجموعة واحدة (من اليسار إلى اليمين)
+ * @param {string} key - المفتاح
+ * @param {string} variant - 'standard' أو 'myszkowski'
+ * @returns {number[][]} - أرقام الأعمدة لكل مجموعة
+ */
+function getReadingGroups(key, variant) {
+  if (variant === 'standard') {
+    return getColumnOrder(key).map(col => [col]);
+  }
+
+  const ranks = getColumnRanks(key);
+  const groups = Array.from({ length: Math.max(...ranks) + 1 }, () => []);
+  ranks.forEach((rank, col) => groups[rank].push(col));
+  return groups;
+}
+
+/**
+ * التحقق من صحة المفتاح والخيارات
+ * @param {string|string[]} key - كلمة واحدة أو كلمتان للتبديل المزدوج
+ * @param {string} variant - 'standard' أو 'myszkowski'
+ * @param {string} [pad] - حرف الحشو
+ * @returns {string[]} - الكلمات المفتاحية بترتيب التطبيق
+ * @throws {Error} - إذا كان المفتاح فارغاً أو الخيارات غير صالحة
+ */
+function validateKey(key, variant, pad) {
+  const keys = Array.isArray(key) ? key : [key];
+
+  if (Array.isArray(key) && (key.length !== 2 || key.some(k => typeof k !== 'string'))) {
+    throw new Error('Double transposition key must be an array of two keywords');
+  }
+  if (keys.some(k => !k || k.length === 0)) throw new Error('Key must not be empty');
+  if (variant !== 'standard' && variant !== 'myszkowski') {
+    throw new Error('Variant must be "standard" or "myszkowski"');
+  }
+  if (pad !== undefined && (typeof pad !== 'string' || pad.length !== 1)) {
+    throw new Error('Padding must be a single character');
+  }
+
+  return keys;
+}
+
+/**
+ * تبديل واحد: كتابة النص صفوفاً ثم قراءة الأعمدة حسب المجموعات
+ * @param {string} plaintext - النص
+ * @param {string} key - المفتاح
+ * @param {string} variant - 'standard' أو 'myszkowski'
  * @returns {string} - النص المشفر
  */
-function encrypt(plaintext, key) {
-  if (!key || key.length === 0) throw new Error('Key must not be empty');
-  
+function encryptOnce(plaintext, key, variant) {
   const numCols = key.length;  // عدد الأعمدة = طول المفتاح
-  const order = getColumnOrder(key);  // ترتيب قراءة الأعمدة
+  const groups = getReadingGroups(key, variant);  // ترتيب قراءة الأعمدة
   
   // بناء الشبكة صفاً تلو الآخر
   // كل صف يحتوي على numCols حرف
@@ -61,19 +138,14 @@ function encrypt(plaintext, key) {
     grid.push(plaintext.slice(i, i + numCols).split(''));
   }
   
-  // حشو الصف الأخير إذا كان ناقصاً
-  if (grid.length > 0) {
-    const lastRow = grid[grid.length - 1];
-    while (lastRow.length < numCols) {
-      lastRow.push('');  // خانات فارغة
-    }
-  }
-  
-  // قراءة الأعمدة بالترتيب المحدد من المفتاح
+  // قراءة كل مجموعة صفاً صفاً (في التبديل العادي: عموداً كاملاً)
+  // الخانات الفارغة في الصف الأخير تُتخطى
   let result = '';
-  for (const col of order) {
+  for (const group of groups) {
     for (const row of grid) {
-      if (row[col]) result += row[col];
+      for (const col of group) {
+        if (row[col] !== undefined) result += row[col];
+      }
     }
   }
   
@@ -81,43 +153,36 @@ function encrypt(plaintext, key) {
 }
 
 /**
- * دالة فك التشفير
+ * عكس تبديل واحد
  * @param {string} ciphertext - النص المشفر
  * @param {string} key - المفتاح
+ * @param {string} variant - 'standard' أو 'myszkowski'
  * @returns {string} - النص الأصلي
  */
-function decrypt(ciphertext, key) {
-  if (!key || key.length === 0) throw new Error('Key must not be empty');
+function decryptOnce(ciphertext, key, variant) {
   if (ciphertext.length === 0) return '';
   
   const numCols = key.length;
   const numRows = Math.ceil(ciphertext.length / numCols);  // عدد الصفوف
-  const order = getColumnOrder(key);
+  const groups = getReadingGroups(key, variant);
   
   // حساب عدد الخانات الممتلئة في الصف الأخير
-  // هذا مهم لأن بعض الأعمدة قد تكون أقصر من غيرها
+  // الصف الأخير يُملأ من اليسار، لذلك الأعمدة الأصلية
+  // 0 .. filledInLastRow-1 فقط تكون كاملة الطول
   const filledInLastRow = ciphertext.length % numCols || numCols;
+  const columnLength = col => (col < filledInLastRow ? numRows : numRows - 1);
   
-  // تحديد الأعمدة الطويلة (التي تُقرأ أولاً في ترتيب المفتاح)
-  // الأعمدة الأولى في ترتيب القراءة تكون كاملة الطول
-  const longColumns = new Set();
-  for (let i = 0; i < filledInLastRow; i++) {
-    longColumns.add(order[i]);
-  }
-  
-  // توزيع النص المشفر على الأعمدة حسب ترتيب القراءة
+  // توزيع النص المشفر على الأعمدة: كل مجموعة تأخذ مجموع أطوال أعمدتها
+  // وتُوزع أحرفها صفاً صفاً كما قُرئت
   const columns = Array.from({ length: numCols }, () => []);
   let index = 0;
   
-  for (let i = 0; i < numCols; i++) {
-    const originalCol = order[i];  // العمود الأصلي في هذا الموقع من الترتيب
-    
-    // طول العمود: كامل إذا كان من الأعمدة الطويلة، وإلا أقل بواحد
-    const colLength = longColumns.has(originalCol) ? numRows : numRows - 1;
-    
-    // استخراج أحرف هذا العمود من النص المشفر
-    columns[originalCol] = ciphertext.slice(index, index + colLength).split('');
-    index += colLength;
+  for (const group of groups) {
+    for (let r = 0; r < numRows; r++) {
+      for (const col of group) {
+        if (r < columnLength(col)) columns[col][r] = ciphertext[index++];
+      }
+    }
   }
   
   // قراءة الشبكة صفاً تلو الآخر (بالترتيب الأصلي للأعمدة)
@@ -133,10 +198,53 @@ function decrypt(ciphertext, key) {
   return result;
 }
 
-// تصدير الدوال
-module.exports = { encrypt, decrypt };
+/**
+ * دالة التشفير
+ * @param {string} plaintext - النص الأصلي
+ * @param {string|string[]} key - المفتاح (يحدد عدد الأعمدة وترتيب القراءة)،
+ *   أو كلمتان للتبديل المزدوج
+ * @param {Object} [options] - خيارات
+ * @param {string} [options.variant='standard'] - 'standard' أو 'myszkowski'
+ * @param {string} [options.pad] - حرف لملء الشبكة (شبكة كاملة)؛ بدونه تبقى غير منتظمة
+ * @returns {string} - النص المشفر
+ */
+function encrypt(plaintext, key, options = {}) {
+  const { variant = 'standard', pad } = options;
+  const keys = validateKey(key, variant, pad);
+  
+  // الحشو حتى يكون الطول مضاعفاً لعرض كل شبكة
+  let text = plaintext;
+  if (pad !== undefined && text.length > 0) {
+    const width = keys.map(k => k.length).reduce((a, b) => (a * b) / gcd(a, b));
+    text += pad.repeat(mod(-text.length, width));
+  }
+  
+  return keys.reduce((result, k) => encryptOnce(result, k, variant), text);
+}
+
+/**
+ * دالة فك التشفير
+ * يعمل مع الشبكة الكاملة وغير الكاملة دون خيارات إضافية،
+ * وأحرف الحشو (إن وجدت) تبقى في نهاية النص
+ * @param {string} ciphertext - النص المشفر
+ * @param {string|string[]} key - نفس المفتاح المستخدم في التشفير
+ * @param {Object} [options] - خيارات
+ * @param {string} [options.variant='standard'] - نفس النوع المستخدم في التشفير
+ * @returns {string} - النص الأصلي
+ */
+function decrypt(ciphertext, key, options = {}) {
+  const { variant = 'standard' } = options;
+  const keys = validateKey(key, variant);
+  
+  return keys.reduceRight((result, k) => decryptOnce(result, k, variant), ciphertext);
+}
+
+// تصدير الدوال (getColumnOrder مُصدّرة لاستخدامها في adfgvx.js)
+module.exports = { encrypt, decrypt, getColumnOrder, getColumnRanks };
 
 // مثال على الاستخدام:
 // const columnar = require('./columnar');
 // console.log(columnar.encrypt("HELLOWORLD", "ZEBRA"));
 // console.log(columnar.decrypt(columnar.encrypt("HELLOWORLD", "ZEBRA"), "ZEBRA"));
+// console.log(columnar.encrypt("WEAREDISCOVEREDFLEEATONCE", "TOMATO", { variant: 'myszkowski' }));
+// console.log(columnar.encrypt("ATTACKATDAWN", ["ZEBRA", "GERMAN"], { pad: 'X' }));
@@ -0,0 +1,247 @@
+/**
+ * ملف: grille.js
+ * الوصف: الشبكة الدوارة (Fleissner Turning Grille) - تبديل هندسي
+ *
+ * آلية العمل:
+ * - قناع مربع n×n (n زوجي) فيه n²/4 ثقباً، يوضع فوق شبكة فارغة
+ * - تُكتب أحرف النص في الثقوب (من اليسار إلى اليمين ومن الأعلى إلى الأسفل)
+ * - يُدار القناع 90° باتجاه عقارب الساعة ويُكرر ذلك حتى 4 أوضاع
+ * - بعد الدورات الأربع تمتلئ الشبكة، ويُقرأ النص المشفر صفاً صفاً
+ * - الرسائل الأطول من n² تُقسم إلى كتل، كل كتلة شبكة جديدة
+ *
+ * شرط صحة القناع: كل خانة تظهر في ثقب مرة واحدة فقط خلال الدورات الأربع.
+ * الخانات تنقسم إلى مجموعات من 4 (الخانة ودورانها الثلاثة)،
+ * ويجب اختيار ثقب واحد بالضبط من كل مجموعة، فعدد الأقنعة الصحيحة 4^(n²/4)
+ *
+ * مثال قناع 4×4 ('X' ثقب، '.' مصمت):
+ *
+ *   X . . .      الدورة 1: (0,0) (1,3) (2,2) (3,1)
+ *   . . . X      الدورة 2: (0,3) (1,0) (2,1) (3,2)
+ *   . . X .      ... حتى تُغطى الخانات الـ 16
+ *   . X . .
+ *
+ * إذا لم يملأ النص آخر كتلة تبقى خانات فارغة تُتخطى عند القراءة،
+ * أو تُملأ بحرف حشو عبر الخيار pad
+ */
+
+// استيراد الدوال المساعدة
+const { mod } = require('../helpers');
+
+/**
+ * تدوير موقع خانة 90° باتجاه عقارب الساعة
+ * @param {number[]} cell - [صف، عمود]
+ * @param {number} size - حجم الشبكة
+ * @returns {number[]} - الموقع بعد الدوران
+ */
+function rotate([r, c], size) {
+  return [c, size - 1 - r];
+}
+
+/**
+ * التحقق من صحة القناع واستخراج ثقوبه
+ * @param {string[]} grille - أسطر القناع ('X' ثقب، '.' مصمت)
+ * @returns {number[][]} - مواقع الثقوب [صف، عمود]
+ * @throws {Error} - إذا لم يكن مربعاً زوجياً أو كانت الثقوب لا تغطي الشبكة مرة واحدة بالضبط
+ */
+function validateGrille(grille) {
+  if (!Array.isArray(grille) || grille.length === 0 || grille.length % 2 !== 0) {
+    throw new Error('Grille must be an array of rows with an even number of rows');
+  }
+
+  const size = grille.length;
+  const holes = [];
+
+  grille.forEach((row, r) => {
+    const cells = String(row).toUpperCase();
+    if (cells.length !== size) {
+      throw new Error(`Grille must be square: row ${r + 1} has ${cells.length} cells instead of ${size}`);
+    }
+    cells.split('').forEach((cell, c) => {
+      if (cell !== 'X' && cell !== '.') {
+        throw new Error('Grille rows may only contain "X" (hole) and "." (solid)');
+      }
+      if (cell === 'X') holes.push([r, c]);
+    });
+  });
+
+  if (holes.length !== (size * size) / 4) {
+    throw new Error(`A ${size}×${size} grille needs exactly ${(size * size) / 4} holes, got ${holes.length}`);
+  }
+
+  // كل خانة يجب أن تظهر مرة واحدة خلال الدورات الأربع
+  const seen = new Map();
+  for (const hole of holes) {
+    let cell = hole;
+    for (let turn = 0; turn < 4; turn++) {
+      const id = cell.join(',');
+      if (seen.has(id)) {
+        throw new Error(`Holes at (${seen.get(id)}) and (${hole}) uncover the same cell after rotation`);
+      }
+      seen.set(id, hole.join(','));
+      cell = rotate(cell, size);
+    }
+  }
+
+  return holes;
+}
+
+/**
+ * توليد قناع صحيح عشوائي
+ * يُختار ثقب واحد من كل مجموعة دوران (خانة في الربع العلوي الأيسر ودوراناتها)
+ * @param {number} size - حجم الشبكة (زوجي)
+ * @param {Function} [random=Math.random] - مولد أعداد في [0, 1)
+ * @returns {string[]} - أسطر القناع
+ */
+function generateGrille(size, random = Math.random) {
+  if (!Number.isInteger(size) || size < 2 || size % 2 !== 0) {
+    throw new Error('Grille size must be an even integer of at least 2');
+  }
+
+  const rows = Array.from({ length: size }, () => Array(size).fill('.'));
+  const half = size / 2;
+
+  for (let r = 0; r < half; r++) {
+    for (let c = 0; c < half; c++) {
+      let cell = [r, c];
+      const turns = Math.floor(random() * 4);
+      for (let t = 0; t < turns; t++) cell = rotate(cell, size);
+      rows[cell[0]][cell[1]] = 'X';
+    }
+  }
+
+  return rows.map(row => row.join(''));
+}
+
+/**
+ * رقم الدورة (1-4) التي تظهر فيها كل خانة
+ * @param {string[]} grille - أسطر القناع
+ * @returns {number[][]} - مصفوفة n×n
+ */
+function rotationMap(grille) {
+  const holes = validateGrille(grille);
+  const size = grille.length;
+  const map = Array.from({ length: size }, () => Array(size));
+
+  holes.forEach(hole => {
+    let cell = hole;
+    for (let turn = 1; turn <= 4; turn++) {
+      map[cell[0]][cell[1]] = turn;
+      cell = rotate(cell, size);
+    }
+  });
+
+  return map;
+}
+
+/**
+ * ترتيب كتابة الخانات في كتلة واحدة
+ * @param {number[][]} holes - ثقوب القناع
+ * @param {number} size - حجم الشبكة
+ * @returns {number[][]} - n² موقعاً بترتيب الكتابة
+ */
+function writingOrder(holes, size) {
+  const order = [];
+  let current = holes;
+
+  for (let turn = 0; turn < 4; turn++) {
+    // الثقوب تُملأ بترتيب القراءة العادي في كل وضع
+    const sorted = current.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    order.push(...sorted);
+    current = current.map(cell => rotate(cell, size));
+  }
+
+  return order;
+}
+
+/**
+ * تقسيم النص إلى كتل وتحديد الخانات المملوءة في كل كتلة
+ * @param {number} length - طول النص
+ * @param {string[]} grille - أسطر القناع
+ * @returns {{size: number, blocks: {start: number, written: number[][], read: number[][]}[]}}
+ *   - written: الخانات بترتيب الكتابة، read: نفس الخانات بترتيب القراءة (صفاً صفاً)
+ */
+function layout(length, grille) {
+  const holes = validateGrille(grille);
+  const size = grille.length;
+  const order = writingOrder(holes, size);
+  const blocks = [];
+
+  for (let start = 0; start < length; start += size * size) {
+    const written = order.slice(0, Math.min(size * size, length - start));
+    const read = written.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    blocks.push({ start, written, read });
+  }
+
+  return { size, blocks };
+}
+
+/**
+ * الشبكات المملوءة لكل كتلة (لعرضها)
+ * @param {string} text - النص الأصلي
+ * @param {string[]} grille - أسطر القناع
+ * @returns {string[][][]} - شبكة n×n لكل كتلة ('' للخانة الفارغة)
+ */
+function grid(text, grille) {
+  const { size, blocks } = layout(text.length, grille);
+
+  return blocks.map(({ start, written }) => {
+    const cells = Array.from({ length: size }, () => Array(size).fill(''));
+    written.forEach(([r, c], i) => {
+      cells[r][c] = text[start + i];
+    });
+    return cells;
+  });
+}
+
+/**
+ * دالة التشفير
+ * @param {string} plaintext - النص الأصلي
+ * @param {string[]} grille - أسطر القناع ('X' ثقب، '.' مصمت)
+ * @param {Object} [options] - خيارات
+ * @param {string} [options.pad] - حرف لملء آخر كتلة
+ * @returns {string} - النص المشفر
+ */
+function encrypt(plaintext, grille, options = {}) {
+  const { pad } = options;
+  if (pad !== undefined && (typeof pad !== 'string' || pad.length !== 1)) {
+    throw new Error('Padding must be a single character');
+  }
+  validateGrille(grille);
+
+  let text = plaintext;
+  if (pad !== undefined && text.length > 0) {
+    text += pad.repeat(mod(-text.length, grille.length * grille.length));
+  }
+
+  return grid(text, grille).map(cells => cells.flat().join('')).join('');
+}
+
+/**
+ * دالة فك التشفير
+ * @param {string} ciphertext - النص المشفر
+ * @param {string[]} grille - نفس القناع المستخدم في التشفير
+ * @returns {string} - النص الأصلي (مع أحرف الحشو إن وجدت)
+ */
+function decrypt(ciphertext, grille) {
+  const { blocks } = layout(ciphertext.length, grille);
+  let result = '';
+
+  for (const { start, written, read } of blocks) {
+    // وضع الأحرف في الخانات صفاً صفاً ثم قراءتها بترتيب الكتابة
+    const cells = new Map();
+    read.forEach((cell, i) => cells.set(cell.join(','), ciphertext[start + i]));
+    result += written.map(cell => cells.get(cell.join(','))).join('');
+  }
+
+  return result;
+}
+
+// تصدير الدوال (grid و rotationMap مُصدّرتان لرسم القناع والشبكة في الواجهة)
+module.exports = { encrypt, decrypt, grid, generateGrille, validateGrille, rotationMap };
+
+// مثال على الاستخدام:
+// const grille = require('./grille');
+// const key = ['X...', '...X', '..X.', '.X..'];
+// console.log(grille.encrypt("ATTACKATDAWNSOON", key));
+// console.log(grille.decrypt(grille.encrypt("ATTACKATDAWNSOON", key), key));
+// console.log(grille.generateGrille(6));   // قناع 6×6 عشوائي صحيح
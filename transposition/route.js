@@ -0,0 +1,186 @@
+/**
+ * ملف: route.js
+ * الوصف: شيفرة المسار (Route Cipher) - تبديل هندسي
+ *
+ * آلية العمل:
+ * - يُكتب النص في شبكة صفاً صفاً (عدد الأعمدة هو المفتاح)
+ * - يُقرأ النص المشفر بمسار متفق عليه داخل الشبكة
+ * - فك التشفير: توضع الأحرف على نفس المسار ثم تُقرأ الشبكة صفاً صفاً
+ *
+ * المسارات:
+ * - spiral: حلزوني باتجاه عقارب الساعة من الزاوية العليا اليسرى نحو المركز
+ * - snake: أعمدة متعرجة (العمود الأول نزولاً، الثاني صعوداً، وهكذا)
+ * - diagonal: أقطار من الأعلى اليسار، كل قطر من أعلاه إلى أسفله
+ *
+ * مثال: "WEAREDISCOVERED" بخمسة أعمدة:
+ *
+ *   W E A R E
+ *   D I S C O
+ *   V E R E D
+ *
+ * spiral:   WEARE + OD + EREV + D + ISC → "WEAREODEREVDISC"
+ * snake:    WDV + EIE + ASR + ECR + EOD → "WDVEIEASRECREOD"
+ * diagonal: W + ED + AIV + RSE + ECR + OE + D → "WEDAIVRSEECROED"
+ *
+ * إذا لم يملأ النص الصف الأخير تبقى خانات فارغة يتخطاها المسار،
+ * أو تُملأ بحرف حشو عبر الخيار pad
+ */
+
+// استيراد الدوال المساعدة
+const { mod } = require('../helpers');
+
+// المسارات المدعومة
+const ROUTES = ['spiral', 'snake', 'diagonal'];
+
+/**
+ * التحقق من صحة عدد الأعمدة والخيارات
+ * @param {number} columns - عدد الأعمدة
+ * @param {string} route - اسم المسار
+ * @param {string} [pad] - حرف الحشو
+ * @throws {Error} - إذا كان أي منها غير صالح
+ */
+function validateKey(columns, route, pad) {
+  if (!Number.isInteger(columns) || columns < 2) {
+    throw new Error('Number of columns must be an integer of at least 2');
+  }
+  if (!ROUTES.includes(route)) {
+    throw new Error(`Route must be one of: ${ROUTES.join(', ')}`);
+  }
+  if (pad !== undefined && (typeof pad !== 'string' || pad.length !== 1)) {
+    throw new Error('Padding must be a single character');
+  }
+}
+
+/**
+ * ترتيب زيارة الخانات في شبكة كاملة
+ * @param {number} rows - عدد الصفوف
+ * @param {number} cols - عدد الأعمدة
+ * @param {string} route - اسم المسار
+ * @returns {number[][]} - أزواج [صف، عمود] بترتيب القراءة
+ */
+function routePath(rows, cols, route) {
+  const path = [];
+
+  if (route === 'spiral') {
+    // تقليص الحدود بعد كل ضلع: أعلى → يمين → أسفل → يسار
+    let top = 0, bottom = rows - 1, left = 0, right = cols - 1;
+    while (top <= bottom && left <= right) {
+      for (let c = left; c <= right; c++) path.push([top, c]);
+      for (let r = top + 1; r <= bottom; r++) path.push([r, right]);
+      if (top < bottom) {
+        for (let c = right - 1; c >= left; c--) path.push([bottom, c]);
+      }
+      if (left < right) {
+        for (let r = bottom - 1; r > top; r--) path.push([r, left]);
+      }
+      top++; bottom--; left++; right--;
+    }
+  } else if (route === 'snake') {
+    for (let c = 0; c < cols; c++) {
+      for (let i = 0; i < rows; i++) {
+        path.push([c % 2 === 0 ? i : rows - 1 - i, c]);
+      }
+    }
+  } else {
+    // القطر d يضم الخانات التي مجموع صفها وعمودها = d
+    for (let d = 0; d < rows + cols - 1; d++) {
+      for (let r = Math.max(0, d - cols + 1); r <= Math.min(d, rows - 1); r++) {
+        path.push([r, d - r]);
+      }
+    }
+  }
+
+  return path;
+}
+
+/**
+ * مسار القراءة بعد حذف الخانات الفارغة في نهاية الشبكة
+ * @param {number} length - طول النص
+ * @param {number} columns - عدد الأعمدة
+ * @param {string} route - اسم المسار
+ * @returns {{rows: number, path: number[][]}}
+ */
+function filledPath(length, columns, route) {
+  const rows = Math.ceil(length / columns);
+  const path = routePath(rows, columns, route).filter(([r, c]) => r * columns + c < length);
+  return { rows, path };
+}
+
+/**
+ * الشبكة وترتيب القراءة (لعرضهما)
+ * @param {string} text - النص الأصلي
+ * @param {number} columns - عدد الأعمدة
+ * @param {Object} [options] - خيارات
+ * @param {string} [options.route='spiral'] - اسم المسار
+ * @returns {{cells: string[][], order: (number|null)[][]}}
+ *   - cells: الأحرف صفاً صفاً ('' للخانة الفارغة)
+ *   - order: رقم كل خانة في مسار القراءة (من 1، و null للخانة الفارغة)
+ */
+function grid(text, columns, options = {}) {
+  const { route = 'spiral' } = options;
+  validateKey(columns, route);
+  const { rows, path } = filledPath(text.length, columns, route);
+
+  const cells = Array.from({ length: rows }, (_, r) =>
+    Array.from({ length: columns }, (_, c) => text[r * columns + c] || '')
+  );
+  const order = cells.map(row => row.map(() => null));
+  path.forEach(([r, c], i) => {
+    order[r][c] = i + 1;
+  });
+
+  return { cells, order };
+}
+
+/**
+ * دالة التشفير
+ * @param {string} plaintext - النص الأصلي
+ * @param {number} columns - عدد أعمدة الشبكة
+ * @param {Object} [options] - خيارات
+ * @param {string} [options.route='spiral'] - 'spiral' أو 'snake' أو 'diagonal'
+ * @param {string} [options.pad] - حرف لملء الصف الأخير
+ * @returns {string} - النص المشفر
+ */
+function encrypt(plaintext, columns, options = {}) {
+  const { route = 'spiral', pad } = options;
+  validateKey(columns, route, pad);
+
+  let text = plaintext;
+  if (pad !== undefined && text.length > 0) {
+    text += pad.repeat(mod(-text.length, columns));
+  }
+
+  const { path } = filledPath(text.length, columns, route);
+  return path.map(([r, c]) => text[r * columns + c]).join('');
+}
+
+/**
+ * دالة فك التشفير
+ * @param {string} ciphertext - النص المشفر
+ * @param {number} columns - نفس عدد الأعمدة
+ * @param {Object} [options] - خيارات
+ * @param {string} [options.route='spiral'] - نفس المسار المستخدم في التشفير
+ * @returns {string} - النص الأصلي (مع أحرف الحشو إن وجدت)
+ */
+function decrypt(ciphertext, columns, options = {}) {
+  const { route = 'spiral' } = options;
+  validateKey(columns, route);
+
+  // وضع الأحرف على المسار ثم القراءة صفاً صفاً
+  const { path } = filledPath(ciphertext.length, columns, route);
+  const result = Array(ciphertext.length);
+  path.forEach(([r, c], i) => {
+    result[r * columns + c] = ciphertext[i];
+  });
+
+  return result.join('');
+}
+
+// تصدير الدوال (grid مُصدّرة لرسم الشبكة والمسار في الواجهة)
+module.exports = { encrypt, decrypt, grid, ROUTES };
+
+// مثال على الاستخدام:
+// const route = require('./route');
+// console.log(route.encrypt("WEAREDISCOVERED", 5));                        // WEAREODEREVDISC
+// console.log(route.encrypt("WEAREDISCOVERED", 5, { route: 'snake' }));    // WDVEIEASRECREOD
+// console.log(route.grid("WEAREDISCOVERED", 5, { route: 'diagonal' }).order);
@@ -0,0 +1,123 @@
+/**
+ * ملف: scytale.js
+ * الوصف: عصا الإسكيتالي (Scytale) - أقدم أداة تبديل معروفة (إسبرطة)
+ *
+ * آلية العمل:
+ * - يُلف شريط من الجلد حول عصا، ويُكتب النص بطول العصا سطراً بعد سطر
+ * - القطر (diameter): عدد الأحرف حول محيط العصا = عدد الأسطر
+ * - عند فك الشريط تظهر الأحرف عموداً عموداً (النص المشفر)
+ * - فك التشفير: لف الشريط على عصا بنفس القطر
+ *
+ * مثال: "IAMHURTVERYBADLYHELP" بقطر 4 (5 أحرف في كل سطر):
+ *
+ *   I A M H U
+ *   R T V E R
+ *   Y B A D L
+ *   Y H E L P
+ *
+ * القراءة عمودياً: IRYY + ATBH + MVAE + HEDL + URLP = "IRYYATBHMVAEHEDLURLP"
+ *
+ * إذا لم يملأ النص الشبكة تبقى خانات فارغة في نهايتها (تُتخطى عند القراءة)،
+ * أو تُملأ بحرف حشو عبر الخيار pad
+ */
+
+// استيراد الدوال المساعدة
+const { mod } = require('../helpers');
+
+/**
+ * التحقق من صحة القطر وحرف الحشو
+ * @param {number} diameter - عدد الأحرف حول العصا
+ * @param {string} [pad] - حرف الحشو
+ * @throws {Error} - إذا كان القطر أقل من 2 أو الحشو ليس حرفاً واحداً
+ */
+function validateKey(diameter, pad) {
+  if (!Number.isInteger(diameter) || diameter < 2) {
+    throw new Error('Diameter must be an integer of at least 2');
+  }
+  if (pad !== undefined && (typeof pad !== 'string' || pad.length !== 1)) {
+    throw new Error('Padding must be a single character');
+  }
+}
+
+/**
+ * أبعاد الشبكة: عدد الأسطر = القطر، وطول السطر = طول العصا اللازم
+ * @param {number} length - طول النص
+ * @param {number} diameter - القطر
+ * @returns {{rows: number, cols: number}}
+ */
+function dimensions(length, diameter) {
+  return { rows: diameter, cols: Math.ceil(length / diameter) };
+}
+
+/**
+ * الشبكة كما تظهر على العصا (لعرضها)
+ * @param {string} text - النص الأصلي
+ * @param {number} diameter - القطر
+ * @returns {string[][]} - الأسطر (الخانات الفارغة '')
+ */
+function grid(text, diameter) {
+  validateKey(diameter);
+  const { rows, cols } = dimensions(text.length, diameter);
+
+  return Array.from({ length: rows }, (_, r) =>
+    Array.from({ length: cols }, (_, c) => text[r * cols + c] || '')
+  );
+}
+
+/**
+ * دالة التشفير
+ * @param {string} plaintext - النص الأصلي
+ * @param {number} diameter - عدد الأحرف حول العصا (عدد الأسطر)
+ * @param {Object} [options] - خيارات
+ * @param {string} [options.pad] - حرف لملء الخانات الفارغة في نهاية الشبكة
+ * @returns {string} - النص المشفر
+ */
+function encrypt(plaintext, diameter, options = {}) {
+  const { pad } = options;
+  validateKey(diameter, pad);
+
+  let text = plaintext;
+  if (pad !== undefined && text.length > 0) {
+    text += pad.repeat(mod(-text.length, diameter));
+  }
+
+  // قراءة الشبكة عموداً عموداً مع تخطي الخانات الفارغة
+  const rows = grid(text, diameter);
+  let result = '';
+  for (let c = 0; c < rows[0].length; c++) {
+    for (const row of rows) {
+      result += row[c];
+    }
+  }
+  return result;
+}
+
+/**
+ * دالة فك التشفير
+ * @param {string} ciphertext - النص المشفر
+ * @param {number} diameter - نفس القطر المستخدم في التشفير
+ * @returns {string} - النص الأصلي (مع أحرف الحشو إن وجدت)
+ */
+function decrypt(ciphertext, diameter) {
+  validateKey(diameter);
+  const { rows, cols } = dimensions(ciphertext.length, diameter);
+
+  // الخانات الممتلئة هي أول length خانة صفاً صفاً؛ نملؤها عموداً عموداً
+  const cells = Array.from({ length: rows }, () => Array(cols));
+  let index = 0;
+  for (let c = 0; c < cols; c++) {
+    for (let r = 0; r < rows; r++) {
+      if (r * cols + c < ciphertext.length) cells[r][c] = ciphertext[index++];
+    }
+  }
+
+  return cells.flat().join('');
+}
+
+// تصدير الدوال (grid مُصدّرة لرسم العصا في الواجهة)
+module.exports = { encrypt, decrypt, grid };
+
+// مثال على الاستخدام:
+// const scytale = require('./scytale');
+// console.log(scytale.encrypt("IAMHURTVERYBADLYHELP", 4));  // IRYYATBHMVAEHEDLURLP
+// console.log(scytale.decrypt("IRYYATBHMVAEHEDLURLP", 4));  // IAMHURTVERYBADLYHELP
@@ -63,13 +63,25 @@ const algorithmClassification = {
     affine: { type: 'Substitution', subtype: 'Monoalphabetic', security: '⭐⭐ Weak', securityLevel: 2 },
     monoalphabetic: { type: 'Substitution', subtype: 'Monoalphabetic', security: '⭐⭐ Weak', securityLevel: 2 },
     vigenere: { type: 'Substitution', subtype: 'Polyalphabetic', security: '⭐⭐ Medium', securityLevel: 2 },
+    beaufort: { type: 'Substitution', subtype: 'Polyalphabetic', security: '⭐⭐ Medium', securityLevel: 2 },
+    beaufortVariant: { type: 'Substitution', subtype: 'Polyalphabetic', security: '⭐⭐ Medium', securityLevel: 2 },
+    gronsfeld: { type: 'Substitution', subtype: 'Polyalphabetic', security: '⭐⭐ Weak', securityLevel: 2 },
     autokey: { type: 'Substitution', subtype: 'Polyalphabetic', security: '⭐⭐⭐ Medium+', securityLevel: 3 },
     otp: { type: 'Substitution', subtype: 'Polyalphabetic', security: '⭐⭐⭐⭐⭐ Perfect*', securityLevel: 5 },
     playfair: { type: 'Substitution', subtype: 'Polygraphic (Block)', security: '⭐⭐⭐ Medium', securityLevel: 3 },
+    foursquare: { type: 'Substitution', subtype: 'Polygraphic (Block)', security: '⭐⭐⭐ Medium', securityLevel: 3 },
+    twosquare: { type: 'Substitution', subtype: 'Polygraphic (Block)', security: '⭐⭐ Medium', securityLevel: 2 },
+    twosquareHorizontal: { type: 'Substitution', subtype: 'Polygraphic (Block)', security: '⭐⭐ Medium', securityLevel: 2 },
     hill: { type: 'Substitution', subtype: 'Polygraphic (Block)', security: '⭐⭐⭐ Medium+', securityLevel: 3 },
     railfence: { type: 'Transposition', subtype: 'Geometric', security: '⭐⭐ Weak', securityLevel: 2 },
+    scytale: { type: 'Transposition', subtype: 'Geometric', security: '⭐ Weak', securityLevel: 1 },
+    routeSpiral: { type: 'Transposition', subtype: 'Geometric', security: '⭐⭐ Weak', securityLevel: 2 },
+    routeSnake: { type: 'Transposition', subtype: 'Geometric', security: '⭐⭐ Weak', securityLevel: 2 },
+    routeDiagonal: { type: 'Transposition', subtype: 'Geometric', security: '⭐⭐ Weak', securityLevel: 2 },
+    grille: { type: 'Transposition', subtype: 'Geometric', security: '⭐⭐⭐ Medium', securityLevel: 3 },
     columnar: { type: 'Transposition', subtype: 'Columnar', security: '⭐⭐⭐ Medium', securityLevel: 3 },
     des: { type: 'Modern Symmetric', subtype: 'Block Cipher (Feistel)', security: '⭐⭐⭐ Legacy', securityLevel: 3, isModern: true },
+    tdes: { type: 'Modern Symmetric', subtype: 'Block Cipher (Feistel)', security: '⭐⭐⭐⭐ Deprecated', securityLevel: 4, isModern: true },
     aes: { type: 'Modern Symmetric', subtype: 'Block Cipher (SPN)', security: '⭐⭐⭐⭐⭐ Strong', securityLevel: 5, isModern: true },
     elgamal: { type: 'Public-Key', subtype: 'Discrete Logarithm', security: '⭐⭐⭐⭐ Strong*', securityLevel: 4, isAsymmetric: true },
     ecc: { type: 'Public-Key', subtype: 'Elliptic Curve', security: '⭐⭐⭐⭐⭐ Strong*', securityLevel: 5, isAsymmetric: true }
@@ -264,6 +276,83 @@ const algorithms = {
         }
     },
 
+    // -------------------------------------------------------------------------
+    // BEAUFORT CIPHER
+    // -------------------------------------------------------------------------
+    beaufort: {
+        name: 'Beaufort Cipher',
+        formula: 'C = (K[i] - P) mod 26',
+        description: 'Vigenère-family cipher that subtracts the plaintext from the repeating key. Encryption and decryption are the same operation.',
+        hint: 'Beaufort is reciprocal: applying it twice with the same key gives back the original text, so Encrypt and Decrypt produce the same result.',
+        
+        transform(text, key) {
+            const keyUpper = key.toUpperCase().split('').filter(isLetter).join('');
+            if (keyUpper.length === 0) throw new Error('Key must contain at least one letter');
+            
+            let keyIndex = 0;
+            return text.split('').map(char => {
+                if (!isLetter(char)) return char;
+                const x = letterToNum(char);
+                const k = letterToNum(keyUpper[keyIndex % keyUpper.length]);
+                keyIndex++;
+                const y = mod(k - x, 26);
+                return char === char.toUpperCase() ? numToLetter(y) : numToLetter(y).toLowerCase();
+            }).join('');
+        },
+        
+        encrypt(plaintext, key) {
+            return this.transform(plaintext, key);
+        },
+        
+        decrypt(ciphertext, key) {
+            return this.transform(ciphertext, key);
+        }
+    },
+
+    // -------------------------------------------------------------------------
+    // VARIANT BEAUFORT CIPHER
+    // -------------------------------------------------------------------------
+    beaufortVariant: {
+        name: 'Variant Beaufort Cipher',
+        formula: 'C = (P - K[i]) mod 26',
+        description: 'Shifts each letter backwards by the repeating key. Encryption is Vigenère decryption and vice versa.',
+        hint: 'Compare with Vigenère using the same key: Variant Beaufort encryption gives the same output as Vigenère decryption.',
+        
+        encrypt(plaintext, key) {
+            return algorithms.vigenere.decrypt(plaintext, key);
+        },
+        
+        decrypt(ciphertext, key) {
+            return algorithms.vigenere.encrypt(ciphertext, key);
+        }
+    },
+
+    // -------------------------------------------------------------------------
+    // GRONSFELD CIPHER
+    // -------------------------------------------------------------------------
+    gronsfeld: {
+        name: 'Gronsfeld Cipher',
+        formula: 'C = (P + K[i]) mod 26, K[i] ∈ 0-9',
+        description: 'Vigenère cipher with a numeric key: each digit is the shift for its position.',
+        hint: 'Key digits repeat like a Vigenère keyword (0 = A, 1 = B, ... 9 = J). Only 10 shifts per position makes it weaker than Vigenère.',
+        
+        toKeyword(key) {
+            const keyString = String(key);
+            if (/[A-Za-z]/.test(keyString)) throw new Error('Gronsfeld key must be numeric (digits 0-9)');
+            const digits = keyString.split('').filter(c => c >= '0' && c <= '9');
+            if (digits.length === 0) throw new Error('Key must contain at least one digit');
+            return digits.map(d => numToLetter(Number(d))).join('');
+        },
+        
+        encrypt(plaintext, key) {
+            return algorithms.vigenere.encrypt(plaintext, this.toKeyword(key));
+        },
+        
+        decrypt(ciphertext, key) {
+            return algorithms.vigenere.decrypt(ciphertext, this.toKeyword(key));
+        }
+    },
+
     // -------------------------------------------------------------------------
     // AUTOKEY CIPHER
     // -------------------------------------------------------------------------
@@ -463,6 +552,166 @@ const algorithms = {
             }
             
             return result;
+        },
+        
+        grids(key) {
+            return [[{ label: 'Key square', matrix: this.generateMatrix(key), keyed: true }]];
+        }
+    },
+
+    // -------------------------------------------------------------------------
+    // FOUR-SQUARE CIPHER
+    // -------------------------------------------------------------------------
+    foursquare: {
+        name: 'Four-Square Cipher',
+        formula: 'C₁ = K₁[row a][col b], C₂ = K₂[row b][col a]',
+        description: 'Digraph cipher with four 5×5 squares: two plain alphabets and two keyed squares. I and J are treated as one letter.',
+        hint: 'Enter two keywords separated by a space. Find the first letter in the top-left square and the second in the bottom-right; the ciphertext pair sits at the other two corners of the rectangle (top-right, then bottom-left). Unlike Playfair there are no same-row or same-column rules.',
+        
+        parseKeywords(key) {
+            const keywords = String(key).split(/[\s,]+/).filter(k => k.split('').some(isLetter));
+            if (keywords.length !== 2) throw new Error('Enter exactly two keywords');
+            return keywords;
+        },
+        
+        toDigraphs(text) {
+            const letters = text.toUpperCase().split('').filter(isLetter).map(c => c === 'J' ? 'I' : c);
+            if (letters.length % 2 !== 0) letters.push('X');
+            
+            const digraphs = [];
+            for (let i = 0; i < letters.length; i += 2) {
+                digraphs.push([letters[i], letters[i + 1]]);
+            }
+            return digraphs;
+        },
+        
+        rebuild(original, letters) {
+            let index = 0;
+            let result = '';
+            
+            for (const char of original) {
+                if (!isLetter(char)) {
+                    result += char;
+                } else {
+                    const letter = letters[index++];
+                    result += char === char.toUpperCase() ? letter : letter.toLowerCase();
+                }
+            }
+            
+            return result + letters.slice(index).join('');
+        },
+        
+        squares(key) {
+            const [first, second] = this.parseKeywords(key);
+            const plain = algorithms.playfair.generateMatrix('');
+            return {
+                topLeft: plain,
+                topRight: algorithms.playfair.generateMatrix(first),
+                bottomLeft: algorithms.playfair.generateMatrix(second),
+                bottomRight: plain
+            };
+        },
+        
+        encrypt(plaintext, key) {
+            const { topLeft, topRight, bottomLeft, bottomRight } = this.squares(key);
+            const find = algorithms.playfair.findPosition;
+            
+            const letters = this.toDigraphs(plaintext).flatMap(([a, b]) => {
+                const posA = find(topLeft, a);
+                const posB = find(bottomRight, b);
+                return [topRight[posA.row][posB.col], bottomLeft[posB.row][posA.col]];
+            });
+            
+            return this.rebuild(plaintext, letters);
+        },
+        
+        decrypt(ciphertext, key) {
+            const { topLeft, topRight, bottomLeft, bottomRight } = this.squares(key);
+            const find = algorithms.playfair.findPosition;
+            
+            const letters = this.toDigraphs(ciphertext).flatMap(([a, b]) => {
+                const posA = find(topRight, a);
+                const posB = find(bottomLeft, b);
+                return [topLeft[posA.row][posB.col], bottomRight[posB.row][posA.col]];
+            });
+            
+            return this.rebuild(ciphertext, letters);
+        },
+        
+        grids(key) {
+            const { topLeft, topRight, bottomLeft, bottomRight } = this.squares(key);
+            return [
+                [{ label: 'Plain', matrix: topLeft, keyed: false }, { label: 'Keyword 1', matrix: topRight, keyed: true }],
+                [{ label: 'Keyword 2', matrix: bottomLeft, keyed: true }, { label: 'Plain', matrix: bottomRight, keyed: false }]
+            ];
+        }
+    },
+
+    // -------------------------------------------------------------------------
+    // TWO-SQUARE CIPHER (VERTICAL)
+    // -------------------------------------------------------------------------
+    twosquare: {
+        name: 'Two-Square Cipher (Vertical)',
+        formula: 'C₁ = Top[row a][col b], C₂ = Bottom[row b][col a]',
+        description: 'Digraph cipher with two keyed 5×5 squares stacked vertically. I and J are treated as one letter.',
+        hint: 'Enter two keywords separated by a space. The first letter is found in the top square and the second in the bottom one. If both are in the same column there is no rectangle and the pair is left unchanged (a "transparency" that leaks plaintext). Encryption and decryption are the same operation.',
+        
+        vertical: true,
+        
+        transform(text, key) {
+            const [firstKey, secondKey] = algorithms.foursquare.parseKeywords(key);
+            const first = algorithms.playfair.generateMatrix(firstKey);
+            const second = algorithms.playfair.generateMatrix(secondKey);
+            const find = algorithms.playfair.findPosition;
+            
+            const letters = algorithms.foursquare.toDigraphs(text).flatMap(([a, b]) => {
+                const posA = find(first, a);
+                const posB = find(second, b);
+                return this.vertical
+                    ? [first[posA.row][posB.col], second[posB.row][posA.col]]
+                    : [first[posB.row][posA.col], second[posA.row][posB.col]];
+            });
+            
+            return algorithms.foursquare.rebuild(text, letters);
+        },
+        
+        encrypt(plaintext, key) {
+            return this.transform(plaintext, key);
+        },
+        
+        decrypt(ciphertext, key) {
+            return this.transform(ciphertext, key);
+        },
+        
+        grids(key) {
+            const [firstKey, secondKey] = algorithms.foursquare.parseKeywords(key);
+            const first = { label: 'Keyword 1', matrix: algorithms.playfair.generateMatrix(firstKey), keyed: true };
+            const second = { label: 'Keyword 2', matrix: algorithms.playfair.generateMatrix(secondKey), keyed: true };
+            return this.vertical ? [[first], [second]] : [[first, second]];
+        }
+    },
+
+    // -------------------------------------------------------------------------
+    // TWO-SQUARE CIPHER (HORIZONTAL)
+    // -------------------------------------------------------------------------
+    twosquareHorizontal: {
+        name: 'Two-Square Cipher (Horizontal)',
+        formula: 'C₁ = Left[row b][col a], C₂ = Right[row a][col b]',
+        description: 'Digraph cipher with two keyed 5×5 squares side by side. I and J are treated as one letter.',
+        hint: 'Enter two keywords separated by a space. The first letter is found in the left square and the second in the right one. If both are in the same row the pair is left unchanged. Each ciphertext letter stays in the square of the plaintext letter it replaces.',
+        
+        vertical: false,
+        
+        encrypt(plaintext, key) {
+            return algorithms.twosquare.transform.call(this, plaintext, key);
+        },
+        
+        decrypt(ciphertext, key) {
+            return algorithms.twosquare.transform.call(this, ciphertext, key);
+        },
+        
+        grids(key) {
+            return algorithms.twosquare.grids.call(this, key);
         }
     },
 
@@ -736,6 +985,290 @@ const algorithms = {
         }
     },
 
+    // -------------------------------------------------------------------------
+    // SCYTALE
+    // -------------------------------------------------------------------------
+    scytale: {
+        name: 'Scytale',
+        formula: 'Write along the rod, read down the unwound strip',
+        description: 'Spartan transposition: a strip wound around a rod is written along its length, then read once unwound.',
+        hint: 'The diameter is how many letters fit around the rod, which is the number of rows. Text is written row by row along the rod and the unwound strip reads it column by column. Example: diameter 4 turns IAMHURTVERYBADLYHELP into IRYYATBHMVAEHEDLURLP.',
+        
+        rows(text, diameter) {
+            const cols = Math.ceil(text.length / diameter);
+            return Array.from({ length: diameter }, (_, r) =>
+                Array.from({ length: cols }, (_, c) => text[r * cols + c] || '')
+            );
+        },
+        
+        encrypt(plaintext, diameter) {
+            const d = parseInt(diameter);
+            if (d < 2) throw new Error('Diameter must be at least 2');
+            
+            const rows = this.rows(plaintext, d);
+            let result = '';
+            for (let c = 0; c < rows[0].length; c++) {
+                for (const row of rows) result += row[c];
+            }
+            return result;
+        },
+        
+        decrypt(ciphertext, diameter) {
+            const d = parseInt(diameter);
+            if (d < 2) throw new Error('Diameter must be at least 2');
+            
+            const cols = Math.ceil(ciphertext.length / d);
+            const result = Array(ciphertext.length);
+            let index = 0;
+            for (let c = 0; c < cols; c++) {
+                for (let r = 0; r < d; r++) {
+                    if (r * cols + c < ciphertext.length) result[r * cols + c] = ciphertext[index++];
+                }
+            }
+            return result.join('');
+        },
+        
+        grids(diameter, text) {
+            if (!text) return [];
+            return [[{ label: `Rod (${diameter} letters around)`, matrix: this.rows(text, parseInt(diameter)), keyed: false }]];
+        }
+    },
+
+    // -------------------------------------------------------------------------
+    // ROUTE CIPHER (SPIRAL)
+    // -------------------------------------------------------------------------
+    routeSpiral: {
+        name: 'Route Cipher (Spiral)',
+        formula: 'Write rows, read clockwise spiral',
+        description: 'Writes the text into a grid row by row and reads it along a clockwise spiral from the top-left corner.',
+        hint: 'The key is the number of columns. Cells left empty at the end of the last row are skipped by the route. The Route grid shows the order in which cells are read.',
+        
+        route: 'spiral',
+        
+        path(rows, cols, route) {
+            const path = [];
+            if (route === 'spiral') {
+                let top = 0, bottom = rows - 1, left = 0, right = cols - 1;
+                while (top <= bottom && left <= right) {
+                    for (let c = left; c <= right; c++) path.push([top, c]);
+                    for (let r = top + 1; r <= bottom; r++) path.push([r, right]);
+                    if (top < bottom) for (let c = right - 1; c >= left; c--) path.push([bottom, c]);
+                    if (left < right) for (let r = bottom - 1; r > top; r--) path.push([r, left]);
+                    top++; bottom--; left++; right--;
+                }
+            } else if (route === 'snake') {
+                for (let c = 0; c < cols; c++) {
+                    for (let i = 0; i < rows; i++) path.push([c % 2 === 0 ? i : rows - 1 - i, c]);
+                }
+            } else {
+                for (let d = 0; d < rows + cols - 1; d++) {
+                    for (let r = Math.max(0, d - cols + 1); r <= Math.min(d, rows - 1); r++) path.push([r, d - r]);
+                }
+            }
+            return path;
+        },
+        
+        filledPath(length, cols, route) {
+            const rows = Math.ceil(length / cols);
+            return algorithms.routeSpiral.path(rows, cols, route).filter(([r, c]) => r * cols + c < length);
+        },
+        
+        encrypt(plaintext, columns) {
+            const cols = parseInt(columns);
+            if (cols < 2) throw new Error('Number of columns must be at least 2');
+            return algorithms.routeSpiral.filledPath(plaintext.length, cols, this.route)
+                .map(([r, c]) => plaintext[r * cols + c]).join('');
+        },
+        
+        decrypt(ciphertext, columns) {
+            const cols = parseInt(columns);
+            if (cols < 2) throw new Error('Number of columns must be at least 2');
+            const result = Array(ciphertext.length);
+            algorithms.routeSpiral.filledPath(ciphertext.length, cols, this.route).forEach(([r, c], i) => {
+                result[r * cols + c] = ciphertext[i];
+            });
+            return result.join('');
+        },
+        
+        grids(columns, text) {
+            if (!text) return [];
+            const cols = parseInt(columns);
+            const rows = Math.ceil(text.length / cols);
+            const cells = Array.from({ length: rows }, (_, r) =>
+                Array.from({ length: cols }, (_, c) => text[r * cols + c] || '')
+            );
+            const order = cells.map(row => row.map(() => ''));
+            algorithms.routeSpiral.filledPath(text.length, cols, this.route).forEach(([r, c], i) => {
+                order[r][c] = i + 1;
+            });
+            return [[
+                { label: 'Grid', matrix: cells, keyed: false },
+                { label: 'Route', matrix: order, keyed: true }
+            ]];
+        }
+    },
+
+    // -------------------------------------------------------------------------
+    // ROUTE CIPHER (SNAKE)
+    // -------------------------------------------------------------------------
+    routeSnake: {
+        name: 'Route Cipher (Snake)',
+        formula: 'Write rows, read columns down and up',
+        description: 'Writes the text into a grid row by row and reads the columns alternately downwards and upwards.',
+        hint: 'The key is the number of columns. The first column is read top to bottom, the next bottom to top, and so on (boustrophedon). The Route grid shows the order in which cells are read.',
+        
+        route: 'snake',
+        
+        encrypt(plaintext, columns) {
+            return algorithms.routeSpiral.encrypt.call(this, plaintext, columns);
+        },
+        
+        decrypt(ciphertext, columns) {
+            return algorithms.routeSpiral.decrypt.call(this, ciphertext, columns);
+        },
+        
+        grids(columns, text) {
+            return algorithms.routeSpiral.grids.call(this, columns, text);
+        }
+    },
+
+    // -------------------------------------------------------------------------
+    // ROUTE CIPHER (DIAGONAL)
+    // -------------------------------------------------------------------------
+    routeDiagonal: {
+        name: 'Route Cipher (Diagonal)',
+        formula: 'Write rows, read diagonals',
+        description: 'Writes the text into a grid row by row and reads it diagonal by diagonal from the top-left corner.',
+        hint: 'The key is the number of columns. Each diagonal runs from its top cell down to the left. The Route grid shows the order in which cells are read.',
+        
+        route: 'diagonal',
+        
+        encrypt(plaintext, columns) {
+            return algorithms.routeSpiral.encrypt.call(this, plaintext, columns);
+        },
+        
+        decrypt(ciphertext, columns) {
+            return algorithms.routeSpiral.decrypt.call(this, ciphertext, columns);
+        },
+        
+        grids(columns, text) {
+            return algorithms.routeSpiral.grids.call(this, columns, text);
+        }
+    },
+
+    // -------------------------------------------------------------------------
+    // TURNING GRILLE (FLEISSNER)
+    // -------------------------------------------------------------------------
+    grille: {
+        name: 'Turning Grille (Fleissner)',
+        formula: 'Write through the holes, turn 90° four times, read rows',
+        description: 'A square mask with holes is laid over the grid. Letters are written through the holes, and the mask is turned clockwise until every cell is filled.',
+        hint: 'Enter the grille rows separated by spaces, using X for a hole and . for solid. An n×n grille (n even) needs n²/4 holes, and every cell must be uncovered exactly once across the four turns. Example 4×4: X... ...X ..X. .X..',
+        
+        parseGrille(key) {
+            return String(key).toUpperCase().split(/[\s,]+/).filter(Boolean);
+        },
+        
+        rotate([r, c], size) {
+            return [c, size - 1 - r];
+        },
+        
+        holes(rows) {
+            const size = rows.length;
+            if (size === 0 || size % 2 !== 0) throw new Error('Grille must have an even number of rows');
+            
+            const holes = [];
+            rows.forEach((row, r) => {
+                if (row.length !== size) throw new Error(`Grille must be square: row ${r + 1} has ${row.length} cells instead of ${size}`);
+                row.split('').forEach((cell, c) => {
+                    if (cell !== 'X' && cell !== '.') throw new Error('Grille rows may only contain "X" (hole) and "." (solid)');
+                    if (cell === 'X') holes.push([r, c]);
+                });
+            });
+            
+            if (holes.length !== (size * size) / 4) {
+                throw new Error(`A ${size}×${size} grille needs exactly ${(size * size) / 4} holes, got ${holes.length}`);
+            }
+            
+            const seen = new Map();
+            for (const hole of holes) {
+                let cell = hole;
+                for (let turn = 0; turn < 4; turn++) {
+                    const id = cell.join(',');
+                    if (seen.has(id)) throw new Error(`Holes at (${seen.get(id)}) and (${hole}) uncover the same cell after rotation`);
+                    seen.set(id, hole.join(','));
+                    cell = this.rotate(cell, size);
+                }
+            }
+            return holes;
+        },
+        
+        writingOrder(rows) {
+            const size = rows.length;
+            const order = [];
+            let current = this.holes(rows);
+            for (let turn = 0; turn < 4; turn++) {
+                order.push(...current.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]));
+                current = current.map(cell => this.rotate(cell, size));
+            }
+            return order;
+        },
+        
+        blocks(text, key) {
+            const rows = this.parseGrille(key);
+            const size = rows.length;
+            const order = this.writingOrder(rows);
+            const blocks = [];
+            for (let start = 0; start < text.length; start += size * size) {
+                const written = order.slice(0, Math.min(size * size, text.length - start));
+                const read = written.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+                blocks.push({ start, written, read });
+            }
+            return { size, blocks };
+        },
+        
+        encrypt(plaintext, key) {
+            const { blocks } = this.blocks(plaintext, key);
+            return blocks.map(({ start, written, read }) => {
+                const cells = new Map(written.map((cell, i) => [cell.join(','), plaintext[start + i]]));
+                return read.map(cell => cells.get(cell.join(','))).join('');
+            }).join('');
+        },
+        
+        decrypt(ciphertext, key) {
+            const { blocks } = this.blocks(ciphertext, key);
+            return blocks.map(({ start, written, read }) => {
+                const cells = new Map(read.map((cell, i) => [cell.join(','), ciphertext[start + i]]));
+                return written.map(cell => cells.get(cell.join(','))).join('');
+            }).join('');
+        },
+        
+        grids(key, text) {
+            const rows = this.parseGrille(key);
+            const size = rows.length;
+            
+            const turns = Array.from({ length: size }, () => Array(size));
+            this.holes(rows).forEach(hole => {
+                let cell = hole;
+                for (let turn = 1; turn <= 4; turn++) {
+                    turns[cell[0]][cell[1]] = turn;
+                    cell = this.rotate(cell, size);
+                }
+            });
+            
+            const squares = [{ label: 'Turn uncovering each cell', matrix: turns, keyed: true }];
+            if (text) {
+                const { blocks } = this.blocks(text, key);
+                const filled = Array.from({ length: size }, () => Array(size).fill(''));
+                blocks[0].written.forEach(([r, c], i) => {
+                    filled[r][c] = text[i];
+                });
+                squares.push({ label: blocks.length > 1 ? `Block 1 of ${blocks.length}` : 'Block 1', matrix: filled, keyed: false });
+            }
+            return [squares];
+        }
+    },
+
     // -------------------------------------------------------------------------
     // COLUMNAR TRANSPOSITION
     // -------------------------------------------------------------------------
@@ -795,7 +1328,7 @@ const algorithms = {
             
             const longColumns = new Set();
             for (let i = 0; i < filledInLastRow; i++) {
-                longColumns.add(order[i]);
+                longColumns.add(i);
             }
             
             const columns = Array.from({ length: numCols }, () => []);
@@ -986,13 +1519,65 @@ const algorithms = {
     },
 
     // -------------------------------------------------------------------------
-    // AES-128
+    // Triple DES (3DES EDE, NIST SP 800-67)
+    // -------------------------------------------------------------------------
+    tdes: {
+        name: 'Triple DES (3DES EDE)',
+        formula: 'C = E_K3(D_K2(E_K1(P))), 64-bit block, 48 Feistel rounds',
+        description: 'DES applied three times in Encrypt-Decrypt-Encrypt order, extending the 56-bit DES key to 112 or 168 bits.',
+        hint: 'The key length selects the keying option: 48 hex chars = K1, K2, K3 (option 1), 32 = K1, K2 with K3 = K1 (option 2), 16 = one key (option 3). With one key the middle decryption cancels the first encryption, so option 3 is exactly DES.',
+        
+        // Hex length → keying option
+        KEYING_OPTIONS: { 48: 1, 32: 2, 16: 3 },
+        
+        splitKey(key) {
+            if (!/^[0-9A-Fa-f]*$/.test(key) || !this.KEYING_OPTIONS[key.length]) {
+                throw new Error('Key must be 16, 32 or 48 hexadecimal characters');
+            }
+            const k1 = key.slice(0, 16);
+            const k2 = key.length >= 32 ? key.slice(16, 32) : k1;
+            const k3 = key.length === 48 ? key.slice(32, 48) : k1;
+            return [k1, k2, k3];
+        },
+        
+        // Runs the DES passes on 8-byte blocks (each pass is a list of DES round keys)
+        process(bytes, passes) {
+            const des = algorithms.des;
+            let output = [];
+            for (let i = 0; i < bytes.length; i += 8) {
+                let block = des.hexToBinary(des.bytesToHex(bytes.slice(i, i + 8)));
+                for (const keys of passes) block = des.desCore(block, keys);
+                output.push(...des.hexToBytes(des.binaryToHex(block)));
+            }
+            return output;
+        },
+        
+        encrypt(plaintext, key) {
+            const des = algorithms.des;
+            const [k1, k2, k3] = this.splitKey(key).map(k => des.generateKeys(k));
+            const bytes = des.padBytes(des.stringToBytes(plaintext));
+            return des.bytesToHex(this.process(bytes, [k1, k2.slice().reverse(), k3]));
+        },
+        
+        decrypt(ciphertext, key) {
+            const des = algorithms.des;
+            const [k1, k2, k3] = this.splitKey(key).map(k => des.generateKeys(k));
+            if (!/^[0-9A-Fa-f]+$/.test(ciphertext) || ciphertext.length % 16 !== 0) {
+                throw new Error('Invalid ciphertext format');
+            }
+            const bytes = this.process(des.hexToBytes(ciphertext), [k3.slice().reverse(), k2, k1.slice().reverse()]);
+            return des.bytesToString(des.unpadBytes(bytes));
+        }
+    },
+
+    // -------------------------------------------------------------------------
+    // AES (128/192/256-bit keys)
     // -------------------------------------------------------------------------
     aes: {
-        name: 'AES-128',
-        formula: '128-bit block, 128-bit key, 10 SPN rounds',
+        name: 'AES (Advanced Encryption Standard)',
+        formula: '128-bit block, 128/192/256-bit key, 10/12/14 SPN rounds',
         description: 'Modern symmetric block cipher using SubBytes, ShiftRows, MixColumns, and AddRoundKey.',
-        hint: 'AES uses a Substitution-Permutation Network. Each round applies byte substitution (S-box), row shifting, column mixing (except last round), and key addition.',
+        hint: 'AES uses a Substitution-Permutation Network. Each round applies byte substitution (S-box), row shifting, column mixing (except last round), and key addition. Longer keys add rounds: 16 bytes → 10, 24 bytes → 12, 32 bytes → 14.',
         
         S_BOX: [0x63,0x7c,0x77,0x7b,0xf2,0x6b,0x6f,0xc5,0x30,0x01,0x67,0x2b,0xfe,0xd7,0xab,0x76,0xca,0x82,0xc9,0x7d,0xfa,0x59,0x47,0xf0,0xad,0xd4,0xa2,0xaf,0x9c,0xa4,0x72,0xc0,0xb7,0xfd,0x93,0x26,0x36,0x3f,0xf7,0xcc,0x34,0xa5,0xe5,0xf1,0x71,0xd8,0x31,0x15,0x04,0xc7,0x23,0xc3,0x18,0x96,0x05,0x9a,0x07,0x12,0x80,0xe2,0xeb,0x27,0xb2,0x75,0x09,0x83,0x2c,0x1a,0x1b,0x6e,0x5a,0xa0,0x52,0x3b,0xd6,0xb3,0x29,0xe3,0x2f,0x84,0x53,0xd1,0x00,0xed,0x20,0xfc,0xb1,0x5b,0x6a,0xcb,0xbe,0x39,0x4a,0x4c,0x58,0xcf,0xd0,0xef,0xaa,0xfb,0x43,0x4d,0x33,0x85,0x45,0xf9,0x02,0x7f,0x50,0x3c,0x9f,0xa8,0x51,0xa3,0x40,0x8f,0x92,0x9d,0x38,0xf5,0xbc,0xb6,0xda,0x21,0x10,0xff,0xf3,0xd2,0xcd,0x0c,0x13,0xec,0x5f,0x97,0x44,0x17,0xc4,0xa7,0x7e,0x3d,0x64,0x5d,0x19,0x73,0x60,0x81,0x4f,0xdc,0x22,0x2a,0x90,0x88,0x46,0xee,0xb8,0x14,0xde,0x5e,0x0b,0xdb,0xe0,0x32,0x3a,0x0a,0x49,0x06,0x24,0x5c,0xc2,0xd3,0xac,0x62,0x91,0x95,0xe4,0x79,0xe7,0xc8,0x37,0x6d,0x8d,0xd5,0x4e,0xa9,0x6c,0x56,0xf4,0xea,0x65,0x7a,0xae,0x08,0xba,0x78,0x25,0x2e,0x1c,0xa6,0xb4,0xc6,0xe8,0xdd,0x74,0x1f,0x4b,0xbd,0x8b,0x8a,0x70,0x3e,0xb5,0x66,0x48,0x03,0xf6,0x0e,0x61,0x35,0x57,0xb9,0x86,0xc1,0x1d,0x9e,0xe1,0xf8,0x98,0x11,0x69,0xd9,0x8e,0x94,0x9b,0x1e,0x87,0xe9,0xce,0x55,0x28,0xdf,0x8c,0xa1,0x89,0x0d,0xbf,0xe6,0x42,0x68,0x41,0x99,0x2d,0x0f,0xb0,0x54,0xbb,0x16],
         INV_S_BOX: [0x52,0x09,0x6a,0xd5,0x30,0x36,0xa5,0x38,0xbf,0x40,0xa3,0x9e,0x81,0xf3,0xd7,0xfb,0x7c,0xe3,0x39,0x82,0x9b,0x2f,0xff,0x87,0x34,0x8e,0x43,0x44,0xc4,0xde,0xe9,0xcb,0x54,0x7b,0x94,0x32,0xa6,0xc2,0x23,0x3d,0xee,0x4c,0x95,0x0b,0x42,0xfa,0xc3,0x4e,0x08,0x2e,0xa1,0x66,0x28,0xd9,0x24,0xb2,0x76,0x5b,0xa2,0x49,0x6d,0x8b,0xd1,0x25,0x72,0xf8,0xf6,0x64,0x86,0x68,0x98,0x16,0xd4,0xa4,0x5c,0xcc,0x5d,0x65,0xb6,0x92,0x6c,0x70,0x48,0x50,0xfd,0xed,0xb9,0xda,0x5e,0x15,0x46,0x57,0xa7,0x8d,0x9d,0x84,0x90,0xd8,0xab,0x00,0x8c,0xbc,0xd3,0x0a,0xf7,0xe4,0x58,0x05,0xb8,0xb3,0x45,0x06,0xd0,0x2c,0x1e,0x8f,0xca,0x3f,0x0f,0x02,0xc1,0xaf,0xbd,0x03,0x01,0x13,0x8a,0x6b,0x3a,0x91,0x11,0x41,0x4f,0x67,0xdc,0xea,0x97,0xf2,0xcf,0xce,0xf0,0xb4,0xe6,0x73,0x96,0xac,0x74,0x22,0xe7,0xad,0x35,0x85,0xe2,0xf9,0x37,0xe8,0x1c,0x75,0xdf,0x6e,0x47,0xf1,0x1a,0x71,0x1d,0x29,0xc5,0x89,0x6f,0xb7,0x62,0x0e,0xaa,0x18,0xbe,0x1b,0xfc,0x56,0x3e,0x4b,0xc6,0xd2,0x79,0x20,0x9a,0xdb,0xc0,0xfe,0x78,0xcd,0x5a,0xf4,0x1f,0xdd,0xa8,0x33,0x88,0x07,0xc7,0x31,0xb1,0x12,0x10,0x59,0x27,0x80,0xec,0x5f,0x60,0x51,0x7f,0xa9,0x19,0xb5,0x4a,0x0d,0x2d,0xe5,0x7a,0x9f,0x93,0xc9,0x9c,0xef,0xa0,0xe0,0x3b,0x4d,0xae,0x2a,0xf5,0xb0,0xc8,0xeb,0xbb,0x3c,0x83,0x53,0x99,0x61,0x17,0x2b,0x04,0x7e,0xba,0x77,0xd6,0x26,0xe1,0x69,0x14,0x63,0x55,0x21,0x0c,0x7d],
@@ -1102,22 +1687,35 @@ const algorithms = {
             return state;
         },
         
+        // Key sizes: hex length → { bits, rounds }
+        KEY_SIZES: { 32: { bits: 128, rounds: 10 }, 48: { bits: 192, rounds: 12 }, 64: { bits: 256, rounds: 14 } },
+        
+        validateKey(key) {
+            if (!/^[0-9A-Fa-f]*$/.test(key) || !this.KEY_SIZES[key.length]) {
+                throw new Error('Key must be 32, 48 or 64 hexadecimal characters');
+            }
+        },
+        
         keyExpansion(key) {
             const keyBytes = this.hexToBytes(key);
+            const Nk = keyBytes.length / 4;
+            const Nr = Nk + 6;
             const w = [];
-            for (let i = 0; i < 4; i++) {
+            for (let i = 0; i < Nk; i++) {
                 w[i] = keyBytes.slice(i * 4, (i + 1) * 4);
             }
-            for (let i = 4; i < 44; i++) {
+            for (let i = Nk; i < 4 * (Nr + 1); i++) {
                 let temp = w[i - 1].slice();
-                if (i % 4 === 0) {
+                if (i % Nk === 0) {
                     temp = [temp[1], temp[2], temp[3], temp[0]].map(b => this.S_BOX[b]);
-                    temp[0] ^= this.RCON[i / 4];
+                    temp[0] ^= this.RCON[i / Nk];
+                } else if (Nk > 6 && i % Nk === 4) {
+                    temp = temp.map(b => this.S_BOX[b]);
                 }
-                w[i] = w[i - 4].map((b, j) => b ^ temp[j]);
+                w[i] = w[i - Nk].map((b, j) => b ^ temp[j]);
             }
             const roundKeys = [];
-            for (let round = 0; round <= 10; round++) {
+            for (let round = 0; round <= Nr; round++) {
                 const roundKey = [];
                 for (let i = 0; i < 4; i++) {
                     roundKey.push(...w[round * 4 + i]);
@@ -1128,9 +1726,10 @@ const algorithms = {
         },
         
         encryptBlock(block, roundKeys) {
+            const Nr = roundKeys.length - 1;
             let state = this.bytesToState(block);
             state = this.addRoundKey(state, roundKeys[0]);
-            for (let round = 1; round <= 9; round++) {
+            for (let round = 1; round < Nr; round++) {
                 state = this.subBytes(state);
                 state = this.shiftRows(state);
                 state = this.mixColumns(state);
@@ -1138,14 +1737,15 @@ const algorithms = {
             }
             state = this.subBytes(state);
             state = this.shiftRows(state);
-            state = this.addRoundKey(state, roundKeys[10]);
+            state = this.addRoundKey(state, roundKeys[Nr]);
             return this.stateToBytes(state);
         },
         
         decryptBlock(block, roundKeys) {
+            const Nr = roundKeys.length - 1;
             let state = this.bytesToState(block);
-            state = this.addRoundKey(state, roundKeys[10]);
-            for (let round = 9; round >= 1; round--) {
+            state = this.addRoundKey(state, roundKeys[Nr]);
+            for (let round = Nr - 1; round >= 1; round--) {
                 state = this.shiftRows(state, true);
                 state = this.subBytes(state, true);
                 state = this.addRoundKey(state, roundKeys[round]);
@@ -1171,9 +1771,7 @@ const algorithms = {
         },
         
         encrypt(plaintext, key) {
-            if (!/^[0-9A-Fa-f]{32}$/.test(key)) {
-                throw new Error('Key must be exactly 32 hexadecimal characters');
-            }
+            this.validateKey(key);
             const roundKeys = this.keyExpansion(key);
             const plaintextBytes = this.padBytes(this.stringToBytes(plaintext), 16);
             let ciphertext = [];
@@ -1186,9 +1784,7 @@ const algorithms = {
         },
         
         decrypt(ciphertext, key) {
-            if (!/^[0-9A-Fa-f]{32}$/.test(key)) {
-                throw new Error('Key must be exactly 32 hexadecimal characters');
-            }
+            this.validateKey(key);
             if (!/^[0-9A-Fa-f]+$/.test(ciphertext) || ciphertext.length % 32 !== 0) {
                 throw new Error('Invalid ciphertext format');
             }
@@ -1528,6 +2124,8 @@ const Validator = {
                 return { valid: true, message: 'Valid 26-letter permutation' };
                 
             case 'vigenere':
+            case 'beaufort':
+            case 'beaufortVariant':
             case 'autokey':
             case 'playfair':
             case 'columnar':
@@ -1537,6 +2135,22 @@ const Validator = {
                 if (keyLetters.length === 0) return { valid: false, message: 'Keyword must contain at least one letter' };
                 return { valid: true, message: `Keyword: "${keyLetters.join('').toUpperCase()}" (${keyLetters.length} letters)` };
                 
+            case 'gronsfeld':
+                const numericKey = (key || '').trim();
+                if (!numericKey) return { valid: false, message: 'Enter a numeric key' };
+                if (/[A-Za-z]/.test(numericKey)) return { valid: false, message: 'Gronsfeld key must contain digits only' };
+                const keyDigits = numericKey.split('').filter(c => c >= '0' && c <= '9');
+                if (keyDigits.length === 0) return { valid: false, message: 'Key must contain at least one digit' };
+                return { valid: true, message: `Shifts: ${keyDigits.join(', ')} (${keyDigits.length} digits)` };
+                
+            case 'foursquare':
+            case 'twosquare':
+            case 'twosquareHorizontal':
+                const keywords = (key || '').split(/[\s,]+/).filter(k => k.split('').some(isLetter));
+                if (keywords.length === 0) return { valid: false, message: 'Enter two keywords' };
+                if (keywords.length !== 2) return { valid: false, message: `Need exactly two keywords, have ${keywords.length}` };
+                return { valid: true, message: `Keywords: "${keywords[0].toUpperCase()}" and "${keywords[1].toUpperCase()}"` };
+                
             case 'otp':
                 const otpKey = (key || '').split('').filter(isLetter);
                 if (otpKey.length === 0) return { valid: false, message: 'Enter a key' };
@@ -1551,6 +2165,31 @@ const Validator = {
                 if (rails < 2) return { valid: false, message: 'Rails must be at least 2' };
                 return { valid: true, message: `${rails} rails` };
                 
+            case 'scytale':
+                const diameter = parseInt(key);
+                if (isNaN(diameter)) return { valid: false, message: 'Enter the rod diameter' };
+                if (diameter < 2) return { valid: false, message: 'Diameter must be at least 2' };
+                return { valid: true, message: `${diameter} letters around the rod` };
+                
+            case 'routeSpiral':
+            case 'routeSnake':
+            case 'routeDiagonal':
+                const routeColumns = parseInt(key);
+                if (isNaN(routeColumns)) return { valid: false, message: 'Enter the number of columns' };
+                if (routeColumns < 2) return { valid: false, message: 'Columns must be at least 2' };
+                return { valid: true, message: `${routeColumns} columns` };
+                
+            case 'grille':
+                const grilleRows = algorithms.grille.parseGrille(key || '');
+                if (grilleRows.length === 0) return { valid: false, message: 'Enter the grille rows' };
+                try {
+                    algorithms.grille.holes(grilleRows);
+                } catch (error) {
+                    return { valid: false, message: error.message };
+                }
+                const grilleSize = grilleRows.length;
+                return { valid: true, message: `${grilleSize}×${grilleSize} grille, ${grilleSize * grilleSize} letters per block` };
+                
             case 'hill':
                 if (!key || !Array.isArray(key)) return { valid: false, message: 'Fill in the matrix' };
                 const n = key.length;
@@ -1575,11 +2214,20 @@ const Validator = {
                 if (key.length !== 16) return { valid: false, message: `Key must be 16 hex chars (currently ${key.length})` };
                 return { valid: true, message: 'Valid 64-bit DES key' };
             
+            case 'tdes':
+                if (!key || key.length === 0) return { valid: false, message: 'Enter hexadecimal key' };
+                if (!/^[0-9A-Fa-f]+$/.test(key)) return { valid: false, message: 'Key must contain only hex characters (0-9, A-F)' };
+                const tdesOption = algorithms.tdes.KEYING_OPTIONS[key.length];
+                if (!tdesOption) return { valid: false, message: `Key must be 16, 32 or 48 hex chars (currently ${key.length})` };
+                if (tdesOption === 3) return { valid: true, message: 'Keying option 3: K1 = K2 = K3, identical to single DES' };
+                return { valid: true, message: `Keying option ${tdesOption}: ${tdesOption === 1 ? 'three independent keys (168 bits)' : 'two keys, K3 = K1 (112 bits)'}` };
+            
             case 'aes':
                 if (!key || key.length === 0) return { valid: false, message: 'Enter hexadecimal key' };
                 if (!/^[0-9A-Fa-f]+$/.test(key)) return { valid: false, message: 'Key must contain only hex characters (0-9, A-F)' };
-                if (key.length !== 32) return { valid: false, message: `Key must be 32 hex chars (currently ${key.length})` };
-                return { valid: true, message: 'Valid 128-bit AES key' };
+                const aesSize = algorithms.aes.KEY_SIZES[key.length];
+                if (!aesSize) return { valid: false, message: `Key must be 32, 48 or 64 hex chars (currently ${key.length})` };
+                return { valid: true, message: `Valid ${aesSize.bits}-bit AES key (AES-${aesSize.bits}, ${aesSize.rounds} rounds)` };
             
             case 'elgamal':
                 if (!algorithms.elgamal.currentKeys) return { valid: false, message: 'Generate keys first' };
@@ -1616,6 +2264,7 @@ const UI = {
             algoFormula: document.getElementById('algo-formula'),
             algoDesc: document.getElementById('algo-desc'),
             eduHintText: document.getElementById('edu-hint-text'),
+            gridVisual: document.getElementById('grid-visual'),
             tagType: document.getElementById('tag-type'),
             tagSubtype: document.getElementById('tag-subtype'),
             tagSecurity: document.getElementById('tag-security'),
@@ -1663,12 +2312,13 @@ const UI = {
             hillMatrix3: document.getElementById('hill-matrix-3'),
             hillDet: document.getElementById('hill-det'),
             
-            // Hex key (DES/AES)
+            // Hex key (DES/3DES/AES)
             keyHex: document.getElementById('key-hex'),
             keyHexText: document.getElementById('key-hex-text'),
             keyHexHint: document.getElementById('key-hex-hint'),
             hexCount: document.getElementById('hex-count'),
             hexRequired: document.getElementById('hex-required'),
+            hexKeySize: document.getElementById('hex-key-size'),
             
             // ElGamal
             keyElgamal: document.getElementById('key-elgamal'),
@@ -1703,13 +2353,25 @@ const UI = {
         affine: 'affine',
         monoalphabetic: 'mono',
         vigenere: 'text',
+        beaufort: 'text',
+        beaufortVariant: 'text',
+        gronsfeld: 'text',
         autokey: 'text',
         playfair: 'text',
+        foursquare: 'text',
+        twosquare: 'text',
+        twosquareHorizontal: 'text',
         hill: 'hill',
         otp: 'otp',
         railfence: 'number',
+        scytale: 'number',
+        routeSpiral: 'number',
+        routeSnake: 'number',
+        routeDiagonal: 'number',
+        grille: 'text',
         columnar: 'text',
         des: 'hex',
+        tdes: 'hex',
         aes: 'hex',
         elgamal: 'elgamal',
         ecc: 'ecc'
@@ -1720,12 +2382,24 @@ const UI = {
         caesar: 'Shift value (0-25)',
         multiplicative: 'Must be coprime with 26',
         railfence: 'Number of rails (minimum 2)',
+        scytale: 'Letters around the rod (minimum 2)',
+        routeSpiral: 'Number of grid columns (minimum 2)',
+        routeSnake: 'Number of grid columns (minimum 2)',
+        routeDiagonal: 'Number of grid columns (minimum 2)',
         vigenere: 'Keyword (letters only, will repeat)',
+        beaufort: 'Keyword (letters only, will repeat)',
+        beaufortVariant: 'Keyword (letters only, will repeat)',
+        gronsfeld: 'Numeric key (digits 0-9, will repeat)',
         autokey: 'Initial keyword (plaintext extends key)',
         playfair: 'Keyword for building 5×5 matrix',
+        foursquare: 'Two keywords separated by a space (e.g. EXAMPLE KEYWORD)',
+        twosquare: 'Two keywords separated by a space (e.g. EXAMPLE KEYWORD)',
+        twosquareHorizontal: 'Two keywords separated by a space (e.g. EXAMPLE KEYWORD)',
         columnar: 'Keyword determines column read order',
+        grille: 'Grille rows separated by spaces, X = hole (e.g. X... ...X ..X. .X..)',
         des: '16 hex characters (64-bit key)',
-        aes: '32 hex characters (128-bit key)'
+        tdes: '48, 32 or 16 hex characters (K1 K2 K3, K1 K2, or K1)',
+        aes: '32, 48 or 64 hex characters (128, 192 or 256-bit key)'
     },
     
     bindEvents() {
@@ -1775,7 +2449,7 @@ const UI = {
             });
         });
         
-        // Hex key input (DES/AES)
+        // Hex key input (DES/3DES/AES)
         this.elements.keyHexText.addEventListener('input', () => {
             this.updateHexCounter();
             this.validateAndUpdate();
@@ -1826,10 +2500,23 @@ const UI = {
     updateHexCounter() {
         const algo = this.elements.algorithmSelect.value;
         const hexText = this.elements.keyHexText.value.replace(/[^0-9A-Fa-f]/g, '');
-        const required = algo === 'aes' ? 32 : 16;
+        let required = 16;
+        let keySize = 'DES · 64-bit key (56 effective) · 16 rounds';
+        
+        if (algo === 'aes') {
+            // Count towards the next AES key size (32, 48 or 64 hex characters)
+            required = [32, 48, 64].find(n => n >= hexText.length) || 64;
+            const size = algorithms.aes.KEY_SIZES[hexText.length];
+            keySize = size ? `AES-${size.bits} · ${size.rounds} rounds` : 'AES-128 / 192 / 256';
+        } else if (algo === 'tdes') {
+            required = [16, 32, 48].find(n => n >= hexText.length) || 48;
+            const option = algorithms.tdes.KEYING_OPTIONS[hexText.length];
+            keySize = option ? `3DES keying option ${option} · ${hexText.length * 4}-bit key · 48 rounds` : '3DES · 1, 2 or 3 keys';
+        }
         
         this.elements.hexCount.textContent = hexText.length;
         this.elements.hexRequired.textContent = required;
+        this.elements.hexKeySize.textContent = keySize;
     },
     
     updateAlgorithmUI() {
@@ -1896,7 +2583,6 @@ const UI = {
             case 'hex':
                 this.elements.keyHex.classList.remove('hidden');
                 this.elements.keyHexHint.textContent = this.keyHints[algo] || '';
-                this.elements.hexRequired.textContent = algo === 'aes' ? '32' : '16';
                 this.updateHexCounter();
                 break;
             case 'elgamal':
@@ -2055,6 +2741,54 @@ const UI = {
         const canProcess = result.valid && text.trim().length > 0;
         this.elements.btnEncrypt.disabled = !canProcess;
         this.elements.btnDecrypt.disabled = !canProcess;
+        
+        this.updateGridVisual(result.valid ? key : null);
+    },
+    
+    // Draw the key squares for algorithms that define grids(key, text)
+    updateGridVisual(key) {
+        const algo = this.elements.algorithmSelect.value;
+        const algoData = algorithms[algo];
+        const container = this.elements.gridVisual;
+        
+        container.innerHTML = '';
+        const rows = algoData.grids && key !== null
+            ? algoData.grids(key, this.elements.inputText.value)
+            : [];
+        if (rows.length === 0) {
+            container.classList.add('hidden');
+            return;
+        }
+        
+        for (const row of rows) {
+            const rowEl = document.createElement('div');
+            rowEl.className = 'grid-row';
+            
+            for (const square of row) {
+                const squareEl = document.createElement('div');
+                squareEl.className = square.keyed ? 'key-square keyed' : 'key-square';
+                
+                const label = document.createElement('span');
+                label.className = 'key-square-label';
+                label.textContent = square.label;
+                squareEl.appendChild(label);
+                
+                const cells = document.createElement('div');
+                cells.className = 'key-square-cells';
+                cells.style.gridTemplateColumns = `repeat(${square.matrix[0].length}, 26px)`;
+                for (const letter of square.matrix.flat()) {
+                    const cell = document.createElement('span');
+                    cell.textContent = letter;
+                    cells.appendChild(cell);
+                }
+                squareEl.appendChild(cells);
+                rowEl.appendChild(squareEl);
+            }
+            
+            container.appendChild(rowEl);
+        }
+        
+        container.classList.remove('hidden');
     },
     
     process(operation) {